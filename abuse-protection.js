@@ -0,0 +1,337 @@
+/**
+ * Abuse protection for the public endpoints
+ *
+ * - Rate limits: fixed-window counters per IP (upload URLs, uploads,
+ *   submissions) and per handle (submissions). Over the limit returns 429
+ *   with Retry-After.
+ * - Duplicate videos: uploads are hashed (SHA-256) and a file that was
+ *   already uploaded is refused with 409 and the existing publicUrl.
+ * - Duplicate submissions: the same handle, leaderboard, container, time,
+ *   volume and video within the duplicate window is refused with 409.
+ * - CAPTCHA: when a verifier is configured, /submit-chug requires a token
+ *   (`cf-turnstile-response`, `captcha_token` or the X-Captcha-Token header).
+ *
+ * The counter store is pluggable: anything with async increment(key, windowMs)
+ * -> { count, resetAt }, get(key) and set(key, value, ttlMs) works. The
+ * default keeps everything in process memory. Video hashes are kept in the
+ * `video-hashes` JSON store so they survive restarts.
+ *
+ * Verifiers have one method, async verify(token, remoteIp) -> { success, errors }.
+ * createCaptchaVerifier() picks one from CAPTCHA_PROVIDER (turnstile | stub);
+ * createStubCaptchaVerifier() can be passed in directly for tests.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./store');
+const { normalizeHandle } = require('./leaderboard-ranking');
+const { submissionEvents } = require('./submission-events');
+
+const TURNSTILE_VERIFY_URL = 'https://challenges.cloudflare.com/turnstile/v0/siteverify';
+
+const VIDEO_HASH_RETENTION_MS = (parseInt(process.env.DUPLICATE_VIDEO_RETENTION_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+const videoHashStore = createJsonStore('video-hashes', {});
+
+function createMemoryRateLimitStore() {
+  const items = new Map();
+
+  const sweepTimer = setInterval(() => {
+    const now = Date.now();
+    items.forEach((item, key) => {
+      if (item.expiresAt < now) {
+        items.delete(key);
+      }
+    });
+  }, 60 * 1000);
+  sweepTimer.unref();
+
+  function read(key) {
+    const item = items.get(key);
+    if (item && item.expiresAt < Date.now()) {
+      items.delete(key);
+      return undefined;
+    }
+    return item;
+  }
+
+  return {
+    async increment(key, windowMs) {
+      let item = read(key);
+      if (!item) {
+        item = { value: 0, expiresAt: Date.now() + windowMs };
+        items.set(key, item);
+      }
+      item.value += 1;
+      return { count: item.value, resetAt: item.expiresAt };
+    },
+    async get(key) {
+      return read(key)?.value;
+    },
+    async set(key, value, ttlMs) {
+      items.set(key, { value, expiresAt: Date.now() + ttlMs });
+    }
+  };
+}
+
+/**
+ * Options:
+ * - store: counter store (default: createMemoryRateLimitStore())
+ * - name: prefix that keeps this limiter's counters apart in a shared store
+ * - limit: requests allowed per window
+ * - windowMs: window length
+ *
+ * consume(id) counts one request and returns { allowed, remaining, resetAt }.
+ */
+function createRateLimiter({ store = createMemoryRateLimitStore(), name, limit, windowMs }) {
+  return {
+    limit,
+    async consume(id) {
+      const { count, resetAt } = await store.increment(`ratelimit:${name}:${id}`, windowMs);
+      return {
+        allowed: count <= limit,
+        remaining: Math.max(limit - count, 0),
+        resetAt
+      };
+    }
+  };
+}
+
+function sendRateLimited(res, result, message = 'Too many requests, try again later') {
+  const retryAfter = Math.max(Math.ceil((result.resetAt - Date.now()) / 1000), 1);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: message, retryAfter });
+}
+
+/**
+ * Middleware: counts the request against `limiter` by client IP
+ */
+function rateLimitByIp(limiter) {
+  return async (req, res, next) => {
+    try {
+      const result = await limiter.consume(req.ip);
+      res.set('X-RateLimit-Limit', String(limiter.limit));
+      res.set('X-RateLimit-Remaining', String(result.remaining));
+
+      if (!result.allowed) {
+        return sendRateLimited(res, result);
+      }
+      next();
+    } catch (error) {
+      // A broken store shouldn't take the public endpoints down
+      console.error('Rate limit store error:', error.message);
+      next();
+    }
+  };
+}
+
+/**
+ * Counts a submission against `limiter` by normalized handle.
+ * Returns the 429 response if over the limit, otherwise null.
+ */
+async function checkHandleLimit(limiter, res, fields) {
+  const handleKey = normalizeHandle(fields);
+  if (!handleKey) {
+    return null;
+  }
+
+  try {
+    const result = await limiter.consume(handleKey);
+    if (!result.allowed) {
+      return sendRateLimited(res, result, 'Too many submissions for this handle, try again later');
+    }
+  } catch (error) {
+    console.error('Rate limit store error:', error.message);
+  }
+  return null;
+}
+
+/**
+ * Hash for building a video's hashVideo digest a chunk at a time
+ */
+function createVideoHash() {
+  return crypto.createHash('sha256');
+}
+
+function hashVideo(buffer) {
+  return createVideoHash().update(buffer).digest('hex');
+}
+
+/**
+ * Returns the key a video with this hash was uploaded under, or null
+ */
+function findDuplicateVideo(hash) {
+  const entry = videoHashStore.get()[hash];
+  if (!entry || entry.storedAt < Date.now() - VIDEO_HASH_RETENTION_MS) {
+    return null;
+  }
+  return entry.key;
+}
+
+function rememberVideoHash(hash, key) {
+  const cutoff = Date.now() - VIDEO_HASH_RETENTION_MS;
+  videoHashStore.update(entries => {
+    Object.keys(entries).forEach(existing => {
+      if (entries[existing].storedAt < cutoff) {
+        delete entries[existing];
+      }
+    });
+    entries[hash] = { key, storedAt: Date.now() };
+  });
+}
+
+// Deleted files can be uploaded again
+submissionEvents.on('deleted', payload => {
+  const hashes = videoHashStore.get();
+  const matches = Object.keys(hashes).filter(hash => hashes[hash].key === payload.key);
+  if (matches.length > 0) {
+    videoHashStore.update(entries => {
+      matches.forEach(hash => delete entries[hash]);
+    });
+  }
+});
+
+const DUPLICATE_FIELDS = ['leaderboard_type', 'leaderboard_name', 'container', 'time_s', 'volume_oz', 'video_url'];
+
+function getSubmissionFingerprint(fields) {
+  const parts = [normalizeHandle(fields) || '', ...DUPLICATE_FIELDS.map(key => fields[key] || '')];
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+/**
+ * Options:
+ * - store: same interface as the rate limit store
+ * - windowMs: how long an identical submission is refused
+ *
+ * find(fields) returns the id of an identical recent submission or null.
+ * claim(fields) reserves the submission right before it is created and
+ * returns false when another request already holds it; it is one increment,
+ * so of two identical requests that both passed find() only one wins.
+ * remember(fields, id) records the created submission; release(fields) frees
+ * the claim when the create failed.
+ */
+function createDuplicateSubmissionCheck({ store = createMemoryRateLimitStore(), windowMs }) {
+  return {
+    async find(fields) {
+      return (await store.get(`duplicate:${getSubmissionFingerprint(fields)}`)) || null;
+    },
+    async claim(fields) {
+      const { count } = await store.increment(`duplicate-claim:${getSubmissionFingerprint(fields)}`, windowMs);
+      return count === 1;
+    },
+    async remember(fields, id) {
+      await store.set(`duplicate:${getSubmissionFingerprint(fields)}`, id, windowMs);
+    },
+    async release(fields) {
+      await store.set(`duplicate-claim:${getSubmissionFingerprint(fields)}`, 0, windowMs);
+    }
+  };
+}
+
+/**
+ * Cloudflare Turnstile siteverify
+ */
+function createTurnstileVerifier(secretKey) {
+  return {
+    async verify(token, remoteIp) {
+      const body = new URLSearchParams({ secret: secretKey, response: token });
+      if (remoteIp) {
+        body.set('remoteip', remoteIp);
+      }
+
+      const response = await fetch(TURNSTILE_VERIFY_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body
+      });
+      const data = await response.json();
+
+      return {
+        success: data.success === true,
+        errors: data['error-codes'] || []
+      };
+    }
+  };
+}
+
+/**
+ * Accepts tokens for which `accept(token)` is true (default: a fixed token,
+ * CAPTCHA_STUB_TOKEN or 'test-captcha-token')
+ */
+function createStubCaptchaVerifier({
+  accept = token => token === (process.env.CAPTCHA_STUB_TOKEN || 'test-captcha-token')
+} = {}) {
+  return {
+    async verify(token) {
+      const success = Boolean(accept(token));
+      return { success, errors: success ? [] : ['invalid-input-response'] };
+    }
+  };
+}
+
+/**
+ * Verifier from CAPTCHA_PROVIDER, or null when CAPTCHA is off
+ */
+function createCaptchaVerifier() {
+  const provider = process.env.CAPTCHA_PROVIDER;
+
+  if (provider === 'turnstile') {
+    if (!process.env.TURNSTILE_SECRET_KEY) {
+      throw new Error('CAPTCHA_PROVIDER=turnstile requires TURNSTILE_SECRET_KEY');
+    }
+    return createTurnstileVerifier(process.env.TURNSTILE_SECRET_KEY);
+  }
+
+  if (provider === 'stub') {
+    return createStubCaptchaVerifier();
+  }
+
+  if (provider) {
+    throw new Error(`Unknown CAPTCHA_PROVIDER: ${provider}`);
+  }
+
+  return null;
+}
+
+/**
+ * Middleware: requires a valid CAPTCHA token. Does nothing without a verifier.
+ */
+function requireCaptcha(verifier) {
+  return async (req, res, next) => {
+    if (!verifier) {
+      return next();
+    }
+
+    const token = req.body?.['cf-turnstile-response'] || req.body?.captcha_token || req.get('x-captcha-token');
+
+    if (!token) {
+      return res.status(400).json({ error: 'CAPTCHA token required' });
+    }
+
+    try {
+      const { success, errors } = await verifier.verify(String(token), req.ip);
+      if (!success) {
+        return res.status(403).json({ error: 'CAPTCHA verification failed', details: errors });
+      }
+      next();
+    } catch (error) {
+      console.error('Error verifying CAPTCHA:', error);
+      res.status(502).json({ error: 'Could not verify CAPTCHA' });
+    }
+  };
+}
+
+module.exports = {
+  createMemoryRateLimitStore,
+  createRateLimiter,
+  rateLimitByIp,
+  checkHandleLimit,
+  createVideoHash,
+  hashVideo,
+  findDuplicateVideo,
+  rememberVideoHash,
+  createDuplicateSubmissionCheck,
+  createTurnstileVerifier,
+  createStubCaptchaVerifier,
+  createCaptchaVerifier,
+  requireCaptcha
+};
@@ -31,87 +31,98 @@
  * 
  * GET /admin/unverified
  * - Fetches one unverified submission (verified: false)
- * - Returns submission with all fields and metaobject ID
+ * - Returns submission with all fields, metaobject ID and remaining count
  * - Returns 404 if no unverified submissions exist
+ *
+ * GET /admin/submissions
+ * - Paginated, filterable list of all submissions with a total count
+ * - See listSubmissions for query params
  * 
+ * POST /admin/bulk
+ * - Body: { ids, action: verify | reject | set_fields, reason?, notes?, fields? }
+ * - Returns a per-id success/failure report
+ *
+ * Video metadata (set by /submit-chug for files uploaded through this server):
+ * - video_duration_s, video_width, video_height, video_codec, video_container,
+ *   video_created_at
+ * - flag_reason: 'time_exceeds_video' when time_s is longer than the video
+ *
  * PATCH /admin/submission/:id
  * - Updates specific fields of a submission
  * - Does NOT change verified status
+ * - Keys and values are checked against submission-schema.js; invalid ones
+ *   return 400 with details: [{ field, message }]
  * - Used for corrections/edits
  * 
  * POST /admin/verify/:id
- * - Sets verified: true on a submission
+ * - Sets verified: true (status: verified) on a submission
  * - Approves submission for public leaderboard
+ *
+ * POST /admin/reject/:id
+ * - Body: { reason, notes }
+ * - Sets status: rejected with a reason code and free-text notes
+ * - Rejected submissions leave the queue and never appear on leaderboards
+ * - The submitter can resubmit a corrected entry through /submit-chug with
+ *   contact[resubmission_of] set to the rejected id
  */
 
+const { STATUSES, REJECTION_REASONS, getSubmissionStatus } = require('./submission-status');
+const { submissionEvents } = require('./submission-events');
+const { validateSubmissionFields } = require('./submission-schema');
+
+const SUBMISSION_TYPE = 'beer_leaderboard_entry';
+
+/**
+ * Fetch every beer_leaderboard_entry, following Shopify cursor pagination
+ * to the last page. Returns { submissions } with flattened fields, or
+ * { errors } if any page fails.
+ */
+async function fetchAllSubmissions(shopify) {
+  const { metaobjects, errors } = await shopify.listAllMetaobjects(SUBMISSION_TYPE);
+
+  if (errors) {
+    return { errors };
+  }
+
+  return {
+    submissions: metaobjects.map(({ id, handle, updatedAt, fields }) => ({ id, handle, updatedAt, fields }))
+  };
+}
+
 /**
  * GET /admin/unverified
  * Fetch one unverified submission
  */
-function getUnverifiedSubmission(getShopifyAccessToken, SHOPIFY_STORE_DOMAIN) {
+function getUnverifiedSubmission(shopify) {
   return async (req, res) => {
     try {
-      const token = await getShopifyAccessToken();
-
-      const query = `
-        query GetUnverifiedSubmissions {
-          metaobjects(type: "beer_leaderboard_entry", first: 100) {
-            edges {
-              node {
-                id
-                handle
-                fields {
-                  key
-                  value
-                }
-              }
-            }
-          }
-        }
-      `;
-
-      const response = await fetch(`https://${SHOPIFY_STORE_DOMAIN}/admin/api/2024-01/graphql.json`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Shopify-Access-Token': token
-        },
-        body: JSON.stringify({ query })
-      });
+      const { submissions, errors } = await fetchAllSubmissions(shopify);
 
-      const data = await response.json();
-
-      if (data.errors) {
+      if (errors) {
         return res.status(400).json({ 
           error: 'Failed to fetch submissions',
-          details: data.errors
+          details: errors
         });
       }
 
-      const submissions = data.data?.metaobjects?.edges || [];
-      
-      const unverified = submissions.find(edge => {
-        const fields = edge.node.fields;
-        const verifiedField = fields.find(f => f.key === 'verified');
-        return verifiedField?.value === 'false';
+      const pending = submissions.filter(submission => {
+        return submission.fields.verified === 'false' &&
+          getSubmissionStatus(submission.fields) === 'pending';
       });
 
-      if (!unverified) {
+      if (pending.length === 0) {
         return res.status(404).json({ 
           message: 'No unverified submissions found'
         });
       }
 
-      const node = unverified.node;
-      const fieldsObj = {};
-      node.fields.forEach(field => {
-        fieldsObj[field.key] = field.value;
-      });
+      const { id, handle, fields } = pending[0];
 
       res.json({
-        id: node.id,
-        handle: node.handle,
-        fields: fieldsObj
+        id,
+        handle,
+        fields,
+        remaining: pending.length
       });
 
     } catch (error) {
@@ -121,11 +132,264 @@ function getUnverifiedSubmission(getShopifyAccessToken, SHOPIFY_STORE_DOMAIN) {
   };
 }
 
+const SORT_FIELDS = {
+  date: submission => submission.fields.date_iso || '',
+  updated: submission => submission.updatedAt || '',
+  time_s: submission => parseFloat(submission.fields.time_s),
+  volume_oz: submission => parseFloat(submission.fields.volume_oz),
+  handle_text: submission => (submission.fields.handle_text || '').toLowerCase()
+};
+
+function compareValues(a, b, direction) {
+  // Missing numbers sort last regardless of direction
+  const aMissing = typeof a === 'number' && isNaN(a);
+  const bMissing = typeof b === 'number' && isNaN(b);
+  if (aMissing || bMissing) {
+    return aMissing === bMissing ? 0 : (aMissing ? 1 : -1);
+  }
+  if (a < b) return -direction;
+  if (a > b) return direction;
+  return 0;
+}
+
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return { value: value === null ? NaN : value, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * GET /admin/submissions
+ * List submissions with filters, sorting, a total count and a keyset cursor
+ *
+ * Query params:
+ * - status: pending | verified | rejected (comma-separated for several)
+ * - leaderboard_type, leaderboard_name: exact match
+ * - from, to: ISO dates, compared against date_iso
+ * - q: case-insensitive substring of handle_text
+ * - flagged: true | false, whether flag_reason is set (e.g. time_exceeds_video)
+ * - sort: date (default) | updated | time_s | volume_oz | handle_text
+ * - order: asc (default) | desc
+ * - limit: page size, 1-100 (default 20)
+ * - cursor: nextCursor from the previous page
+ *
+ * The cursor points at the last returned entry by sort value and id, so
+ * verifying or rejecting entries between calls does not shift the page.
+ * Skipping an entry is just requesting the next page with limit=1.
+ */
+function listSubmissions(shopify) {
+  return async (req, res) => {
+    try {
+      const {
+        status,
+        leaderboard_type,
+        leaderboard_name,
+        from,
+        to,
+        q,
+        flagged,
+        sort = 'date',
+        order = 'asc',
+        cursor
+      } = req.query;
+
+      const sortValue = Object.hasOwn(SORT_FIELDS, sort) ? SORT_FIELDS[sort] : null;
+      if (!sortValue) {
+        return res.status(400).json({
+          error: `sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`
+        });
+      }
+
+      if (order !== 'asc' && order !== 'desc') {
+        return res.status(400).json({ error: 'order must be asc or desc' });
+      }
+
+      const statuses = status ? String(status).split(',').map(s => s.trim()) : null;
+      if (statuses && statuses.some(s => !STATUSES.includes(s))) {
+        return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+      }
+
+      const fromTime = from ? Date.parse(from) : null;
+      const toTime = to ? Date.parse(to) : null;
+      if ((from && isNaN(fromTime)) || (to && isNaN(toTime))) {
+        return res.status(400).json({ error: 'from and to must be ISO dates' });
+      }
+
+      const after = cursor ? decodeCursor(String(cursor)) : null;
+      if (cursor && !after) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+      const search = q ? String(q).trim().toLowerCase() : '';
+
+      const { submissions, errors } = await fetchAllSubmissions(shopify);
+
+      if (errors) {
+        return res.status(400).json({ 
+          error: 'Failed to fetch submissions',
+          details: errors
+        });
+      }
+
+      const filtered = submissions.filter(submission => {
+        const { fields } = submission;
+
+        if (statuses && !statuses.includes(getSubmissionStatus(fields))) {
+          return false;
+        }
+        if (leaderboard_type && fields.leaderboard_type !== leaderboard_type) {
+          return false;
+        }
+        if (leaderboard_name && fields.leaderboard_name !== leaderboard_name) {
+          return false;
+        }
+        if (fromTime !== null || toTime !== null) {
+          const date = Date.parse(fields.date_iso);
+          if (isNaN(date)) return false;
+          if (fromTime !== null && date < fromTime) return false;
+          if (toTime !== null && date > toTime) return false;
+        }
+        if (search && !(fields.handle_text || '').toLowerCase().includes(search)) {
+          return false;
+        }
+        if (flagged !== undefined && Boolean(fields.flag_reason) !== (flagged === 'true')) {
+          return false;
+        }
+        return true;
+      });
+
+      const direction = order === 'desc' ? -1 : 1;
+      const compare = (aValue, aId, bValue, bId) => {
+        const byValue = compareValues(aValue, bValue, direction);
+        if (byValue !== 0) {
+          return byValue;
+        }
+        return aId < bId ? -1 : aId > bId ? 1 : 0;
+      };
+
+      filtered.sort((a, b) => compare(sortValue(a), a.id, sortValue(b), b.id));
+
+      const start = after
+        ? filtered.findIndex(submission => compare(sortValue(submission), submission.id, after.value, after.id) > 0)
+        : 0;
+      const page = start === -1 ? [] : filtered.slice(start, start + limit);
+      const hasNextPage = start !== -1 && start + limit < filtered.length;
+      const last = page[page.length - 1];
+
+      res.json({
+        success: true,
+        total: filtered.length,
+        count: page.length,
+        submissions: page.map(submission => ({
+          id: submission.id,
+          handle: submission.handle,
+          status: getSubmissionStatus(submission.fields),
+          fields: submission.fields
+        })),
+        hasNextPage,
+        nextCursor: hasNextPage ? encodeCursor(sortValue(last), last.id) : null
+      });
+
+    } catch (error) {
+      console.error('Error listing submissions:', error);
+      res.status(500).json({ error: 'Failed to fetch submissions' });
+    }
+  };
+}
+
+/**
+ * Fetch one beer_leaderboard_entry by id. Returns { id, handle, fields } or
+ * null if it doesn't exist (or isn't a leaderboard entry).
+ */
+async function fetchSubmission(shopify, id) {
+  const { metaobject, errors } = await shopify.getMetaobject(id);
+
+  if (errors || !metaobject || metaobject.type !== SUBMISSION_TYPE) {
+    return null;
+  }
+
+  return {
+    id: metaobject.id,
+    handle: metaobject.handle,
+    fields: metaobject.fields
+  };
+}
+
+/**
+ * Run metaobjectUpdate for one submission and emit `event` with the state
+ * before and after (plus anything in `meta`). Returns { submission } or
+ * { errors }. Nothing is updated when the submission can't be read first:
+ * the audit log needs the before state to revert the change later.
+ */
+async function applySubmissionUpdate(shopify, { id, fields, event, actor, meta = {} }) {
+  const before = await fetchSubmission(shopify, id);
+  if (!before) {
+    return { errors: [{ field: 'id', message: 'Submission not found' }] };
+  }
+
+  const { metaobject, errors } = await shopify.updateMetaobject(id, fields);
+
+  if (errors) {
+    return { errors };
+  }
+
+  const submission = {
+    id: metaobject.id,
+    handle: metaobject.handle,
+    fields: metaobject.fields
+  };
+
+  submissionEvents.emit(event, {
+    ...meta,
+    id: metaobject.id,
+    before: before.fields,
+    submission,
+    actor
+  });
+
+  return { submission };
+}
+
+/**
+ * Editable fields from a request body, checked against the submission schema.
+ * verified/status are ignored; status changes go through verify/reject.
+ * Returns { fields, errors } like validateSubmissionFields.
+ */
+function buildEditFields(updates) {
+  const editable = { ...updates };
+  delete editable.verified;
+  delete editable.status;
+
+  return validateSubmissionFields(editable, 'edit');
+}
+
+const VERIFY_FIELDS = [
+  { key: 'verified', value: 'true' },
+  { key: 'status', value: 'verified' }
+];
+
+function buildRejectFields(reason, notes) {
+  return [
+    { key: 'verified', value: 'false' },
+    { key: 'status', value: 'rejected' },
+    { key: 'rejection_reason', value: reason },
+    { key: 'rejection_notes', value: notes ? String(notes) : '' }
+  ];
+}
+
 /**
  * PATCH /admin/submission/:id
  * Update submission fields (does not change verified status)
  */
-function updateSubmission(getShopifyAccessToken, SHOPIFY_STORE_DOMAIN) {
+function updateSubmission(shopify) {
   return async (req, res) => {
     try {
       const { id } = req.params;
@@ -135,72 +399,40 @@ function updateSubmission(getShopifyAccessToken, SHOPIFY_STORE_DOMAIN) {
         return res.status(400).json({ error: 'Submission ID required' });
       }
 
-      delete updates.verified;
-
-      const token = await getShopifyAccessToken();
-
-      const fields = Object.entries(updates).map(([key, value]) => ({
-        key,
-        value: String(value)
-      }));
-
-      const mutation = `
-        mutation UpdateMetaobject($id: ID!, $metaobject: MetaobjectUpdateInput!) {
-          metaobjectUpdate(id: $id, metaobject: $metaobject) {
-            metaobject {
-              id
-              handle
-              fields {
-                key
-                value
-              }
-            }
-            userErrors {
-              field
-              message
-            }
-          }
-        }
-      `;
+      if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+        return res.status(400).json({ error: 'Body must be an object of fields' });
+      }
 
-      const variables = {
-        id,
-        metaobject: {
-          fields
-        }
-      };
+      const { fields, errors: fieldErrors } = buildEditFields(updates);
 
-      const response = await fetch(`https://${SHOPIFY_STORE_DOMAIN}/admin/api/2024-01/graphql.json`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Shopify-Access-Token': token
-        },
-        body: JSON.stringify({ query: mutation, variables })
-      });
+      if (fieldErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid submission fields',
+          details: fieldErrors
+        });
+      }
+
+      if (fields.length === 0) {
+        return res.status(400).json({ error: 'No fields to update' });
+      }
 
-      const data = await response.json();
+      const { submission, errors } = await applySubmissionUpdate(shopify, {
+        id,
+        fields,
+        event: 'updated',
+        actor: req.admin?.email
+      });
 
-      if (data.errors || data.data?.metaobjectUpdate?.userErrors?.length > 0) {
+      if (errors) {
         return res.status(400).json({ 
           error: 'Failed to update submission',
-          details: data.errors || data.data.metaobjectUpdate.userErrors
+          details: errors
         });
       }
 
-      const node = data.data.metaobjectUpdate.metaobject;
-      const fieldsObj = {};
-      node.fields.forEach(field => {
-        fieldsObj[field.key] = field.value;
-      });
-
       res.json({
         success: true,
-        submission: {
-          id: node.id,
-          handle: node.handle,
-          fields: fieldsObj
-        }
+        submission
       });
 
     } catch (error) {
@@ -214,7 +446,7 @@ function updateSubmission(getShopifyAccessToken, SHOPIFY_STORE_DOMAIN) {
  * POST /admin/verify/:id
  * Mark submission as verified (approved for public leaderboard)
  */
-function verifySubmission(getShopifyAccessToken, SHOPIFY_STORE_DOMAIN) {
+function verifySubmission(shopify) {
   return async (req, res) => {
     try {
       const { id } = req.params;
@@ -223,68 +455,24 @@ function verifySubmission(getShopifyAccessToken, SHOPIFY_STORE_DOMAIN) {
         return res.status(400).json({ error: 'Submission ID required' });
       }
 
-      const token = await getShopifyAccessToken();
-
-      const mutation = `
-        mutation UpdateMetaobject($id: ID!, $metaobject: MetaobjectUpdateInput!) {
-          metaobjectUpdate(id: $id, metaobject: $metaobject) {
-            metaobject {
-              id
-              handle
-              fields {
-                key
-                value
-              }
-            }
-            userErrors {
-              field
-              message
-            }
-          }
-        }
-      `;
-
-      const variables = {
+      const { submission, errors } = await applySubmissionUpdate(shopify, {
         id,
-        metaobject: {
-          fields: [
-            { key: 'verified', value: 'true' }
-          ]
-        }
-      };
-
-      const response = await fetch(`https://${SHOPIFY_STORE_DOMAIN}/admin/api/2024-01/graphql.json`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Shopify-Access-Token': token
-        },
-        body: JSON.stringify({ query: mutation, variables })
+        fields: VERIFY_FIELDS,
+        event: 'verified',
+        actor: req.admin?.email
       });
 
-      const data = await response.json();
-
-      if (data.errors || data.data?.metaobjectUpdate?.userErrors?.length > 0) {
+      if (errors) {
         return res.status(400).json({ 
           error: 'Failed to verify submission',
-          details: data.errors || data.data.metaobjectUpdate.userErrors
+          details: errors
         });
       }
 
-      const node = data.data.metaobjectUpdate.metaobject;
-      const fieldsObj = {};
-      node.fields.forEach(field => {
-        fieldsObj[field.key] = field.value;
-      });
-
       res.json({
         success: true,
         verified: true,
-        submission: {
-          id: node.id,
-          handle: node.handle,
-          fields: fieldsObj
-        }
+        submission
       });
 
     } catch (error) {
@@ -294,8 +482,173 @@ function verifySubmission(getShopifyAccessToken, SHOPIFY_STORE_DOMAIN) {
   };
 }
 
+/**
+ * POST /admin/reject/:id
+ * Mark submission as rejected with a reason code and notes
+ */
+function rejectSubmission(shopify) {
+  return async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { reason, notes } = req.body || {};
+
+      if (!id) {
+        return res.status(400).json({ error: 'Submission ID required' });
+      }
+
+      if (!REJECTION_REASONS.includes(reason)) {
+        return res.status(400).json({
+          error: `reason must be one of: ${REJECTION_REASONS.join(', ')}`
+        });
+      }
+
+      const { submission, errors } = await applySubmissionUpdate(shopify, {
+        id,
+        fields: buildRejectFields(reason, notes),
+        event: 'rejected',
+        actor: req.admin?.email
+      });
+
+      if (errors) {
+        return res.status(400).json({ 
+          error: 'Failed to reject submission',
+          details: errors
+        });
+      }
+
+      res.json({
+        success: true,
+        status: 'rejected',
+        submission
+      });
+
+    } catch (error) {
+      console.error('Error rejecting submission:', error);
+      res.status(500).json({ error: 'Failed to reject submission' });
+    }
+  };
+}
+
+const BULK_MAX_IDS = 100;
+const BULK_CONCURRENCY = 4;
+
+/**
+ * POST /admin/bulk
+ * Apply one action to many submissions
+ *
+ * Body:
+ * - ids: submission ids (max 100)
+ * - action: verify | reject | set_fields
+ * - reason, notes: for reject (same rules as /admin/reject/:id)
+ * - fields: { key: value } for set_fields (validated like updateSubmission)
+ *
+ * Updates run a few at a time; the shared Shopify client paces them against
+ * the cost budget and retries THROTTLED requests. Returns a per-id report;
+ * one failure doesn't stop the rest.
+ */
+function bulkModerate(shopify) {
+  return async (req, res) => {
+    try {
+      const { ids, action, reason, notes, fields: fieldValues } = req.body || {};
+
+      if (!Array.isArray(ids) || ids.length === 0) {
+        return res.status(400).json({ error: 'ids must be a non-empty array' });
+      }
+
+      if (ids.length > BULK_MAX_IDS) {
+        return res.status(400).json({ error: `At most ${BULK_MAX_IDS} ids per request` });
+      }
+
+      let fields;
+      let event;
+      if (action === 'verify') {
+        fields = VERIFY_FIELDS;
+        event = 'verified';
+      } else if (action === 'reject') {
+        if (!REJECTION_REASONS.includes(reason)) {
+          return res.status(400).json({
+            error: `reason must be one of: ${REJECTION_REASONS.join(', ')}`
+          });
+        }
+        fields = buildRejectFields(reason, notes);
+        event = 'rejected';
+      } else if (action === 'set_fields') {
+        if (!fieldValues || typeof fieldValues !== 'object' || Array.isArray(fieldValues)) {
+          return res.status(400).json({ error: 'fields must be a non-empty object' });
+        }
+        const { fields: editFields, errors: fieldErrors } = buildEditFields(fieldValues);
+        if (fieldErrors.length > 0) {
+          return res.status(400).json({
+            error: 'Invalid submission fields',
+            details: fieldErrors
+          });
+        }
+        if (editFields.length === 0) {
+          return res.status(400).json({ error: 'fields must be a non-empty object' });
+        }
+        fields = editFields;
+        event = 'updated';
+      } else {
+        return res.status(400).json({ error: 'action must be one of: verify, reject, set_fields' });
+      }
+
+      const queue = [...new Set(ids.map(String))];
+      const results = new Map();
+
+      const processId = async id => {
+        try {
+          const { errors } = await applySubmissionUpdate(shopify, {
+            id,
+            fields,
+            event,
+            actor: req.admin?.email
+          });
+
+          return errors
+            ? { id, success: false, error: 'Failed to update submission', details: errors }
+            : { id, success: true };
+        } catch (error) {
+          return { id, success: false, error: error.message };
+        }
+      };
+
+      const worker = async () => {
+        while (queue.length > 0) {
+          const id = queue.shift();
+          results.set(id, await processId(id));
+        }
+      };
+
+      await Promise.all(Array.from({ length: BULK_CONCURRENCY }, worker));
+
+      const report = [...new Set(ids.map(String))].map(id => results.get(id));
+      const succeeded = report.filter(result => result.success).length;
+
+      res.json({
+        success: true,
+        action,
+        total: report.length,
+        succeeded,
+        failed: report.length - succeeded,
+        results: report
+      });
+
+    } catch (error) {
+      console.error('Error running bulk moderation:', error);
+      res.status(500).json({ error: 'Failed to run bulk action' });
+    }
+  };
+}
+
 module.exports = {
+  SUBMISSION_TYPE,
+  fetchAllSubmissions,
+  fetchSubmission,
+  applySubmissionUpdate,
   getUnverifiedSubmission,
+  listSubmissions,
   updateSubmission,
-  verifySubmission
+  verifySubmission,
+  rejectSubmission,
+  bulkModerate
 };
@@ -0,0 +1,267 @@
+/**
+ * Append-only audit log of moderation and data changes
+ *
+ * Every submission event (see submission-events.js) and every admin account
+ * change is appended as one JSON line to DATA_DIR/audit.jsonl:
+ *
+ * {
+ *   id: 42,                      // increasing sequence number
+ *   timestamp: '2024-01-01T00:00:00.000Z',
+ *   actor: 'mod@example.com',    // or 'public' / 'system'
+ *   action: 'update',            // create | update | verify | reject | revert |
+ *                                // delete_file | admin_create | admin_update | admin_delete |
+ *                                // webhook_create | webhook_update | webhook_delete |
+ *                                // tenant_create | tenant_update | tenant_delete |
+ *                                // event_create | event_update | event_delete | event_freeze
+ *   submissionId: 'gid://shopify/Metaobject/1',  // null for non-submission actions
+ *   key: 'submissions/...',      // delete_file only
+ *   revertedTo: 40,              // revert only
+ *   changes: { time_s: { before: '5.1', after: '5.0' } }
+ * }
+ *
+ * Endpoints:
+ *
+ * GET /admin/audit
+ * - Newest first. Filters: submission_id, actor, action (comma-separated),
+ *   from, to (ISO dates). Paging: limit (1-500, default 50) and before
+ *   (the nextBefore value from the previous page)
+ *
+ * POST /admin/submission/:id/revert
+ * - Body: { audit_id }
+ * - Restores the submission to how it was right before that audit entry,
+ *   undoing it and every later change. The revert is itself logged.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./store');
+const { fetchSubmission, applySubmissionUpdate } = require('./admin-endpoints');
+const { submissionEvents } = require('./submission-events');
+const { getSubmissionStatus } = require('./submission-status');
+
+const AUDIT_FILE = path.join(DATA_DIR, 'audit.jsonl');
+
+let entries = null;
+
+function loadEntries() {
+  if (entries) {
+    return entries;
+  }
+  try {
+    entries = fs.readFileSync(AUDIT_FILE, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Failed to read audit log:', error.message);
+    }
+    entries = [];
+  }
+  return entries;
+}
+
+/**
+ * Field-level diff of two fields objects. Only changed keys are included.
+ */
+function diffFields(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  keys.forEach(key => {
+    const previous = before?.[key] ?? null;
+    const next = after?.[key] ?? null;
+    if (previous !== next) {
+      changes[key] = { before: previous, after: next };
+    }
+  });
+  return changes;
+}
+
+function recordAudit({ actor, action, submissionId = null, key, revertedTo, changes = {} }) {
+  const log = loadEntries();
+  const entry = {
+    id: log.length > 0 ? log[log.length - 1].id + 1 : 1,
+    timestamp: new Date().toISOString(),
+    actor: actor || 'unknown',
+    action,
+    submissionId,
+    ...(key ? { key } : {}),
+    ...(revertedTo ? { revertedTo } : {}),
+    changes
+  };
+
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.appendFileSync(AUDIT_FILE, `${JSON.stringify(entry)}\n`);
+  log.push(entry);
+  return entry;
+}
+
+const EVENT_ACTIONS = {
+  created: 'create',
+  updated: 'update',
+  verified: 'verify',
+  rejected: 'reject'
+};
+
+Object.entries(EVENT_ACTIONS).forEach(([event, action]) => {
+  submissionEvents.on(event, payload => {
+    try {
+      recordAudit({
+        actor: payload.actor,
+        action: payload.revertedTo ? 'revert' : action,
+        submissionId: payload.id,
+        revertedTo: payload.revertedTo,
+        changes: diffFields(payload.before, payload.submission?.fields)
+      });
+    } catch (error) {
+      console.error('Error writing audit log:', error);
+    }
+  });
+});
+
+submissionEvents.on('deleted', payload => {
+  try {
+    recordAudit({
+      actor: payload.actor,
+      action: 'delete_file',
+      submissionId: payload.id || null,
+      key: payload.key
+    });
+  } catch (error) {
+    console.error('Error writing audit log:', error);
+  }
+});
+
+/**
+ * GET /admin/audit
+ */
+function getAuditLog(req, res) {
+  try {
+    const { submission_id, actor, action, from, to, before } = req.query;
+    const actions = action ? String(action).split(',').map(a => a.trim()) : null;
+    const fromTime = from ? Date.parse(from) : null;
+    const toTime = to ? Date.parse(to) : null;
+    const beforeId = before ? parseInt(before, 10) : null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+
+    if ((from && isNaN(fromTime)) || (to && isNaN(toTime))) {
+      return res.status(400).json({ error: 'from and to must be ISO dates' });
+    }
+
+    const filtered = loadEntries().filter(entry => {
+      if (submission_id && entry.submissionId !== submission_id) return false;
+      if (actor && entry.actor !== actor) return false;
+      if (actions && !actions.includes(entry.action)) return false;
+      if (fromTime !== null && Date.parse(entry.timestamp) < fromTime) return false;
+      if (toTime !== null && Date.parse(entry.timestamp) > toTime) return false;
+      return true;
+    }).reverse();
+
+    const start = beforeId ? filtered.findIndex(entry => entry.id < beforeId) : 0;
+    const page = start === -1 ? [] : filtered.slice(start, start + limit);
+    const hasMore = start !== -1 && start + limit < filtered.length;
+
+    res.json({
+      success: true,
+      total: filtered.length,
+      count: page.length,
+      entries: page,
+      nextBefore: hasMore ? page[page.length - 1].id : null
+    });
+  } catch (error) {
+    console.error('Error reading audit log:', error);
+    res.status(500).json({ error: 'Failed to read audit log' });
+  }
+}
+
+/**
+ * POST /admin/submission/:id/revert
+ */
+function revertSubmission(shopify) {
+  return async (req, res) => {
+    try {
+      const { id } = req.params;
+      const auditId = parseInt(req.body?.audit_id, 10);
+
+      if (!auditId) {
+        return res.status(400).json({ error: 'audit_id required' });
+      }
+
+      const history = loadEntries().filter(entry => entry.submissionId === id);
+      const target = history.find(entry => entry.id === auditId);
+
+      if (!target) {
+        return res.status(404).json({ error: 'Audit entry not found for this submission' });
+      }
+
+      if (target.action === 'create') {
+        return res.status(400).json({ error: 'Cannot revert past creation' });
+      }
+
+      const current = await fetchSubmission(shopify, id);
+      if (!current) {
+        return res.status(404).json({ error: 'Submission not found' });
+      }
+
+      // Walk back from the newest change, undoing each one
+      const restored = { ...current.fields };
+      history
+        .filter(entry => entry.id >= auditId)
+        .reverse()
+        .forEach(entry => {
+          Object.entries(entry.changes || {}).forEach(([key, change]) => {
+            restored[key] = change.before ?? null;
+          });
+        });
+
+      // null: the field was empty at that point, and writing '' clears it
+      const fields = Object.entries(diffFields(current.fields, restored))
+        .map(([key, change]) => ({ key, value: change.after ?? '' }));
+
+      if (fields.length === 0) {
+        return res.json({
+          success: true,
+          message: 'Submission already matches that version',
+          submission: current
+        });
+      }
+
+      // Moving back into verified/rejected is announced like a moderation
+      // decision, so listeners (notifications, webhooks) see the status change
+      const status = getSubmissionStatus(restored);
+      const statusChanged = status !== getSubmissionStatus(current.fields);
+      const event = statusChanged && (status === 'verified' || status === 'rejected') ? status : 'updated';
+
+      const { submission, errors } = await applySubmissionUpdate(shopify, {
+        id,
+        fields,
+        event,
+        actor: req.admin?.email,
+        meta: { revertedTo: auditId }
+      });
+
+      if (errors) {
+        return res.status(400).json({
+          error: 'Failed to revert submission',
+          details: errors
+        });
+      }
+
+      res.json({
+        success: true,
+        revertedTo: auditId,
+        submission
+      });
+    } catch (error) {
+      console.error('Error reverting submission:', error);
+      res.status(500).json({ error: 'Failed to revert submission' });
+    }
+  };
+}
+
+module.exports = {
+  diffFields,
+  recordAudit,
+  getAuditLog,
+  revertSubmission
+};
@@ -0,0 +1,413 @@
+/**
+ * Admin authentication and role-based access control
+ *
+ * Admins log in with email + password and receive a signed session token
+ * (HS256 JWT). Every /admin route sits behind requireRole(), which checks the
+ * token and the admin's current role.
+ *
+ * Roles:
+ * - moderator: review, edit and verify submissions
+ * - owner: everything a moderator can do, plus deleting files and managing admins
+ *
+ * Admin accounts are kept in the `admins` JSON store. When the store is empty
+ * on startup, an owner is created from ADMIN_OWNER_EMAIL / ADMIN_OWNER_PASSWORD.
+ *
+ * Endpoints:
+ *
+ * POST /admin/login
+ * - Body: { email, password }
+ * - Returns { token, expiresAt, admin: { email, role } }
+ *
+ * GET /admin/me
+ * - Returns the admin the token belongs to
+ *
+ * GET /admin/admins (owner)
+ * POST /admin/admins (owner) - Body: { email, password, role }
+ * PATCH /admin/admins/:email (owner) - Body: { password?, role? }
+ * DELETE /admin/admins/:email (owner)
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./store');
+const { recordAudit } = require('./audit-log');
+
+const ROLES = {
+  moderator: 1,
+  owner: 2
+};
+
+const SESSION_TTL_SECONDS = (parseInt(process.env.ADMIN_SESSION_TTL_HOURS, 10) || 12) * 60 * 60;
+
+let sessionSecret = process.env.ADMIN_SESSION_SECRET;
+if (!sessionSecret) {
+  console.warn('ADMIN_SESSION_SECRET not set, using a random secret (sessions reset on restart)');
+  sessionSecret = crypto.randomBytes(32).toString('hex');
+}
+
+const adminStore = createJsonStore('admins', { admins: [] });
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+// Random per account and replaced on password changes, so tokens from a
+// deleted account never match a new account with the same email
+function newSessionId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function signToken(payload) {
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify(payload));
+  const signature = crypto
+    .createHmac('sha256', sessionSecret)
+    .update(`${header}.${body}`)
+    .digest('base64url');
+  return `${header}.${body}.${signature}`;
+}
+
+/**
+ * Returns the token payload, or null if the token is malformed, tampered with
+ * or expired.
+ */
+function verifyToken(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  const [header, body, signature] = parts;
+  const expected = crypto
+    .createHmac('sha256', sessionSecret)
+    .update(`${header}.${body}`)
+    .digest('base64url');
+
+  const a = Buffer.from(signature);
+  const b = Buffer.from(expected);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (!payload.exp || payload.exp * 1000 < Date.now()) {
+    return null;
+  }
+
+  return payload;
+}
+
+function findAdmin(email) {
+  const target = normalizeEmail(email);
+  return adminStore.get().admins.find(admin => admin.email === target);
+}
+
+function publicAdmin(admin) {
+  return {
+    email: admin.email,
+    role: admin.role,
+    createdAt: admin.createdAt,
+    updatedAt: admin.updatedAt
+  };
+}
+
+function countOwners() {
+  return adminStore.get().admins.filter(admin => admin.role === 'owner').length;
+}
+
+function bootstrapOwner() {
+  // Accounts from before session ids get one; their old tokens stop working
+  if (adminStore.get().admins.some(admin => !admin.sessionId)) {
+    adminStore.update(state => {
+      state.admins.forEach(admin => {
+        if (!admin.sessionId) {
+          admin.sessionId = newSessionId();
+          delete admin.sessionVersion;
+        }
+      });
+    });
+  }
+
+  const email = normalizeEmail(process.env.ADMIN_OWNER_EMAIL);
+  const password = process.env.ADMIN_OWNER_PASSWORD;
+
+  if (adminStore.get().admins.length > 0 || !email || !password) {
+    return;
+  }
+
+  const now = new Date().toISOString();
+  adminStore.update(state => {
+    state.admins.push({
+      email,
+      role: 'owner',
+      passwordHash: hashPassword(password),
+      sessionId: newSessionId(),
+      createdAt: now,
+      updatedAt: now
+    });
+  });
+  console.log('Created initial owner admin:', email);
+}
+
+bootstrapOwner();
+
+/**
+ * Middleware: requires a valid session token for an admin with at least `role`.
+ * Sets req.admin = { email, role }.
+ */
+function requireRole(role) {
+  const required = ROLES[role];
+  if (!required) {
+    throw new Error(`Unknown admin role: ${role}`);
+  }
+
+  return (req, res, next) => {
+    const header = req.get('authorization') || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const payload = verifyToken(token);
+    const admin = payload && findAdmin(payload.sub);
+
+    // Deleted admins and changed passwords invalidate existing tokens
+    if (!admin || admin.sessionId !== payload.sid) {
+      return res.status(401).json({ error: 'Invalid or expired session' });
+    }
+
+    if ((ROLES[admin.role] || 0) < required) {
+      return res.status(403).json({ error: `Requires ${role} role` });
+    }
+
+    req.admin = { email: admin.email, role: admin.role };
+    next();
+  };
+}
+
+/**
+ * POST /admin/login
+ */
+function login(req, res) {
+  try {
+    const { email, password } = req.body || {};
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'email and password required' });
+    }
+
+    const admin = findAdmin(email);
+
+    if (!admin || !verifyPassword(String(password), admin.passwordHash)) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const exp = now + SESSION_TTL_SECONDS;
+    const token = signToken({
+      sub: admin.email,
+      role: admin.role,
+      sid: admin.sessionId,
+      iat: now,
+      exp
+    });
+
+    res.json({
+      token,
+      expiresAt: new Date(exp * 1000).toISOString(),
+      admin: { email: admin.email, role: admin.role }
+    });
+  } catch (error) {
+    console.error('Error logging in admin:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+}
+
+/**
+ * GET /admin/me
+ */
+function getCurrentAdmin(req, res) {
+  res.json({ admin: req.admin });
+}
+
+/**
+ * GET /admin/admins
+ */
+function listAdmins(req, res) {
+  res.json({
+    admins: adminStore.get().admins.map(publicAdmin)
+  });
+}
+
+/**
+ * POST /admin/admins
+ */
+function createAdmin(req, res) {
+  try {
+    const { password, role = 'moderator' } = req.body || {};
+    const email = normalizeEmail(req.body?.email);
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'email and password required' });
+    }
+
+    if (!ROLES[role]) {
+      return res.status(400).json({ error: `role must be one of: ${Object.keys(ROLES).join(', ')}` });
+    }
+
+    if (findAdmin(email)) {
+      return res.status(409).json({ error: 'Admin already exists' });
+    }
+
+    const now = new Date().toISOString();
+    const admin = {
+      email,
+      role,
+      passwordHash: hashPassword(String(password)),
+      sessionId: newSessionId(),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    adminStore.update(state => {
+      state.admins.push(admin);
+    });
+
+    recordAudit({
+      actor: req.admin.email,
+      action: 'admin_create',
+      changes: { [email]: { before: null, after: role } }
+    });
+
+    res.status(201).json({
+      success: true,
+      admin: publicAdmin(admin)
+    });
+  } catch (error) {
+    console.error('Error creating admin:', error);
+    res.status(500).json({ error: 'Failed to create admin' });
+  }
+}
+
+/**
+ * PATCH /admin/admins/:email
+ */
+function updateAdmin(req, res) {
+  try {
+    const admin = findAdmin(req.params.email);
+    const { password, role } = req.body || {};
+
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    if (role !== undefined && !ROLES[role]) {
+      return res.status(400).json({ error: `role must be one of: ${Object.keys(ROLES).join(', ')}` });
+    }
+
+    if (admin.role === 'owner' && role && role !== 'owner' && countOwners() === 1) {
+      return res.status(400).json({ error: 'Cannot demote the last owner' });
+    }
+
+    const previousRole = admin.role;
+
+    adminStore.update(() => {
+      if (role) {
+        admin.role = role;
+      }
+      if (password) {
+        admin.passwordHash = hashPassword(String(password));
+        admin.sessionId = newSessionId();
+      }
+      admin.updatedAt = new Date().toISOString();
+    });
+
+    recordAudit({
+      actor: req.admin.email,
+      action: 'admin_update',
+      changes: {
+        [admin.email]: { before: previousRole, after: admin.role },
+        ...(password ? { password: { before: null, after: 'changed' } } : {})
+      }
+    });
+
+    res.json({
+      success: true,
+      admin: publicAdmin(admin)
+    });
+  } catch (error) {
+    console.error('Error updating admin:', error);
+    res.status(500).json({ error: 'Failed to update admin' });
+  }
+}
+
+/**
+ * DELETE /admin/admins/:email
+ */
+function deleteAdmin(req, res) {
+  try {
+    const admin = findAdmin(req.params.email);
+
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    if (admin.role === 'owner' && countOwners() === 1) {
+      return res.status(400).json({ error: 'Cannot delete the last owner' });
+    }
+
+    adminStore.update(state => {
+      state.admins = state.admins.filter(a => a.email !== admin.email);
+    });
+
+    recordAudit({
+      actor: req.admin.email,
+      action: 'admin_delete',
+      changes: { [admin.email]: { before: admin.role, after: null } }
+    });
+
+    res.json({
+      success: true,
+      message: 'Admin deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting admin:', error);
+    res.status(500).json({ error: 'Failed to delete admin' });
+  }
+}
+
+module.exports = {
+  requireRole,
+  login,
+  getCurrentAdmin,
+  listAdmins,
+  createAdmin,
+  updateAdmin,
+  deleteAdmin
+};
@@ -0,0 +1,55 @@
+/**
+ * Outbox email provider (see email.js for the interface)
+ *
+ * Captures messages instead of sending them, for development and tests.
+ * Messages are kept in the `email-outbox` JSON store (newest last, capped
+ * at `limit`) and can be read back with getMessages() or through
+ * GET /admin/notifications/outbox.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./store');
+
+/**
+ * Options:
+ * - store: JSON store to keep messages in (default `email-outbox`)
+ * - limit: how many messages to keep (default 200)
+ * - from: sender recorded on each message
+ */
+function createOutboxEmailProvider({
+  store = createJsonStore('email-outbox', []),
+  limit = 200,
+  from = null
+} = {}) {
+  return {
+    name: 'outbox',
+
+    async send({ to, subject, text }) {
+      const message = {
+        messageId: `<${crypto.randomUUID()}@outbox>`,
+        from,
+        to,
+        subject,
+        text,
+        sentAt: new Date().toISOString()
+      };
+      store.update(messages => {
+        messages.push(message);
+        return messages.slice(-limit);
+      });
+      return { messageId: message.messageId };
+    },
+
+    getMessages() {
+      return store.get();
+    },
+
+    clear() {
+      store.set([]);
+    }
+  };
+}
+
+module.exports = {
+  createOutboxEmailProvider
+};
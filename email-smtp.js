@@ -0,0 +1,211 @@
+/**
+ * SMTP email provider (see email.js for the interface)
+ *
+ * A small SMTP client over net/tls, enough to hand plain-text mail to a relay
+ * (SES, Postmark, Mailgun, SendGrid, a local MailHog...):
+ * - secure: true connects with TLS straight away (port 465); otherwise the
+ *   connection is upgraded with STARTTLS whenever the server offers it
+ * - AUTH PLAIN when a username is set, and never over an unencrypted
+ *   connection
+ * - one connection per message
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * Reads SMTP replies ("250-...", "250 ...") from a socket, one per next() call
+ */
+function createReplyReader(socket) {
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiters = [];
+  let failure = null;
+
+  function deliver(reply) {
+    const waiter = waiters.shift();
+    if (waiter) {
+      waiter.resolve(reply);
+    } else {
+      replies.push(reply);
+    }
+  }
+
+  function fail(error) {
+    failure = failure || error;
+    waiters.splice(0).forEach(waiter => waiter.reject(failure));
+  }
+
+  function onData(chunk) {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      lines.push(line.slice(4));
+      if (/^\d{3}(?: |$)/.test(line)) {
+        deliver({ code: parseInt(line.slice(0, 3), 10), lines });
+        lines = [];
+      }
+    }
+  }
+
+  const onError = error => fail(error);
+  const onClose = () => fail(new Error('SMTP connection closed'));
+
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+
+  return {
+    next() {
+      if (replies.length > 0) {
+        return Promise.resolve(replies.shift());
+      }
+      if (failure) {
+        return Promise.reject(failure);
+      }
+      return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+    },
+    detach() {
+      socket.off('data', onData);
+      socket.off('error', onError);
+      socket.off('close', onClose);
+    }
+  };
+}
+
+// RFC 2047 encoded-word for non-ASCII header values
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function buildMessage({ from, to, subject, text, messageId }) {
+  const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+// Address part of "Name <address>" or a bare address
+function getAddress(value) {
+  const match = /<([^>]+)>/.exec(value);
+  return (match ? match[1] : value).trim();
+}
+
+/**
+ * Options:
+ * - host, port (default 587, or 465 when secure)
+ * - secure: TLS from the start instead of STARTTLS
+ * - username, password: optional AUTH PLAIN credentials
+ * - from: sender, "Name <address>" or an address
+ * - timeoutMs: per-connection inactivity timeout (default 30s)
+ */
+function createSmtpEmailProvider({
+  host,
+  port,
+  secure = false,
+  username = null,
+  password = null,
+  from,
+  timeoutMs = 30 * 1000
+}) {
+  const serverPort = port || (secure ? 465 : 587);
+
+  function connect() {
+    return new Promise((resolve, reject) => {
+      const socket = secure
+        ? tls.connect({ host, port: serverPort, servername: host }, () => resolve(socket))
+        : net.connect({ host, port: serverPort }, () => resolve(socket));
+      socket.once('error', reject);
+    });
+  }
+
+  function upgrade(socket) {
+    return new Promise((resolve, reject) => {
+      const tlsSocket = tls.connect({ socket, servername: host }, () => resolve(tlsSocket));
+      tlsSocket.once('error', reject);
+    });
+  }
+
+  async function send({ to, subject, text }) {
+    const messageId = `<${crypto.randomUUID()}@${getAddress(from).split('@')[1] || os.hostname()}>`;
+    let socket = await connect();
+    let encrypted = secure;
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error('SMTP timeout')));
+    let reader = createReplyReader(socket);
+
+    async function command(line, expected, label = line.split(' ')[0]) {
+      if (line) {
+        socket.write(`${line}\r\n`);
+      }
+      const reply = await reader.next();
+      if (!expected.includes(reply.code)) {
+        throw new Error(`SMTP ${label} failed: ${reply.code} ${reply.lines.join(' ')}`);
+      }
+      return reply;
+    }
+
+    try {
+      await command(null, [220], 'greeting');
+      let hello = await command(`EHLO ${os.hostname()}`, [250]);
+
+      if (!encrypted && hello.lines.some(line => /^STARTTLS\b/i.test(line))) {
+        await command('STARTTLS', [220]);
+        reader.detach();
+        socket.setTimeout(0);
+        socket = await upgrade(socket);
+        socket.setTimeout(timeoutMs, () => socket.destroy(new Error('SMTP timeout')));
+        reader = createReplyReader(socket);
+        encrypted = true;
+        hello = await command(`EHLO ${os.hostname()}`, [250]);
+      }
+
+      if (username) {
+        if (!encrypted) {
+          throw new Error('SMTP server does not support TLS; refusing to send credentials');
+        }
+        const credentials = Buffer.from(`\0${username}\0${password || ''}`, 'utf8').toString('base64');
+        await command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+      }
+
+      await command(`MAIL FROM:<${getAddress(from)}>`, [250], 'MAIL');
+      await command(`RCPT TO:<${getAddress(to)}>`, [250, 251], 'RCPT');
+      await command('DATA', [354]);
+
+      // Dot-stuffing: lines starting with "." get another one
+      const message = buildMessage({ from, to, subject, text, messageId }).replace(/^\./gm, '..');
+      await command(`${message}\r\n.`, [250], 'DATA');
+
+      socket.write('QUIT\r\n');
+      return { messageId };
+    } finally {
+      reader.detach();
+      socket.end();
+      socket.destroy();
+    }
+  }
+
+  return {
+    name: 'smtp',
+    send
+  };
+}
+
+module.exports = {
+  createSmtpEmailProvider
+};
@@ -0,0 +1,53 @@
+/**
+ * Email provider selection
+ *
+ * Notification code talks to a provider instead of a mail library, so the
+ * transport can change through config:
+ *
+ * EMAIL_PROVIDER=smtp
+ *   SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE (TLS from the start,
+ *   e.g. port 465), SMTP_USERNAME, SMTP_PASSWORD
+ * EMAIL_PROVIDER=outbox
+ *   Captures messages in DATA_DIR/email-outbox.json instead of sending
+ * EMAIL_PROVIDER unset: no email is sent
+ *
+ * EMAIL_FROM sets the sender for every provider.
+ *
+ * Every provider implements async send({ to, subject, text }) -> { messageId }.
+ */
+
+const { createSmtpEmailProvider } = require('./email-smtp');
+const { createOutboxEmailProvider } = require('./email-outbox');
+
+function createEmailProvider(env = process.env) {
+  const provider = env.EMAIL_PROVIDER;
+  const from = env.EMAIL_FROM || 'Chug Champ <no-reply@chugchamp.com>';
+
+  if (provider === 'smtp') {
+    if (!env.SMTP_HOST) {
+      throw new Error('EMAIL_PROVIDER=smtp requires SMTP_HOST');
+    }
+    return createSmtpEmailProvider({
+      host: env.SMTP_HOST,
+      port: parseInt(env.SMTP_PORT, 10) || undefined,
+      secure: env.SMTP_SECURE === 'true',
+      username: env.SMTP_USERNAME || null,
+      password: env.SMTP_PASSWORD || null,
+      from
+    });
+  }
+
+  if (provider === 'outbox') {
+    return createOutboxEmailProvider({ from });
+  }
+
+  if (provider) {
+    throw new Error(`Unknown EMAIL_PROVIDER: ${provider}`);
+  }
+
+  return null;
+}
+
+module.exports = {
+  createEmailProvider
+};
@@ -0,0 +1,557 @@
+/**
+ * Server-rendered leaderboard embeds for tenants (see tenants.js)
+ *
+ * GET /embed/:leaderboard_name
+ * - Standalone HTML page for an <iframe>. With the tenant's allowed_origins
+ *   set, only those (and the core origins) may frame it.
+ * GET /embed/:leaderboard_name/fragment
+ * - The same board as an HTML fragment with its own scoped styles, for
+ *   server-side includes or innerHTML
+ * GET /embed/:leaderboard_name/card.svg
+ * GET /embed/:leaderboard_name/card.png
+ * - 1200x630 "top 10" image card for social posts. The PNG draws thumbnails
+ *   and the logo when ffmpeg can decode them, otherwise a placeholder. PNG
+ *   requests are rate limited per IP (index.js).
+ * GET /oembed?url=<embed or whitelabel URL>&maxwidth=&maxheight=&format=json
+ * - oEmbed "rich" response with an iframe, and the PNG card as thumbnail
+ *
+ * Query params (all optional):
+ * - limit: entries shown, 1-100 for HTML (default 10), 1-10 for cards
+ * - theme: light (default) | dark
+ * - accent, background, text: hex colors (e.g. ff6600) overriding the theme
+ *   and the tenant's branding
+ * - thumbnails: false to hide thumbnails
+ * - rank_by, beer_style, container, window, per_handle: as on /whitelabel
+ * - access_key: required for private tenants, and kept on generated links
+ *
+ * Entries show their rank, and their thumbnail when one has been generated.
+ * Colors come from the theme, then the tenant's branding (primary_color as
+ * accent, background_color, text_color), then the query.
+ */
+
+const { parseRankingOptions, buildLeaderboard } = require('./leaderboard-ranking');
+const { isPublished } = require('./whitelabel');
+const { getTenant, hasAccessKey, getTenantEntries } = require('./tenants');
+const { runFfmpeg } = require('./thumbnails');
+const { createCanvas, measureText, fitText, GLYPH_HEIGHT } = require('./raster');
+
+const THEMES = {
+  light: { background: '#ffffff', text: '#111111', muted: '#6b6b6b', row: '#f3f3f3', accent: '#f5a623' },
+  dark: { background: '#121212', text: '#f5f5f5', muted: '#9a9a9a', row: '#1f1f1f', accent: '#f5a623' }
+};
+
+const HTML_MAX_LIMIT = 100;
+const CARD_MAX_LIMIT = 10;
+const DEFAULT_LIMIT = 10;
+
+// Query params carried over to generated links
+const EMBED_PARAMS = [
+  'limit', 'theme', 'accent', 'background', 'text', 'thumbnails',
+  'rank_by', 'beer_style', 'container', 'window', 'per_handle', 'access_key'
+];
+
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+const CARD_HEADER = 150;
+const CARD_ROW = 45;
+const CARD_THUMB = 36;
+const CARD_LOGO = 72;
+
+const FONT_STACK = 'system-ui, -apple-system, \'Segoe UI\', Roboto, Helvetica, Arial, sans-serif';
+
+const IMAGE_TIMEOUT_MS = 10 * 1000;
+const IMAGE_CACHE_SIZE = 300;
+// Failed decodes are retried after this, so a flaky image host recovers
+const IMAGE_FAILURE_TTL_MS = 5 * 60 * 1000;
+
+const HEX_COLOR = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function isHttpUrl(value) {
+  return typeof value === 'string' && /^https?:\/\//i.test(value);
+}
+
+/**
+ * Reads and validates the embed options from a query object.
+ * Returns { options } or { error }.
+ */
+function parseEmbedOptions(query, maxLimit) {
+  const { options: ranking, error } = parseRankingOptions(query);
+  if (error) {
+    return { error };
+  }
+  if (ranking.group_by) {
+    return { error: 'group_by is not supported on embeds' };
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    return { error: `limit must be a whole number from 1 to ${maxLimit}` };
+  }
+
+  // Repeated params arrive as arrays
+  const invalid = ['limit', 'theme', 'thumbnails', 'accent', 'background', 'text']
+    .find(key => query[key] !== undefined && typeof query[key] !== 'string');
+  if (invalid) {
+    return { error: `${invalid} must be given once` };
+  }
+
+  const theme = query.theme || 'light';
+  if (!THEMES[theme]) {
+    return { error: `theme must be one of: ${Object.keys(THEMES).join(', ')}` };
+  }
+
+  const colors = {};
+  for (const key of ['accent', 'background', 'text']) {
+    if (query[key] !== undefined) {
+      if (!HEX_COLOR.test(query[key])) {
+        return { error: `${key} must be a hex color like ff6600` };
+      }
+      colors[key] = `#${query[key].replace(/^#/, '')}`;
+    }
+  }
+
+  return {
+    options: {
+      ranking,
+      limit,
+      theme,
+      colors,
+      thumbnails: query.thumbnails !== 'false'
+    }
+  };
+}
+
+function resolveColors(tenant, options) {
+  const { branding } = tenant;
+  return {
+    ...THEMES[options.theme],
+    ...(branding.primary_color && { accent: branding.primary_color }),
+    ...(branding.background_color && { background: branding.background_color }),
+    ...(branding.text_color && { text: branding.text_color }),
+    ...options.colors
+  };
+}
+
+function formatScore(entry, rankBy) {
+  if (entry.score === null || entry.score === undefined) {
+    return '-';
+  }
+  return rankBy === 'per_oz' ? `${entry.score.toFixed(3)} s/oz` : `${entry.score.toFixed(2)}s`;
+}
+
+function displayHandle(entry) {
+  if (entry.handle_text) {
+    return entry.handle_text;
+  }
+  try {
+    const url = new URL(entry.handle_url);
+    return url.hostname.replace(/^www\./, '') + url.pathname.replace(/\/+$/, '');
+  } catch (error) {
+    return 'Anonymous';
+  }
+}
+
+function truncate(text, maxChars) {
+  return text.length > maxChars ? `${text.slice(0, Math.max(maxChars - 3, 0))}...` : text;
+}
+
+/**
+ * Builds a query string from the embed params present in `query`
+ */
+function embedQuery(query) {
+  const params = new URLSearchParams();
+  EMBED_PARAMS.forEach(key => {
+    const value = query[key];
+    if (value !== undefined && value !== null && value !== '') {
+      params.set(key, value);
+    }
+  });
+  const string = params.toString();
+  return string ? `?${string}` : '';
+}
+
+/**
+ * Options:
+ * - leaderboardData: shared leaderboard data layer
+ * - coreOrigins: origins that may frame every tenant's page
+ * - publicBaseUrl: this service's public URL for absolute links (default
+ *   derived from the request)
+ * - ffmpegPath: used to decode thumbnails and logos for the PNG card
+ * - providerName: oEmbed provider_name
+ */
+function createEmbeds({
+  leaderboardData,
+  coreOrigins = [],
+  publicBaseUrl = null,
+  ffmpegPath = 'ffmpeg',
+  providerName = 'Chug Champ'
+}) {
+  // url|WxH -> { decoded: Promise<RGB buffer | null>, expiresAt }, oldest
+  // evicted first; expiresAt is set when the decode failed
+  const imageCache = new Map();
+
+  function getBaseUrl(req) {
+    if (publicBaseUrl) {
+      return publicBaseUrl.replace(/\/+$/, '');
+    }
+    // Same rule as the upload URLs: Render terminates TLS in front of us
+    const protocol = req.get('host').includes('onrender.com') ? 'https' : req.protocol;
+    return `${protocol}://${req.get('host')}`;
+  }
+
+  function embedUrl(req, tenant, path = '', query = req.query) {
+    return `${getBaseUrl(req)}/embed/${encodeURIComponent(tenant.name)}${path}${embedQuery(query)}`;
+  }
+
+  async function loadBoard(tenant, options) {
+    const entries = await leaderboardData.getAllEntries();
+    const ranked = buildLeaderboard(getTenantEntries(tenant, entries).filter(isPublished), options.ranking).entries;
+    return {
+      count: ranked.length,
+      entries: ranked.slice(0, options.limit)
+    };
+  }
+
+  /**
+   * Decodes an image URL to a w x h RGB buffer with ffmpeg (cropped to fill).
+   * Resolves null when it can't, so cards fall back to a placeholder.
+   */
+  function decodeImage(url, width, height) {
+    if (!isHttpUrl(url)) {
+      return Promise.resolve(null);
+    }
+
+    const key = `${url}|${width}x${height}`;
+    const cached = imageCache.get(key);
+    if (cached && (cached.expiresAt === null || cached.expiresAt > Date.now())) {
+      return cached.decoded;
+    }
+
+    const item = { decoded: null, expiresAt: null };
+    item.decoded = runFfmpeg(ffmpegPath, [
+      '-v', 'error',
+      '-protocol_whitelist', 'http,https,tcp,tls',
+      '-i', url,
+      '-frames:v', '1',
+      '-vf', `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}`,
+      '-f', 'rawvideo',
+      '-pix_fmt', 'rgb24',
+      'pipe:1'
+    ], IMAGE_TIMEOUT_MS)
+      .then(buffer => (buffer.length === width * height * 3 ? buffer : null))
+      .catch(error => {
+        console.error('Failed to decode image for card:', error.message);
+        return null;
+      })
+      .then(buffer => {
+        if (!buffer) {
+          item.expiresAt = Date.now() + IMAGE_FAILURE_TTL_MS;
+        }
+        return buffer;
+      });
+
+    imageCache.delete(key);
+    imageCache.set(key, item);
+    if (imageCache.size > IMAGE_CACHE_SIZE) {
+      imageCache.delete(imageCache.keys().next().value);
+    }
+    return item.decoded;
+  }
+
+  function renderFragment(tenant, board, options) {
+    const colors = resolveColors(tenant, options);
+    const { logo_url: logoUrl } = tenant.branding;
+
+    const rows = board.entries.map(entry => {
+      const thumbnail = options.thumbnails && isHttpUrl(entry.thumbnail_url)
+        ? `<img class="cc-thumb" src="${escapeHtml(entry.thumbnail_url)}" alt="" loading="lazy" width="40" height="40">`
+        : '';
+      const media = thumbnail && isHttpUrl(entry.video_url)
+        ? `<a href="${escapeHtml(entry.video_url)}" target="_blank" rel="noopener">${thumbnail}</a>`
+        : thumbnail;
+      const handle = isHttpUrl(entry.handle_url)
+        ? `<a href="${escapeHtml(entry.handle_url)}" target="_blank" rel="noopener">${escapeHtml(displayHandle(entry))}</a>`
+        : escapeHtml(displayHandle(entry));
+      const podium = entry.rank !== null && entry.rank <= 3 ? ' cc-podium' : '';
+
+      return `<li class="cc-row${podium}">` +
+        `<span class="cc-rank">${entry.rank === null ? '-' : entry.rank}</span>` +
+        media +
+        `<span class="cc-handle">${handle}</span>` +
+        `<span class="cc-score">${escapeHtml(formatScore(entry, options.ranking.rank_by))}</span>` +
+        '</li>';
+    }).join('');
+
+    return `<div class="cc-board" style="--cc-bg:${colors.background};--cc-text:${colors.text};--cc-muted:${colors.muted};--cc-row:${colors.row};--cc-accent:${colors.accent}">` +
+      '<style>' +
+      `.cc-board{background:var(--cc-bg);color:var(--cc-text);font-family:${FONT_STACK};padding:16px;border-top:4px solid var(--cc-accent);box-sizing:border-box}` +
+      '.cc-header{display:flex;align-items:center;gap:12px;margin-bottom:12px}' +
+      '.cc-logo{height:40px;width:auto}' +
+      '.cc-title{margin:0;font-size:20px}' +
+      '.cc-list{list-style:none;margin:0;padding:0}' +
+      '.cc-row{display:flex;align-items:center;gap:12px;padding:4px 8px;min-height:48px;border-radius:6px}' +
+      '.cc-row:nth-child(odd){background:var(--cc-row)}' +
+      '.cc-rank{width:2.5em;font-weight:700;color:var(--cc-muted);text-align:right}' +
+      '.cc-podium .cc-rank{color:var(--cc-accent)}' +
+      '.cc-thumb{width:40px;height:40px;object-fit:cover;border-radius:4px;display:block}' +
+      '.cc-handle{flex:1;overflow:hidden;text-overflow:ellipsis;white-space:nowrap}' +
+      '.cc-board a{color:inherit;text-decoration:none}' +
+      '.cc-score{font-variant-numeric:tabular-nums;font-weight:600}' +
+      '.cc-empty{color:var(--cc-muted)}' +
+      '.cc-footer{margin-top:12px;font-size:12px;color:var(--cc-muted)}' +
+      '</style>' +
+      '<header class="cc-header">' +
+      (isHttpUrl(logoUrl) ? `<img class="cc-logo" src="${escapeHtml(logoUrl)}" alt="">` : '') +
+      `<h2 class="cc-title">${escapeHtml(tenant.display_name)}</h2>` +
+      '</header>' +
+      (rows ? `<ol class="cc-list">${rows}</ol>` : '<p class="cc-empty">No verified entries yet</p>') +
+      `<footer class="cc-footer">Powered by ${escapeHtml(providerName)}</footer>` +
+      '</div>';
+  }
+
+  function renderPage(req, tenant, board, options) {
+    const pageUrl = embedUrl(req, tenant);
+    const title = `${tenant.display_name} leaderboard`;
+    return '<!DOCTYPE html>' +
+      '<html lang="en"><head>' +
+      '<meta charset="utf-8">' +
+      '<meta name="viewport" content="width=device-width, initial-scale=1">' +
+      `<title>${escapeHtml(title)}</title>` +
+      `<link rel="alternate" type="application/json+oembed" href="${escapeHtml(`${getBaseUrl(req)}/oembed?url=${encodeURIComponent(pageUrl)}`)}" title="${escapeHtml(title)}">` +
+      `<meta property="og:title" content="${escapeHtml(title)}">` +
+      `<meta property="og:image" content="${escapeHtml(embedUrl(req, tenant, '/card.png', { ...req.query, limit: Math.min(options.limit, CARD_MAX_LIMIT) }))}">` +
+      `<style>html,body{margin:0;background:${resolveColors(tenant, options).background}}</style>` +
+      '</head><body>' +
+      renderFragment(tenant, board, options) +
+      '</body></html>';
+  }
+
+  function cardSubtitle(board, options) {
+    const by = options.ranking.rank_by === 'per_oz' ? 'seconds per oz' : 'time';
+    return `Top ${Math.min(options.limit, board.count)} of ${board.count} - ranked by ${by}`;
+  }
+
+  function renderSvgCard(tenant, board, options) {
+    const colors = resolveColors(tenant, options);
+    const { logo_url: logoUrl } = tenant.branding;
+    const titleX = isHttpUrl(logoUrl) ? 40 + CARD_LOGO + 24 : 40;
+    const handleX = options.thumbnails ? 150 : 110;
+
+    const rows = board.entries.map((entry, index) => {
+      const y = CARD_HEADER + index * CARD_ROW;
+      const textY = y + CARD_ROW / 2 + 8;
+      const rankColor = entry.rank !== null && entry.rank <= 3 ? colors.accent : colors.muted;
+      const thumbnail = options.thumbnails && isHttpUrl(entry.thumbnail_url)
+        ? `<image href="${escapeHtml(entry.thumbnail_url)}" x="100" y="${y + (CARD_ROW - CARD_THUMB) / 2}" width="${CARD_THUMB}" height="${CARD_THUMB}" preserveAspectRatio="xMidYMid slice"/>`
+        : '';
+
+      return (index % 2 === 0 ? `<rect x="24" y="${y}" width="${CARD_WIDTH - 48}" height="${CARD_ROW}" rx="6" fill="${colors.row}"/>` : '') +
+        `<text x="80" y="${textY}" text-anchor="end" font-size="24" font-weight="700" fill="${rankColor}">${entry.rank === null ? '-' : entry.rank}</text>` +
+        thumbnail +
+        `<text x="${handleX}" y="${textY}" font-size="24" fill="${colors.text}">${escapeHtml(truncate(displayHandle(entry), 50))}</text>` +
+        `<text x="${CARD_WIDTH - 48}" y="${textY}" text-anchor="end" font-size="24" font-weight="600" fill="${colors.text}">${escapeHtml(formatScore(entry, options.ranking.rank_by))}</text>`;
+    }).join('');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}" font-family="${escapeHtml(FONT_STACK)}">` +
+      `<rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="${colors.background}"/>` +
+      `<rect width="${CARD_WIDTH}" height="8" fill="${colors.accent}"/>` +
+      (isHttpUrl(logoUrl) ? `<image href="${escapeHtml(logoUrl)}" x="40" y="36" width="${CARD_LOGO}" height="${CARD_LOGO}" preserveAspectRatio="xMidYMid meet"/>` : '') +
+      `<text x="${titleX}" y="80" font-size="44" font-weight="700" fill="${colors.text}">${escapeHtml(truncate(tenant.display_name, 40))}</text>` +
+      `<text x="${titleX}" y="118" font-size="22" fill="${colors.muted}">${escapeHtml(cardSubtitle(board, options))}</text>` +
+      (rows || `<text x="40" y="${CARD_HEADER + 40}" font-size="28" fill="${colors.muted}">No verified entries yet</text>`) +
+      `<text x="${CARD_WIDTH - 40}" y="${CARD_HEIGHT - 16}" text-anchor="end" font-size="18" fill="${colors.muted}">${escapeHtml(providerName)}</text>` +
+      '</svg>';
+  }
+
+  async function renderPngCard(tenant, board, options) {
+    const colors = resolveColors(tenant, options);
+    const { logo_url: logoUrl } = tenant.branding;
+    const canvas = createCanvas(CARD_WIDTH, CARD_HEIGHT, colors.background);
+    const handleX = options.thumbnails ? 150 : 110;
+
+    // Decoded one at a time; ffmpeg is CPU-heavy and results are cached
+    const logo = isHttpUrl(logoUrl) ? await decodeImage(logoUrl, CARD_LOGO, CARD_LOGO) : null;
+    const thumbnails = [];
+    for (const entry of board.entries) {
+      thumbnails.push(options.thumbnails && isHttpUrl(entry.thumbnail_url)
+        ? await decodeImage(entry.thumbnail_url, CARD_THUMB, CARD_THUMB)
+        : null);
+    }
+
+    canvas.fillRect(0, 0, CARD_WIDTH, 8, colors.accent);
+
+    const titleX = logo ? 40 + CARD_LOGO + 24 : 40;
+    if (logo) {
+      canvas.drawImage(logo, CARD_LOGO, CARD_LOGO, 40, 36);
+    }
+    canvas.drawText(fitText(tenant.display_name, CARD_WIDTH - titleX - 40, 6), titleX, 40, { scale: 6, color: colors.text });
+    canvas.drawText(cardSubtitle(board, options), titleX, 100, { scale: 3, color: colors.muted });
+
+    const rowScale = 4;
+    const textOffset = Math.round((CARD_ROW - (GLYPH_HEIGHT - 1) * rowScale) / 2);
+
+    board.entries.forEach((entry, index) => {
+      const y = CARD_HEADER + index * CARD_ROW;
+      if (index % 2 === 0) {
+        canvas.fillRect(24, y, CARD_WIDTH - 48, CARD_ROW, colors.row);
+      }
+
+      const rank = entry.rank === null ? '-' : String(entry.rank);
+      const rankColor = entry.rank !== null && entry.rank <= 3 ? colors.accent : colors.muted;
+      canvas.drawText(rank, 80 - measureText(rank, rowScale), y + textOffset, { scale: rowScale, color: rankColor });
+
+      if (options.thumbnails) {
+        const thumbY = y + Math.round((CARD_ROW - CARD_THUMB) / 2);
+        if (thumbnails[index]) {
+          canvas.drawImage(thumbnails[index], CARD_THUMB, CARD_THUMB, 100, thumbY);
+        } else if (entry.thumbnail_url) {
+          canvas.fillRect(100, thumbY, CARD_THUMB, CARD_THUMB, colors.muted);
+        }
+      }
+
+      const score = formatScore(entry, options.ranking.rank_by);
+      const scoreWidth = measureText(score, rowScale);
+      const handleWidth = CARD_WIDTH - 48 - scoreWidth - 32 - handleX;
+      canvas.drawText(fitText(displayHandle(entry), handleWidth, rowScale), handleX, y + textOffset, { scale: rowScale, color: colors.text });
+      canvas.drawText(score, CARD_WIDTH - 48 - scoreWidth, y + textOffset, { scale: rowScale, color: colors.text });
+    });
+
+    if (board.entries.length === 0) {
+      canvas.drawText('No verified entries yet', 40, CARD_HEADER + 20, { scale: 4, color: colors.muted });
+    }
+
+    canvas.drawText(providerName, CARD_WIDTH - 40 - measureText(providerName, 2), CARD_HEIGHT - 28, { scale: 2, color: colors.muted });
+
+    return canvas.toPng();
+  }
+
+  function sendError(res, error, message) {
+    if (error.details) {
+      return res.status(500).json({ error: 'Failed to fetch entries', details: error.details });
+    }
+    console.error(message, error);
+    res.status(500).json({ error: 'Failed to render leaderboard' });
+  }
+
+  /**
+   * Route handler rendering `format` (page | fragment | svg | png) for
+   * req.tenant (set by requireTenant)
+   */
+  function renderEmbed(format) {
+    const maxLimit = format === 'svg' || format === 'png' ? CARD_MAX_LIMIT : HTML_MAX_LIMIT;
+
+    return async (req, res) => {
+      try {
+        const { tenant } = req;
+
+        const { options, error } = parseEmbedOptions(req.query, maxLimit);
+        if (error) {
+          return res.status(400).json({ error });
+        }
+
+        const board = await loadBoard(tenant, options);
+        res.set('Cache-Control', `${tenant.visibility === 'private' ? 'private' : 'public'}, max-age=60`);
+
+        if (format === 'page') {
+          if (tenant.allowed_origins.length > 0) {
+            const ancestors = ['\'self\'', ...coreOrigins, ...tenant.allowed_origins];
+            res.set('Content-Security-Policy', `frame-ancestors ${[...new Set(ancestors)].join(' ')}`);
+          }
+          return res.type('html').send(renderPage(req, tenant, board, options));
+        }
+        if (format === 'fragment') {
+          return res.type('html').send(renderFragment(tenant, board, options));
+        }
+        if (format === 'svg') {
+          return res.type('image/svg+xml').send(renderSvgCard(tenant, board, options));
+        }
+        res.type('png').send(await renderPngCard(tenant, board, options));
+      } catch (error) {
+        sendError(res, error, 'Error rendering leaderboard embed:');
+      }
+    };
+  }
+
+  /**
+   * GET /oembed
+   */
+  function getOembed(req, res) {
+    const { url, format = 'json' } = req.query;
+
+    if (format !== 'json') {
+      return res.status(501).json({ error: 'Only format=json is supported' });
+    }
+
+    let target;
+    try {
+      target = new URL(url);
+    } catch (error) {
+      return res.status(400).json({ error: 'url is required' });
+    }
+
+    const match = /^\/(?:embed|whitelabel\/name)\/([^/]+)/.exec(target.pathname);
+    let name = null;
+    try {
+      name = match && decodeURIComponent(match[1]);
+    } catch (error) {
+      return res.status(400).json({ error: 'url is not a valid leaderboard URL' });
+    }
+    const tenant = name && getTenant(name);
+    if (!tenant) {
+      return res.status(404).json({ error: 'Leaderboard not found' });
+    }
+
+    const query = Object.fromEntries(target.searchParams);
+    if (tenant.visibility === 'private' && !hasAccessKey(tenant, query.access_key)) {
+      return res.status(401).json({ error: 'Leaderboard is private' });
+    }
+
+    const { options, error } = parseEmbedOptions(query, HTML_MAX_LIMIT);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const maxWidth = parseInt(req.query.maxwidth, 10) || Infinity;
+    const maxHeight = parseInt(req.query.maxheight, 10) || Infinity;
+    const width = Math.min(480, maxWidth);
+    const height = Math.min(120 + options.limit * 52, maxHeight);
+    const title = `${tenant.display_name} leaderboard`;
+    const src = embedUrl(req, tenant, '', query);
+
+    res.json({
+      version: '1.0',
+      type: 'rich',
+      provider_name: providerName,
+      provider_url: getBaseUrl(req),
+      title,
+      html: `<iframe src="${escapeHtml(src)}" width="${width}" height="${height}" style="border:0" loading="lazy" title="${escapeHtml(title)}"></iframe>`,
+      width,
+      height,
+      cache_age: 300,
+      // The card is only offered when it fits the requested size
+      ...(CARD_WIDTH <= maxWidth && CARD_HEIGHT <= maxHeight && {
+        thumbnail_url: embedUrl(req, tenant, '/card.png', { ...query, limit: Math.min(options.limit, CARD_MAX_LIMIT) }),
+        thumbnail_width: CARD_WIDTH,
+        thumbnail_height: CARD_HEIGHT
+      })
+    });
+  }
+
+  return {
+    renderEmbed,
+    getOembed
+  };
+}
+
+module.exports = {
+  createEmbeds
+};
@@ -0,0 +1,710 @@
+/**
+ * Time-boxed competitions ("fastest chug this Saturday")
+ *
+ * An event is bound to a leaderboard (leaderboard_name and/or
+ * leaderboard_type) and open between opens_at and closes_at. Verified entries
+ * on that board dated (date_iso) inside the window that meet the rules count,
+ * each person's best only (per_handle=best). Events live in the `events` JSON
+ * store:
+ *
+ * {
+ *   id: '9f2c4e1a0b7d3e55',
+ *   name: 'Fastest chug this Saturday',
+ *   description: '',
+ *   leaderboard_name: 'RAB',             // a registered tenant, or null
+ *   leaderboard_type: null,              // or e.g. 'Beer/Seltzer'
+ *   opens_at: '2024-06-01T18:00:00.000Z',
+ *   closes_at: '2024-06-01T23:59:59.000Z',
+ *   rules: { containers: ['can'], min_volume_oz: 12, max_volume_oz: 16 },
+ *   rank_by: 'time',                     // time | per_oz
+ *   prizes: [{ place: 1, prize: '$100 bar tab' }],
+ *   winner_count: 3,
+ *   results: null                        // set when the event closes
+ * }
+ *
+ * Submissions may name an event with contact[event_id]: /submit-chug then
+ * rejects them outside the window or when they break the rules, and fills in
+ * the event's leaderboard. Entries submitted to the board without an
+ * event_id still count if they qualify.
+ *
+ * Freezing: once closes_at (plus EVENT_FREEZE_DELAY_MINUTES, time for
+ * moderators to verify the last entries) has passed, the standings are
+ * computed once and stored in `results` with the winners. Later edits,
+ * verifications and deletions don't change them; an owner can recompute them
+ * with POST /admin/events/:id/freeze.
+ *
+ * Public endpoints (events on private tenants need the tenant's access_key,
+ * as ?access_key= or X-Tenant-Key, and aren't listed):
+ *
+ * GET /events
+ * - Query: status (upcoming | open | closed | final), leaderboard_name, leaderboard_type
+ * GET /events/:id
+ * - The event, with live `standings` until results are frozen
+ * GET /events/:id/results
+ * - Frozen { frozenAt, count, winners, standings }; 409 until then
+ *
+ * Endpoints (owner):
+ *
+ * GET /admin/events
+ * POST /admin/events
+ * - Body: event fields above (name, a leaderboard, opens_at and closes_at required); returns 201
+ * PATCH /admin/events/:id
+ * - Body: any event field. Once results are frozen only name and description can change.
+ * DELETE /admin/events/:id
+ * POST /admin/events/:id/freeze
+ * - Recomputes and stores the results now (the event must have closed)
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./store');
+const { CONTAINERS, LEADERBOARD_TYPES, findEnumValue } = require('./submission-schema');
+const { buildLeaderboard } = require('./leaderboard-ranking');
+const { isPublished } = require('./whitelabel');
+const { getTenant, hasAccessKey, getTenantEntries } = require('./tenants');
+const { recordAudit } = require('./audit-log');
+
+const RANK_BY = ['time', 'per_oz'];
+const STATUSES = ['upcoming', 'open', 'closed', 'final'];
+const NAME_MAX_LENGTH = 100;
+const DESCRIPTION_MAX_LENGTH = 1000;
+const DEFAULT_WINNER_COUNT = 3;
+
+// Frozen standings keep this many entries; winners are always kept
+const STANDINGS_LIMIT = 100;
+
+// Fields still editable once results are frozen
+const FROZEN_EDITABLE = ['name', 'description'];
+
+const eventStore = createJsonStore('events', { events: [] });
+
+function getEvent(id) {
+  return eventStore.get().events.find(event => event.id === id) || null;
+}
+
+function getEventStatus(event, now = Date.now()) {
+  if (event.results) return 'final';
+  if (now < Date.parse(event.opens_at)) return 'upcoming';
+  if (now <= Date.parse(event.closes_at)) return 'open';
+  return 'closed';
+}
+
+/**
+ * Rule violations for an entry's (or submission's) container and volume
+ */
+function checkRules(event, values) {
+  const { containers, min_volume_oz, max_volume_oz } = event.rules;
+  const errors = [];
+  const volume = parseFloat(values.volume_oz);
+
+  if (containers.length > 0 && findEnumValue(containers, values.container) === null) {
+    errors.push({ field: 'container', message: `must be one of: ${containers.join(', ')} for this event` });
+  }
+  if (min_volume_oz !== null && !(volume >= min_volume_oz)) {
+    errors.push({ field: 'volume_oz', message: `must be at least ${min_volume_oz} for this event` });
+  }
+  if (max_volume_oz !== null && !(volume <= max_volume_oz)) {
+    errors.push({ field: 'volume_oz', message: `must be at most ${max_volume_oz} for this event` });
+  }
+  return errors;
+}
+
+/**
+ * Verified entries that count towards the event
+ */
+function getEligibleEntries(event, entries) {
+  let board = entries;
+  if (event.leaderboard_name) {
+    const tenant = getTenant(event.leaderboard_name);
+    board = tenant ? getTenantEntries(tenant, entries) : [];
+  }
+
+  const opensAt = Date.parse(event.opens_at);
+  const closesAt = Date.parse(event.closes_at);
+
+  return board.filter(entry => {
+    if (event.leaderboard_type && findEnumValue([event.leaderboard_type], entry.leaderboard_type) === null) return false;
+    const date = Date.parse(entry.date_iso);
+    if (isNaN(date) || date < opensAt || date > closesAt) return false;
+    return isPublished(entry) && checkRules(event, entry).length === 0;
+  });
+}
+
+function rankEvent(event, entries) {
+  return buildLeaderboard(getEligibleEntries(event, entries), {
+    rank_by: event.rank_by,
+    group_by: null,
+    beer_style: null,
+    container: null,
+    window: 'all',
+    per_handle: 'best'
+  }).entries;
+}
+
+/**
+ * Entries placed within winner_count (ties share a place), with their prize
+ */
+function pickWinners(event, standings) {
+  return standings
+    .filter(entry => entry.rank !== null && entry.rank <= event.winner_count)
+    .map(entry => ({
+      place: entry.rank,
+      prize: event.prizes.find(prize => prize.place === entry.rank)?.prize || null,
+      entry
+    }));
+}
+
+function publicEvent(event) {
+  const { results, ...rest } = event;
+  return { ...rest, status: getEventStatus(event) };
+}
+
+/**
+ * Checks a /submit-chug submission that names an event. Returns { errors }
+ * and, when the event's leaderboard should be filled in, `fill` (field
+ * values to set).
+ */
+function checkEventSubmission(eventId, values) {
+  const event = getEvent(eventId);
+  if (!event) {
+    return { errors: [{ field: 'event_id', message: 'is not a known event' }] };
+  }
+
+  const status = getEventStatus(event);
+  if (status === 'upcoming') {
+    return { errors: [{ field: 'event_id', message: `is not open until ${event.opens_at}` }] };
+  }
+  if (status !== 'open') {
+    return { errors: [{ field: 'event_id', message: `closed at ${event.closes_at}` }] };
+  }
+
+  const errors = checkRules(event, values);
+  const fill = {};
+  ['leaderboard_name', 'leaderboard_type'].forEach(key => {
+    if (!event[key]) return;
+    if (!values[key]) {
+      fill[key] = event[key];
+    } else if (values[key].trim().toLowerCase() !== event[key].toLowerCase()) {
+      errors.push({ field: key, message: `must be ${event[key]} for this event` });
+    }
+  });
+  return { errors, fill };
+}
+
+function parseVolume(value) {
+  if (value === null) return null;
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return isNaN(number) || number <= 0 ? undefined : number;
+}
+
+/**
+ * Validates event fields from a request body. Returns { values, errors }
+ * with only the keys that were sent.
+ */
+function validateEventFields(input, mode = 'create') {
+  const values = {};
+  const errors = [];
+  const has = key => input[key] !== undefined;
+
+  if (mode === 'create' || has('name')) {
+    if (typeof input.name !== 'string' || !input.name.trim() || input.name.length > NAME_MAX_LENGTH) {
+      errors.push({ field: 'name', message: `is required, max ${NAME_MAX_LENGTH} characters` });
+    } else {
+      values.name = input.name.trim();
+    }
+  }
+
+  if (has('description')) {
+    if (typeof input.description !== 'string' || input.description.length > DESCRIPTION_MAX_LENGTH) {
+      errors.push({ field: 'description', message: `must be a string, max ${DESCRIPTION_MAX_LENGTH} characters` });
+    } else {
+      values.description = input.description.trim();
+    }
+  }
+
+  if (has('leaderboard_name')) {
+    const tenant = input.leaderboard_name === null ? null : getTenant(input.leaderboard_name);
+    if (input.leaderboard_name !== null && !tenant) {
+      errors.push({ field: 'leaderboard_name', message: 'is not a known leaderboard' });
+    } else {
+      values.leaderboard_name = tenant ? tenant.name : null;
+    }
+  }
+
+  if (has('leaderboard_type')) {
+    const leaderboardType = input.leaderboard_type === null ? null : findEnumValue(LEADERBOARD_TYPES, input.leaderboard_type);
+    if (input.leaderboard_type !== null && leaderboardType === null) {
+      errors.push({ field: 'leaderboard_type', message: `must be one of: ${LEADERBOARD_TYPES.join(', ')}` });
+    } else {
+      values.leaderboard_type = leaderboardType;
+    }
+  }
+
+  ['opens_at', 'closes_at'].forEach(key => {
+    if (mode === 'create' || has(key)) {
+      if (typeof input[key] !== 'string' || isNaN(Date.parse(input[key]))) {
+        errors.push({ field: key, message: 'is required, an ISO date' });
+      } else {
+        values[key] = new Date(input[key]).toISOString();
+      }
+    }
+  });
+
+  if (has('rules')) {
+    const rules = input.rules;
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      errors.push({ field: 'rules', message: 'must be an object' });
+    } else {
+      const clean = {};
+      Object.entries(rules).forEach(([key, value]) => {
+        if (key === 'containers') {
+          const containers = Array.isArray(value) ? value.map(item => findEnumValue(CONTAINERS, item)) : null;
+          if (!containers || containers.includes(null)) {
+            errors.push({ field: 'rules.containers', message: `must be a list of: ${CONTAINERS.join(', ')}` });
+          } else {
+            clean.containers = [...new Set(containers)];
+          }
+        } else if (key === 'min_volume_oz' || key === 'max_volume_oz') {
+          const volume = parseVolume(value);
+          if (volume === undefined) {
+            errors.push({ field: `rules.${key}`, message: 'must be a positive number or null' });
+          } else {
+            clean[key] = volume;
+          }
+        } else {
+          errors.push({ field: `rules.${key}`, message: 'is not an event rule' });
+        }
+      });
+      values.rules = clean;
+    }
+  }
+
+  if (has('rank_by') && !RANK_BY.includes(input.rank_by)) {
+    errors.push({ field: 'rank_by', message: `must be one of: ${RANK_BY.join(', ')}` });
+  } else if (has('rank_by')) {
+    values.rank_by = input.rank_by;
+  }
+
+  if (has('prizes')) {
+    const valid = Array.isArray(input.prizes) && input.prizes.every(prize => (
+      prize && Number.isInteger(prize.place) && prize.place >= 1 &&
+      typeof prize.prize === 'string' && prize.prize.trim() && prize.prize.length <= 200
+    ));
+    if (!valid) {
+      errors.push({ field: 'prizes', message: 'must be a list of { place, prize }' });
+    } else {
+      values.prizes = input.prizes
+        .map(({ place, prize }) => ({ place, prize: prize.trim() }))
+        .sort((a, b) => a.place - b.place);
+    }
+  }
+
+  if (has('winner_count')) {
+    if (!Number.isInteger(input.winner_count) || input.winner_count < 1 || input.winner_count > STANDINGS_LIMIT) {
+      errors.push({ field: 'winner_count', message: `must be a whole number from 1 to ${STANDINGS_LIMIT}` });
+    } else {
+      values.winner_count = input.winner_count;
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Checks that depend on several fields, on the merged event
+ */
+function checkEvent(event) {
+  const errors = [];
+  if (!event.leaderboard_name && !event.leaderboard_type) {
+    errors.push({ field: 'leaderboard_name', message: 'an event needs a leaderboard_name or leaderboard_type' });
+  }
+  if (Date.parse(event.closes_at) <= Date.parse(event.opens_at)) {
+    errors.push({ field: 'closes_at', message: 'must be after opens_at' });
+  }
+  const { min_volume_oz, max_volume_oz } = event.rules;
+  if (min_volume_oz !== null && max_volume_oz !== null && max_volume_oz < min_volume_oz) {
+    errors.push({ field: 'rules.max_volume_oz', message: 'must be at least min_volume_oz' });
+  }
+  return errors;
+}
+
+/**
+ * Private tenants' events are only visible with the tenant's access key
+ */
+function canView(req, event) {
+  const tenant = event.leaderboard_name && getTenant(event.leaderboard_name);
+  if (!tenant || tenant.visibility !== 'private') {
+    return true;
+  }
+  return hasAccessKey(tenant, req.query.access_key || req.get('x-tenant-key'));
+}
+
+/**
+ * Options:
+ * - leaderboardData: shared leaderboard data layer
+ * - freezeDelayMs: wait after closes_at before freezing (default 0)
+ * - checkIntervalMs: how often closed events are looked for (default 1 min)
+ */
+function createEvents({
+  leaderboardData,
+  freezeDelayMs = 0,
+  checkIntervalMs = 60 * 1000
+}) {
+  let freezing = null;
+
+  async function freeze(event, actor = 'system') {
+    const standings = rankEvent(event, await leaderboardData.getAllEntries());
+    const results = {
+      frozenAt: new Date().toISOString(),
+      frozenBy: actor,
+      count: standings.length,
+      winners: pickWinners(event, standings),
+      standings: standings.slice(0, STANDINGS_LIMIT)
+    };
+
+    eventStore.update(() => {
+      event.results = results;
+      event.updatedAt = results.frozenAt;
+    });
+    return results;
+  }
+
+  /**
+   * Freezes every event past its close (plus the delay), one at a time
+   */
+  async function freezeClosedEvents(now = Date.now()) {
+    const due = eventStore.get().events.filter(event => (
+      !event.results && now >= Date.parse(event.closes_at) + freezeDelayMs
+    ));
+
+    for (const event of due) {
+      try {
+        await freeze(event);
+        console.log(`Event ${event.id} closed, results frozen`);
+      } catch (error) {
+        console.error(`Failed to freeze event ${event.id}, will retry:`, error.message);
+      }
+    }
+  }
+
+  function checkEvents() {
+    if (freezing) {
+      return freezing;
+    }
+    freezing = freezeClosedEvents().finally(() => {
+      freezing = null;
+    });
+    return freezing;
+  }
+
+  const timer = setInterval(checkEvents, checkIntervalMs);
+  timer.unref();
+  setImmediate(checkEvents);
+
+  /**
+   * GET /events
+   */
+  function listEvents(req, res) {
+    const { status, leaderboard_name, leaderboard_type } = req.query;
+
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+
+    const events = eventStore.get().events
+      .filter(event => {
+        const tenant = event.leaderboard_name && getTenant(event.leaderboard_name);
+        if (tenant && tenant.visibility === 'private') return false;
+        if (status && getEventStatus(event) !== status) return false;
+        if (leaderboard_name && (event.leaderboard_name || '').toLowerCase() !== leaderboard_name.toLowerCase()) return false;
+        if (leaderboard_type && event.leaderboard_type !== leaderboard_type) return false;
+        return true;
+      })
+      .sort((a, b) => Date.parse(b.opens_at) - Date.parse(a.opens_at))
+      .map(publicEvent);
+
+    res.json({
+      success: true,
+      count: events.length,
+      events
+    });
+  }
+
+  /**
+   * GET /events/:id
+   */
+  async function getEventDetails(req, res) {
+    try {
+      const event = getEvent(req.params.id);
+
+      if (!event || !canView(req, event)) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      if (event.results) {
+        return res.json({
+          success: true,
+          event: publicEvent(event),
+          results: event.results
+        });
+      }
+
+      const standings = getEventStatus(event) === 'upcoming'
+        ? []
+        : rankEvent(event, await leaderboardData.getAllEntries());
+
+      res.json({
+        success: true,
+        event: publicEvent(event),
+        count: standings.length,
+        standings
+      });
+    } catch (error) {
+      if (error.details) {
+        return res.status(500).json({ error: 'Failed to fetch entries', details: error.details });
+      }
+      console.error('Error fetching event:', error);
+      res.status(500).json({ error: 'Failed to fetch event' });
+    }
+  }
+
+  /**
+   * GET /events/:id/results
+   */
+  function getEventResults(req, res) {
+    const event = getEvent(req.params.id);
+
+    if (!event || !canView(req, event)) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    if (!event.results) {
+      return res.status(409).json({
+        error: 'Results are not final yet',
+        status: getEventStatus(event),
+        closes_at: event.closes_at
+      });
+    }
+
+    res.json({
+      success: true,
+      event: publicEvent(event),
+      ...event.results
+    });
+  }
+
+  /**
+   * GET /admin/events
+   */
+  function listAdminEvents(req, res) {
+    res.json({
+      success: true,
+      events: eventStore.get().events.map(event => ({ ...event, status: getEventStatus(event) }))
+    });
+  }
+
+  /**
+   * POST /admin/events
+   */
+  function createEvent(req, res) {
+    try {
+      const { values, errors } = validateEventFields(req.body || {}, 'create');
+
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid event', details: errors });
+      }
+
+      const now = new Date().toISOString();
+      const event = {
+        id: crypto.randomBytes(8).toString('hex'),
+        name: values.name,
+        description: values.description || '',
+        leaderboard_name: values.leaderboard_name || null,
+        leaderboard_type: values.leaderboard_type || null,
+        opens_at: values.opens_at,
+        closes_at: values.closes_at,
+        rules: { containers: [], min_volume_oz: null, max_volume_oz: null, ...values.rules },
+        rank_by: values.rank_by || 'time',
+        prizes: values.prizes || [],
+        winner_count: values.winner_count ||
+          Math.max(DEFAULT_WINNER_COUNT, ...(values.prizes || []).map(prize => prize.place)),
+        results: null,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      const eventErrors = checkEvent(event);
+      if (eventErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid event', details: eventErrors });
+      }
+
+      eventStore.update(state => {
+        state.events.push(event);
+      });
+
+      recordAudit({
+        actor: req.admin.email,
+        action: 'event_create',
+        changes: { [event.id]: { before: null, after: event.name } }
+      });
+
+      res.status(201).json({
+        success: true,
+        event: publicEvent(event)
+      });
+    } catch (error) {
+      console.error('Error creating event:', error);
+      res.status(500).json({ error: 'Failed to create event' });
+    }
+  }
+
+  /**
+   * PATCH /admin/events/:id
+   */
+  function updateEvent(req, res) {
+    try {
+      const event = getEvent(req.params.id);
+      const body = req.body || {};
+
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      if (event.results) {
+        const locked = Object.keys(body).filter(key => !FROZEN_EDITABLE.includes(key));
+        if (locked.length > 0) {
+          return res.status(409).json({
+            error: `Results are frozen; only ${FROZEN_EDITABLE.join(' and ')} can change`,
+            details: locked.map(field => ({ field, message: 'cannot change after results are frozen' }))
+          });
+        }
+      }
+
+      const { values, errors } = validateEventFields(body, 'edit');
+      if (values.rules) {
+        values.rules = { ...event.rules, ...values.rules };
+      }
+      errors.push(...checkEvent({ ...event, ...values }));
+
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid event', details: errors });
+      }
+
+      const before = { ...event };
+
+      eventStore.update(() => {
+        Object.assign(event, values);
+        event.updatedAt = new Date().toISOString();
+      });
+
+      const changes = {};
+      Object.keys(values).forEach(key => {
+        if (JSON.stringify(before[key]) !== JSON.stringify(event[key])) {
+          changes[key] = { before: before[key], after: event[key] };
+        }
+      });
+
+      recordAudit({
+        actor: req.admin.email,
+        action: 'event_update',
+        changes: { [event.id]: { before: before.name, after: event.name }, ...changes }
+      });
+
+      res.json({
+        success: true,
+        event: publicEvent(event)
+      });
+    } catch (error) {
+      console.error('Error updating event:', error);
+      res.status(500).json({ error: 'Failed to update event' });
+    }
+  }
+
+  /**
+   * DELETE /admin/events/:id
+   */
+  function deleteEvent(req, res) {
+    try {
+      const event = getEvent(req.params.id);
+
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      eventStore.update(state => {
+        state.events = state.events.filter(item => item !== event);
+      });
+
+      recordAudit({
+        actor: req.admin.email,
+        action: 'event_delete',
+        changes: { [event.id]: { before: event.name, after: null } }
+      });
+
+      res.json({
+        success: true,
+        message: 'Event deleted'
+      });
+    } catch (error) {
+      console.error('Error deleting event:', error);
+      res.status(500).json({ error: 'Failed to delete event' });
+    }
+  }
+
+  /**
+   * POST /admin/events/:id/freeze
+   */
+  async function freezeEvent(req, res) {
+    try {
+      const event = getEvent(req.params.id);
+
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      if (Date.now() <= Date.parse(event.closes_at)) {
+        return res.status(409).json({ error: 'Event has not closed yet', closes_at: event.closes_at });
+      }
+
+      const previousFrozenAt = event.results?.frozenAt || null;
+      const results = await freeze(event, req.admin.email);
+
+      recordAudit({
+        actor: req.admin.email,
+        action: 'event_freeze',
+        changes: { [event.id]: { before: previousFrozenAt, after: results.frozenAt } }
+      });
+
+      res.json({
+        success: true,
+        event: publicEvent(event),
+        ...results
+      });
+    } catch (error) {
+      console.error('Error freezing event:', error);
+      res.status(error.details ? 502 : 500).json({
+        error: 'Failed to freeze event',
+        details: error.details || error.message
+      });
+    }
+  }
+
+  return {
+    checkEvents,
+    listEvents,
+    getEventDetails,
+    getEventResults,
+    listAdminEvents,
+    createEvent,
+    updateEvent,
+    deleteEvent,
+    freezeEvent,
+    stop() {
+      clearInterval(timer);
+    }
+  };
+}
+
+module.exports = {
+  checkEventSubmission,
+  createEvents
+};
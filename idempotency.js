@@ -0,0 +1,139 @@
+/**
+ * Idempotency keys for public POST endpoints
+ *
+ * Clients send an `Idempotency-Key` header (or an `idempotency_key` body
+ * field) and reuse it when they retry. The first successful response for a
+ * key is stored for the window and replayed to later requests with the same
+ * key, with an `Idempotent-Replayed: true` header, so a retried /submit-chug
+ * gets the original metaobject id instead of creating another entry.
+ *
+ * - A request with the same key arriving while the first is still running
+ *   waits for it, then gets its stored response (or runs itself if the first
+ *   one failed). The key stays claimed until the handler answers, even when
+ *   the first client has already disconnected.
+ * - Error responses (4xx/5xx) aren't stored, so the client can fix the
+ *   request or retry later with the same key.
+ * - Reusing a key with a different body returns 422.
+ *
+ * Stored responses live in the same pluggable store as the rate limit
+ * counters (see abuse-protection.js). Waiting for in-flight requests only
+ * works within one process.
+ */
+
+const crypto = require('crypto');
+const { createMemoryRateLimitStore } = require('./abuse-protection');
+
+const MAX_KEY_LENGTH = 255;
+
+// Body keys that can change between retries of the same request
+const IGNORED_BODY_KEYS = ['idempotency_key', 'cf-turnstile-response', 'captcha_token'];
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function getRequestFingerprint(body) {
+  const entries = Object.entries(body || {})
+    .filter(([name]) => !IGNORED_BODY_KEYS.includes(name))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  return sha256(JSON.stringify(entries));
+}
+
+/**
+ * Options:
+ * - store: same interface as the rate limit store
+ * - name: prefix that keeps this endpoint's keys apart in a shared store
+ * - windowMs: how long a response is replayed
+ *
+ * Returns middleware; requests without a key pass straight through.
+ */
+function idempotent({ store = createMemoryRateLimitStore(), name, windowMs }) {
+  const inFlight = new Map();
+
+  return async (req, res, next) => {
+    const key = req.get('idempotency-key') || req.body?.idempotency_key;
+
+    if (key === undefined || key === null || key === '') {
+      return next();
+    }
+
+    if (typeof key !== 'string' || key.length > MAX_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+      return res.status(400).json({
+        error: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} printable characters without spaces`
+      });
+    }
+
+    const storeKey = `idempotency:${name}:${sha256(key)}`;
+    const fingerprint = getRequestFingerprint(req.body);
+
+    try {
+      let stored;
+      for (;;) {
+        if (inFlight.has(storeKey)) {
+          await inFlight.get(storeKey);
+          continue;
+        }
+        stored = await store.get(storeKey);
+        // Another request may have claimed the key while the store was read
+        if (!inFlight.has(storeKey)) {
+          break;
+        }
+      }
+
+      if (stored) {
+        if (stored.fingerprint !== fingerprint) {
+          return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
+        }
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(stored.status).json(stored.body);
+      }
+    } catch (error) {
+      // Fail open, like the rate limiter: a store outage shouldn't block submissions
+      console.error('Idempotency store error:', error.message);
+      return next();
+    }
+
+    let settle;
+    inFlight.set(storeKey, new Promise(resolve => { settle = resolve; }));
+
+    let result = null;
+    const json = res.json.bind(res);
+    res.json = body => {
+      if (res.statusCode < 400) {
+        result = { status: res.statusCode, body, fingerprint };
+      }
+      return json(body);
+    };
+
+    let finished = false;
+    const finish = async () => {
+      if (finished) return;
+      finished = true;
+      try {
+        if (result) {
+          await store.set(storeKey, result, windowMs);
+        }
+      } catch (error) {
+        console.error('Failed to store idempotent response:', error.message);
+      } finally {
+        inFlight.delete(storeKey);
+        settle();
+      }
+    };
+
+    // Not on 'close': a client that gave up doesn't mean the handler has
+    // stopped, and a retry must not run alongside it
+    const end = res.end.bind(res);
+    res.end = (...args) => {
+      const returned = end(...args);
+      finish();
+      return returned;
+    };
+
+    next();
+  };
+}
+
+module.exports = {
+  idempotent
+};
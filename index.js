@@ -1,24 +1,97 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const B2 = require('backblaze-b2');
 const {
+  SUBMISSION_TYPE,
+  fetchSubmission,
+  applySubmissionUpdate,
   getUnverifiedSubmission,
+  listSubmissions,
   updateSubmission,
-  verifySubmission
+  verifySubmission,
+  rejectSubmission,
+  bulkModerate
 } = require('./admin-endpoints');
-const { getLeaderboardEntries, getLeaderboardEntriesByName } = require('./whitelabel');
+const { getSubmissionStatus } = require('./submission-status');
+const { MIN_PART_SIZE, createResumableUploads } = require('./resumable-upload');
+const {
+  ALLOWED_CONTENT_TYPES,
+  MAX_UPLOAD_BYTES,
+  createSafeKey,
+  createUploadToken,
+  claimUploadToken,
+  requireUploadToken
+} = require('./upload-tokens');
+const {
+  extractVideoMetadata,
+  validateVideo,
+  getTimeFlag,
+  toSubmissionFields,
+  rememberVideoMetadata,
+  getRememberedVideoMetadata
+} = require('./video-metadata');
+const { createThumbnailJobs } = require('./thumbnails');
+const {
+  requireRole,
+  login,
+  getCurrentAdmin,
+  listAdmins,
+  createAdmin,
+  updateAdmin,
+  deleteAdmin
+} = require('./auth');
+const { getAuditLog, revertSubmission } = require('./audit-log');
+const { getLeaderboardEntries, getLeaderboardEntriesByName, getHandleHistory } = require('./whitelabel');
+const { createLeaderboardData } = require('./leaderboard-data');
+const { submissionEvents } = require('./submission-events');
+const { validateSubmissionFields } = require('./submission-schema');
+const {
+  createMemoryRateLimitStore,
+  createRateLimiter,
+  rateLimitByIp,
+  checkHandleLimit,
+  hashVideo,
+  findDuplicateVideo,
+  rememberVideoHash,
+  createDuplicateSubmissionCheck,
+  createCaptchaVerifier,
+  requireCaptcha
+} = require('./abuse-protection');
+const { createUploadGc } = require('./upload-gc');
+const { createStorage } = require('./storage');
+const { createShopifyClient } = require('./shopify-client');
+const { idempotent } = require('./idempotency');
+const { createEmailProvider } = require('./email');
+const {
+  validateSubmitterEmail,
+  rememberSubmitterEmail,
+  createSubmitterNotifications,
+  getOutbox
+} = require('./notifications');
+const { createWebhooks } = require('./webhooks');
+const { createLeaderboardStreams } = require('./leaderboard-stream');
+const {
+  checkTenantSubmission,
+  requireTenant,
+  createCorsOrigin,
+  listTenants,
+  createTenant,
+  updateTenant,
+  deleteTenant
+} = require('./tenants');
+const { checkEventSubmission, createEvents } = require('./events');
+const { createEmbeds } = require('./embeds');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-const b2 = new B2({
-  applicationKeyId: process.env.B2_APPLICATION_KEY_ID,
-  applicationKey: process.env.B2_APPLICATION_KEY
-});
+const storage = createStorage();
 
-app.use(cors({
-  origin: [
+// Core origins may call every route and read every tenant's board; tenants'
+// own allowed_origins are added on top (tenants.js)
+const CORE_ORIGINS = (process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(',')
+  : [
     'http://127.0.0.1:9292',
     'http://localhost:9292',
     'http://localhost:5173',
@@ -26,80 +99,147 @@ app.use(cors({
     'https://chugchamp.com',
     'https://cddgrs-yg.myshopify.com',
     'https://chug-champ-video-dashboard.onrender.com',
-    'https://chugchamp-widgets.pages.dev',
-    process.env.ALLOWED_ORIGIN
-  ].filter(Boolean)
+    'https://chugchamp-widgets.pages.dev'
+  ]).concat(process.env.ALLOWED_ORIGIN || []).map(origin => origin.trim()).filter(Boolean);
+
+app.use(cors({
+  origin: createCorsOrigin(CORE_ORIGINS)
 }));
 app.use(express.json());
-app.use(express.raw({ type: 'video/*', limit: '100mb' }));
 
-let authData = null;
-let shopifyAccessToken = null;
-let tokenExpiresAt = null;
+// Render sits one proxy in front of the app; req.ip is the client address
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS, 10) || 1);
 
-async function authorizeB2() {
-  if (!authData) {
-    authData = await b2.authorize();
-  }
-  return authData;
-}
+const HOUR_MS = 60 * 60 * 1000;
+const rateLimitStore = createMemoryRateLimitStore();
 
-async function getShopifyAccessToken() {
-  if (shopifyAccessToken && tokenExpiresAt && new Date() < tokenExpiresAt) {
-    return shopifyAccessToken;
-  }
+const uploadUrlLimiter = createRateLimiter({
+  store: rateLimitStore,
+  name: 'upload-url',
+  limit: parseInt(process.env.RATE_LIMIT_UPLOAD_URLS_PER_HOUR, 10) || 20,
+  windowMs: HOUR_MS
+});
+
+const uploadLimiter = createRateLimiter({
+  store: rateLimitStore,
+  name: 'upload',
+  limit: parseInt(process.env.RATE_LIMIT_UPLOADS_PER_HOUR, 10) || 20,
+  windowMs: HOUR_MS
+});
 
-  const url = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/oauth/access_token`;
-  
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-    body: new URLSearchParams({
-      grant_type: 'client_credentials',
-      client_id: process.env.SHOPIFY_CLIENT_ID,
-      client_secret: process.env.SHOPIFY_CLIENT_SECRET
-    })
+const submitIpLimiter = createRateLimiter({
+  store: rateLimitStore,
+  name: 'submit-ip',
+  limit: parseInt(process.env.RATE_LIMIT_SUBMISSIONS_PER_HOUR, 10) || 10,
+  windowMs: HOUR_MS
+});
+
+const adminLoginLimiter = createRateLimiter({
+  store: rateLimitStore,
+  name: 'admin-login',
+  limit: parseInt(process.env.RATE_LIMIT_ADMIN_LOGINS_PER_HOUR, 10) || 20,
+  windowMs: HOUR_MS
+});
+
+// card.png can run an ffmpeg decode per thumbnail on a cache miss
+const cardLimiter = createRateLimiter({
+  store: rateLimitStore,
+  name: 'card',
+  limit: parseInt(process.env.RATE_LIMIT_CARDS_PER_HOUR, 10) || 60,
+  windowMs: HOUR_MS
+});
+
+const submitHandleLimiter = createRateLimiter({
+  store: rateLimitStore,
+  name: 'submit-handle',
+  limit: parseInt(process.env.RATE_LIMIT_SUBMISSIONS_PER_HANDLE_PER_DAY, 10) || 5,
+  windowMs: 24 * HOUR_MS
+});
+
+const duplicateSubmissions = createDuplicateSubmissionCheck({
+  store: rateLimitStore,
+  windowMs: (parseInt(process.env.DUPLICATE_SUBMISSION_WINDOW_MINUTES, 10) || 60) * 60 * 1000
+});
+
+const captchaVerifier = createCaptchaVerifier();
+
+// Runs before the rate limit and CAPTCHA so replayed retries aren't counted
+// or rejected for reusing a CAPTCHA token
+const submitIdempotency = idempotent({
+  store: rateLimitStore,
+  name: 'submit-chug',
+  windowMs: (parseInt(process.env.IDEMPOTENCY_WINDOW_HOURS, 10) || 24) * HOUR_MS
+});
+
+const shopify = createShopifyClient({
+  storeDomain: process.env.SHOPIFY_STORE_DOMAIN,
+  clientId: process.env.SHOPIFY_CLIENT_ID,
+  clientSecret: process.env.SHOPIFY_CLIENT_SECRET
+});
+
+// Field updates made by the server itself (resubmission links, thumbnails)
+async function updateSubmissionFields(id, fields) {
+  const { errors } = await applySubmissionUpdate(shopify, {
+    id,
+    fields,
+    event: 'updated',
+    actor: 'system'
   });
 
-  if (!response.ok) {
-    throw new Error(`Failed to get Shopify access token: ${response.status}`);
+  if (errors) {
+    throw new Error(`Failed to update ${id}: ${JSON.stringify(errors)}`);
   }
+}
 
-  const data = await response.json();
-  shopifyAccessToken = data.access_token;
-  const expiresIn = data.expires_in || 86399;
-  tokenExpiresAt = new Date(Date.now() + (expiresIn - 300) * 1000);
-
-  return shopifyAccessToken;
+// The local backend serves its own files; other providers serve them directly
+if (storage.serveFiles) {
+  app.use('/files', storage.serveFiles);
 }
 
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok' });
+  res.json({
+    status: 'ok',
+    storage: storage.getStatus(),
+    streams: leaderboardStreams.getStatus()
+  });
 });
 
-app.post('/get-upload-url', async (req, res) => {
+app.post('/get-upload-url', rateLimitByIp(uploadUrlLimiter), async (req, res) => {
   try {
-    const { filename, contentType } = req.body;
+    const { filename, contentType, size } = req.body;
 
     if (!filename || !contentType) {
       return res.status(400).json({ error: 'filename and contentType required' });
     }
 
-    const timestamp = Date.now();
-    const key = `submissions/${timestamp}-${filename}`;
+    if (!ALLOWED_CONTENT_TYPES[contentType]) {
+      return res.status(415).json({
+        error: `contentType must be one of: ${Object.keys(ALLOWED_CONTENT_TYPES).join(', ')}`
+      });
+    }
+
+    const declaredSize = size !== undefined ? parseInt(size, 10) : MAX_UPLOAD_BYTES;
+    if (!declaredSize || declaredSize <= 0 || declaredSize > MAX_UPLOAD_BYTES) {
+      return res.status(413).json({ error: `size must be between 1 and ${MAX_UPLOAD_BYTES} bytes` });
+    }
+
+    const key = createSafeKey(filename, contentType);
+    const { token, expiresAt, maxSize } = createUploadToken({ key, contentType, maxSize: declaredSize });
 
     // Use HTTPS for Render deployments, otherwise use request protocol
     const protocol = req.get('host').includes('onrender.com') ? 'https' : req.protocol;
-    const uploadUrl = `${protocol}://${req.get('host')}/upload/${encodeURIComponent(key)}`;
+    const uploadUrl = `${protocol}://${req.get('host')}/upload/${encodeURIComponent(key)}?token=${token}`;
 
-    console.log('Generated upload URL:', uploadUrl);
+    console.log('Generated upload URL for key:', key);
 
-    await authorizeB2();
-    const publicUrl = `${authData.data.downloadUrl}/file/${process.env.B2_BUCKET_NAME}/${key}`;
+    const publicUrl = await storage.getPublicUrl(key);
 
     res.json({
       uploadUrl,
-      publicUrl
+      publicUrl,
+      key,
+      expiresAt,
+      maxSize
     });
   } catch (error) {
     console.error('Error generating upload URL:', error);
@@ -107,11 +247,19 @@ app.post('/get-upload-url', async (req, res) => {
   }
 });
 
-app.put('/upload/:key', async (req, res) => {
+app.put('/upload/:key', rateLimitByIp(uploadLimiter), requireUploadToken, express.raw({ type: 'video/*', limit: MAX_UPLOAD_BYTES }), async (req, res) => {
   try {
-    const key = decodeURIComponent(req.params.key);
+    const { key } = req.params;
     const fileBuffer = req.body;
 
+    if (!Buffer.isBuffer(fileBuffer) || fileBuffer.length === 0) {
+      return res.status(400).json({ error: 'Video body required' });
+    }
+
+    if (fileBuffer.length > req.uploadToken.max) {
+      return res.status(413).json({ error: `File exceeds ${req.uploadToken.max} bytes` });
+    }
+
     console.log('Upload request received:', {
       key,
       contentType: req.get('content-type'),
@@ -119,29 +267,39 @@ app.put('/upload/:key', async (req, res) => {
       bufferType: typeof fileBuffer
     });
 
-    await authorizeB2();
-    console.log('B2 authorized successfully');
+    const metadata = extractVideoMetadata(fileBuffer);
+    const invalidReason = validateVideo(metadata, req.uploadToken.ct);
+    if (invalidReason) {
+      return res.status(422).json({ error: invalidReason });
+    }
 
-    const uploadUrlResponse = await b2.getUploadUrl({
-      bucketId: process.env.B2_BUCKET_ID
-    });
-    console.log('Upload URL obtained from B2');
-
-    const uploadResponse = await b2.uploadFile({
-      uploadUrl: uploadUrlResponse.data.uploadUrl,
-      uploadAuthToken: uploadUrlResponse.data.authorizationToken,
-      fileName: key,
-      data: fileBuffer,
-      contentType: req.get('content-type') || 'video/mp4'
-    });
-    console.log('File uploaded to B2 successfully');
+    const contentHash = hashVideo(fileBuffer);
+    const existingKey = findDuplicateVideo(contentHash);
+    if (existingKey) {
+      return res.status(409).json({
+        error: 'This video has already been uploaded',
+        key: existingKey,
+        publicUrl: await storage.getPublicUrl(existingKey)
+      });
+    }
+
+    await storage.putObject(key, fileBuffer, req.uploadToken.ct);
+    req.uploadStored = true;
+    // Claimed again in case the client left during the put and it was released
+    claimUploadToken(req.uploadToken);
+    console.log('File uploaded to storage successfully');
 
-    const publicUrl = `${authData.data.downloadUrl}/file/${process.env.B2_BUCKET_NAME}/${key}`;
+    const publicUrl = await storage.getPublicUrl(key);
+
+    rememberVideoMetadata(key, metadata);
+    rememberVideoHash(contentHash, key);
+    thumbnailJobs.queueThumbnail(key);
 
     console.log('Upload complete, public URL:', publicUrl);
     res.json({
       success: true,
-      publicUrl
+      publicUrl,
+      metadata
     });
   } catch (error) {
     console.error('Error uploading file:', error);
@@ -154,28 +312,44 @@ app.put('/upload/:key', async (req, res) => {
   }
 });
 
-app.delete('/delete/:key', async (req, res) => {
-  try {
-    const key = decodeURIComponent(req.params.key);
+const thumbnailJobs = createThumbnailJobs({
+  uploadBuffer: storage.putObject,
+  getPublicUrl: storage.getPublicUrl,
+  updateSubmissionFields,
+  ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+  previewClip: process.env.THUMBNAIL_PREVIEW_CLIP === 'true'
+});
+
+const partSize = Math.max((parseInt(process.env.UPLOAD_PART_SIZE_MB, 10) || 5) * 1024 * 1024, MIN_PART_SIZE);
+const resumableUploads = createResumableUploads({
+  storage,
+  allowedContentTypes: Object.keys(ALLOWED_CONTENT_TYPES),
+  partSize,
+  sessionTimeoutMs: (parseInt(process.env.UPLOAD_SESSION_TIMEOUT_MINUTES, 10) || 60) * 60 * 1000,
+  onFinish: async ({ key, metadata, contentHash }) => {
+    rememberVideoMetadata(key, metadata);
+    rememberVideoHash(contentHash, key);
+    thumbnailJobs.queueThumbnail(key);
+  }
+});
 
-    await authorizeB2();
+app.post('/uploads', rateLimitByIp(uploadUrlLimiter), resumableUploads.startUpload);
+app.get('/uploads/:uploadId', resumableUploads.getUploadStatus);
+app.put('/uploads/:uploadId/parts/:partNumber', express.raw({ type: () => true, limit: partSize }), resumableUploads.uploadPart);
+app.post('/uploads/:uploadId/finish', resumableUploads.finishUpload);
+app.delete('/uploads/:uploadId', resumableUploads.cancelUpload);
 
-    const fileListResponse = await b2.listFileNames({
-      bucketId: process.env.B2_BUCKET_ID,
-      startFileName: key,
-      maxFileCount: 1
-    });
+app.delete('/delete/:key', requireRole('owner'), async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
 
-    const file = fileListResponse.data.files.find(f => f.fileName === key);
+    const deleted = await storage.deleteObject(key);
 
-    if (!file) {
+    if (!deleted) {
       return res.status(404).json({ error: 'File not found' });
     }
 
-    await b2.deleteFileVersion({
-      fileId: file.fileId,
-      fileName: file.fileName
-    });
+    submissionEvents.emit('deleted', { key, actor: req.admin.email });
 
     res.json({
       success: true,
@@ -187,108 +361,212 @@ app.delete('/delete/:key', async (req, res) => {
   }
 });
 
-app.post('/submit-chug', async (req, res) => {
+app.post('/submit-chug', submitIdempotency, rateLimitByIp(submitIpLimiter), requireCaptcha(captchaVerifier), async (req, res) => {
   try {
-    const handleText = req.body['contact[handle_text]'];
-    const leaderboardType = req.body['contact[leaderboard_type]'];
-    const leaderboardName = req.body['contact[leaderboard_name]'];
-    const beerStyle = req.body['contact[beer_style]'];
-    const container = req.body['contact[container]'];
-    const videoUrl = req.body['contact[video_url]'];
-    const videoUploadUrl = req.body['contact[video_upload_url]'];
-    const handleUrl = req.body['contact[handle_url]'];
-    const location = req.body['contact[location]'];
-    const timeS = req.body['contact[time_s]'];
-    const volumeOz = req.body['contact[volume_oz]'];
-
-    if (!handleText || !container) {
-      return res.status(400).json({ error: 'handle_text and container required' });
+    // Form fields arrive as contact[key]; other form keys are ignored
+    const contact = {};
+    Object.entries(req.body || {}).forEach(([name, value]) => {
+      const match = /^contact\[(.+)\]$/.exec(name);
+      if (match) {
+        contact[match[1]] = value;
+      }
+    });
+
+    const {
+      video_upload_url: videoUploadUrl,
+      resubmission_of: resubmissionOf,
+      email: submitterEmail,
+      event_id: eventId,
+      ...submitted
+    } = contact;
+
+    if (videoUploadUrl) {
+      submitted.video_url = videoUploadUrl;
+    }
+
+    const { fields: submittedFields, errors: fieldErrors } = validateSubmissionFields(submitted, 'create');
+
+    if (resubmissionOf !== undefined && typeof resubmissionOf !== 'string') {
+      fieldErrors.push({ field: 'resubmission_of', message: 'must be a string' });
+    }
+
+    // Optional; kept out of Shopify so it never reaches a leaderboard
+    if (eventId !== undefined && typeof eventId !== 'string') {
+      fieldErrors.push({ field: 'event_id', message: 'must be a string' });
+    }
+
+    const emailError = submitterEmail ? validateSubmitterEmail(submitterEmail) : null;
+    if (emailError) {
+      fieldErrors.push({ field: 'email', message: emailError });
+    }
+
+    if (fieldErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid submission',
+        details: fieldErrors
+      });
+    }
+
+    const values = Object.fromEntries(submittedFields.map(field => [field.key, field.value]));
+
+    const setField = (key, value) => {
+      values[key] = value;
+      const field = submittedFields.find(item => item.key === key);
+      if (field) {
+        field.value = value;
+      } else {
+        submittedFields.push({ key, value });
+      }
+    };
+
+    // Entering an event fills in its leaderboard; the tenant check then applies as usual
+    if (eventId) {
+      const eventCheck = checkEventSubmission(eventId, values);
+      if (eventCheck.errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid submission',
+          details: eventCheck.errors
+        });
+      }
+      Object.entries(eventCheck.fill).forEach(([key, value]) => setField(key, value));
     }
 
-    if (!videoUrl && !videoUploadUrl) {
-      return res.status(400).json({ error: 'Either video_url or video_upload_url required' });
+    const tenantCheck = checkTenantSubmission(values);
+    if (tenantCheck.errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid submission',
+        details: tenantCheck.errors
+      });
+    }
+    if (tenantCheck.leaderboardName) {
+      setField('leaderboard_name', tenantCheck.leaderboardName);
     }
+    const handleText = values.handle_text;
+    const timeS = values.time_s;
+    const finalVideoUrl = values.video_url;
 
-    if (!timeS) {
-      return res.status(400).json({ error: 'time_s is required' });
+    const duplicateOf = await duplicateSubmissions.find(values);
+    if (duplicateOf) {
+      return res.status(409).json({ error: 'Duplicate submission', duplicateOf });
     }
 
-    if (!volumeOz) {
-      return res.status(400).json({ error: 'volume_oz is required' });
+    if (await checkHandleLimit(submitHandleLimiter, res, values)) {
+      return;
     }
 
-    const finalVideoUrl = videoUploadUrl || videoUrl;
-
-    const token = await getShopifyAccessToken();
-
-    const mutation = `
-      mutation CreateMetaobject($metaobject: MetaobjectCreateInput!) {
-        metaobjectCreate(metaobject: $metaobject) {
-          metaobject {
-            id
-            handle
-          }
-          userErrors {
-            field
-            message
-          }
-        }
+    // A resubmission must correct a rejected entry from the same handle
+    if (resubmissionOf) {
+      const originalSubmission = await fetchSubmission(shopify, resubmissionOf);
+      const original = originalSubmission?.fields;
+
+      if (!original) {
+        return res.status(404).json({ error: 'Original submission not found' });
+      }
+
+      if (getSubmissionStatus(original) !== 'rejected') {
+        return res.status(400).json({ error: 'Only rejected submissions can be resubmitted' });
+      }
+
+      if (original.resubmitted_as) {
+        return res.status(409).json({ error: 'Submission has already been resubmitted' });
+      }
+
+      if ((original.handle_text || '').trim().toLowerCase() !== handleText.trim().toLowerCase()) {
+        return res.status(403).json({ error: 'handle_text does not match the original submission' });
       }
-    `;
+    }
 
     const fields = [
-      { key: 'handle_text', value: handleText },
-      { key: 'leaderboard_type', value: leaderboardType || '' },
-      { key: 'leaderboard_name', value: leaderboardName || '' },
-      { key: 'beer_style', value: beerStyle },
-      { key: 'container', value: container },
-      { key: 'video_url', value: finalVideoUrl },
-      { key: 'time_s', value: timeS },
-      { key: 'volume_oz', value: volumeOz },
+      ...submittedFields,
       { key: 'time_to_rim_s', value: '0.25' },
       { key: 'time_to_setdown_s', value: '0.25' },
       { key: 'splash_pct', value: '0.0' },
       { key: 'foam_pct', value: '0.0' },
       { key: 'date_iso', value: new Date().toISOString() },
-      { key: 'verified', value: 'false' }
+      { key: 'verified', value: 'false' },
+      { key: 'status', value: 'pending' }
     ];
 
-    if (handleUrl) {
-      fields.push({ key: 'handle_url', value: handleUrl });
-    }
+    // Entries have always carried these, even when blank
+    ['leaderboard_type', 'leaderboard_name'].forEach(key => {
+      if (!(key in values)) {
+        fields.push({ key, value: '' });
+      }
+    });
 
-    if (location) {
-      fields.push({ key: 'location', value: location });
+    if (resubmissionOf) {
+      fields.push({ key: 'resubmission_of', value: resubmissionOf });
     }
 
-    const variables = {
-      metaobject: {
-        type: 'beer_leaderboard_entry',
-        fields
-      }
-    };
+    // Metadata extracted at upload time lets moderators check time_s against the video
+    const uploadKey = storage.getKeyFromPublicUrl(finalVideoUrl);
+    const videoMetadata = uploadKey && getRememberedVideoMetadata(uploadKey);
+    if (videoMetadata) {
+      fields.push(...toSubmissionFields(videoMetadata));
+      fields.push({ key: 'flag_reason', value: getTimeFlag(timeS, videoMetadata.durationS) });
+    }
 
-    const response = await fetch(`https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2024-01/graphql.json`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Access-Token': token
-      },
-      body: JSON.stringify({ query: mutation, variables })
-    });
+    // The find() above skips the checks for known duplicates; the claim stops
+    // identical requests that were still in flight from both creating
+    if (!(await duplicateSubmissions.claim(values))) {
+      return res.status(409).json({ error: 'Duplicate submission', duplicateOf: await duplicateSubmissions.find(values) });
+    }
 
-    const data = await response.json();
+    let created;
+    try {
+      created = await shopify.createMetaobject(SUBMISSION_TYPE, fields);
+    } catch (error) {
+      await duplicateSubmissions.release(values);
+      throw error;
+    }
+    const { metaobject, errors } = created;
 
-    if (data.errors || data.data?.metaobjectCreate?.userErrors?.length > 0) {
+    if (errors) {
+      await duplicateSubmissions.release(values);
       return res.status(400).json({ 
         error: 'Failed to create metaobject',
-        details: data.errors || data.data.metaobjectCreate.userErrors
+        details: errors
       });
     }
 
+    await duplicateSubmissions.remember(values, metaobject.id);
+
+    if (submitterEmail) {
+      rememberSubmitterEmail(metaobject.id, submitterEmail);
+    }
+
+    submissionEvents.emit('created', {
+      id: metaobject.id,
+      before: null,
+      submission: {
+        id: metaobject.id,
+        handle: metaobject.handle,
+        fields: metaobject.fields
+      },
+      actor: 'public'
+    });
+
+    if (resubmissionOf) {
+      try {
+        await updateSubmissionFields(resubmissionOf, [{ key: 'resubmitted_as', value: metaobject.id }]);
+      } catch (error) {
+        console.error('Failed to link resubmission:', error.message);
+      }
+    }
+
+    // Thumbnails that are already rendered go on now, otherwise the job adds them
+    const thumbnailFields = uploadKey ? thumbnailJobs.attachSubmission(uploadKey, metaobject.id) : [];
+    if (thumbnailFields.length > 0) {
+      try {
+        await updateSubmissionFields(metaobject.id, thumbnailFields);
+      } catch (error) {
+        console.error('Failed to add thumbnail:', error.message);
+      }
+    }
+
     res.json({
       success: true,
-      metaobject: data.data.metaobjectCreate.metaobject
+      metaobject
     });
   } catch (error) {
     console.error('Error creating metaobject:', error);
@@ -296,11 +574,101 @@ app.post('/submit-chug', async (req, res) => {
   }
 });
 
-app.get('/whitelabel/name/:leaderboard_name', getLeaderboardEntriesByName(getShopifyAccessToken, process.env.SHOPIFY_STORE_DOMAIN));
-app.get('/whitelabel/:leaderboard_type', getLeaderboardEntries(getShopifyAccessToken, process.env.SHOPIFY_STORE_DOMAIN));
-app.get('/admin/unverified', getUnverifiedSubmission(getShopifyAccessToken, process.env.SHOPIFY_STORE_DOMAIN));
-app.patch('/admin/submission/:id', updateSubmission(getShopifyAccessToken, process.env.SHOPIFY_STORE_DOMAIN));
-app.post('/admin/verify/:id', verifySubmission(getShopifyAccessToken, process.env.SHOPIFY_STORE_DOMAIN));
+const leaderboardData = createLeaderboardData({
+  shopify,
+  ttlMs: (parseInt(process.env.LEADERBOARD_CACHE_TTL_SECONDS, 10) || 60) * 1000
+});
+
+const webhooks = createWebhooks({
+  leaderboardData,
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6,
+  retryDelayMs: (parseInt(process.env.WEBHOOK_RETRY_DELAY_SECONDS, 10) || 30) * 1000
+});
+
+const emailProvider = createEmailProvider();
+createSubmitterNotifications({
+  provider: emailProvider,
+  leaderboardData,
+  leaderboardUrl: process.env.LEADERBOARD_URL || null
+});
+
+const leaderboardStreams = createLeaderboardStreams({
+  leaderboardData,
+  heartbeatMs: (parseInt(process.env.STREAM_HEARTBEAT_SECONDS, 10) || 25) * 1000
+});
+
+const events = createEvents({
+  leaderboardData,
+  freezeDelayMs: (parseInt(process.env.EVENT_FREEZE_DELAY_MINUTES, 10) || 0) * 60 * 1000,
+  checkIntervalMs: (parseInt(process.env.EVENT_CHECK_INTERVAL_SECONDS, 10) || 60) * 1000
+});
+
+const tenantAccess = requireTenant(CORE_ORIGINS);
+
+app.get('/whitelabel/name/:leaderboard_name/stream', tenantAccess, leaderboardStreams.streamLeaderboard('leaderboard_name'));
+app.get('/whitelabel/:leaderboard_type/stream', leaderboardStreams.streamLeaderboard('leaderboard_type'));
+app.get('/whitelabel/name/:leaderboard_name', tenantAccess, getLeaderboardEntriesByName(leaderboardData));
+app.get('/whitelabel/handle/:handle', getHandleHistory(leaderboardData));
+app.get('/whitelabel/:leaderboard_type', getLeaderboardEntries(leaderboardData));
+app.get('/events', events.listEvents);
+app.get('/events/:id', events.getEventDetails);
+app.get('/events/:id/results', events.getEventResults);
+
+const embeds = createEmbeds({
+  leaderboardData,
+  coreOrigins: CORE_ORIGINS,
+  publicBaseUrl: process.env.PUBLIC_BASE_URL || null,
+  ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg'
+});
+
+app.get('/embed/:leaderboard_name', tenantAccess, embeds.renderEmbed('page'));
+app.get('/embed/:leaderboard_name/fragment', tenantAccess, embeds.renderEmbed('fragment'));
+app.get('/embed/:leaderboard_name/card.svg', tenantAccess, embeds.renderEmbed('svg'));
+app.get('/embed/:leaderboard_name/card.png', rateLimitByIp(cardLimiter), tenantAccess, embeds.renderEmbed('png'));
+app.get('/oembed', embeds.getOembed);
+
+app.post('/admin/login', rateLimitByIp(adminLoginLimiter), login);
+app.get('/admin/me', requireRole('moderator'), getCurrentAdmin);
+app.get('/admin/admins', requireRole('owner'), listAdmins);
+app.post('/admin/admins', requireRole('owner'), createAdmin);
+app.patch('/admin/admins/:email', requireRole('owner'), updateAdmin);
+app.delete('/admin/admins/:email', requireRole('owner'), deleteAdmin);
+app.get('/admin/unverified', requireRole('moderator'), getUnverifiedSubmission(shopify));
+app.get('/admin/submissions', requireRole('moderator'), listSubmissions(shopify));
+app.patch('/admin/submission/:id', requireRole('moderator'), updateSubmission(shopify));
+app.post('/admin/verify/:id', requireRole('moderator'), verifySubmission(shopify));
+app.post('/admin/reject/:id', requireRole('moderator'), rejectSubmission(shopify));
+app.post('/admin/bulk', requireRole('moderator'), bulkModerate(shopify));
+app.post('/admin/submission/:id/revert', requireRole('moderator'), revertSubmission(shopify));
+app.get('/admin/audit', requireRole('moderator'), getAuditLog);
+
+const uploadGc = createUploadGc({
+  storage,
+  shopify,
+  gracePeriodMs: (parseInt(process.env.UPLOAD_GC_GRACE_HOURS, 10) || 48) * 60 * 60 * 1000,
+  intervalMs: (parseInt(process.env.UPLOAD_GC_INTERVAL_HOURS, 10) || 0) * 60 * 60 * 1000,
+  autoDelete: process.env.UPLOAD_GC_AUTO_DELETE === 'true'
+});
+
+app.post('/admin/uploads/gc', requireRole('owner'), uploadGc.triggerGc);
+app.get('/admin/uploads/gc', requireRole('owner'), uploadGc.getGcReport);
+app.get('/admin/notifications/outbox', requireRole('owner'), getOutbox(emailProvider));
+app.get('/admin/webhooks', requireRole('owner'), webhooks.listWebhooks);
+app.post('/admin/webhooks', requireRole('owner'), webhooks.createWebhook);
+app.get('/admin/webhooks/deliveries', requireRole('owner'), webhooks.listDeliveries);
+app.post('/admin/webhooks/deliveries/:id/redeliver', requireRole('owner'), webhooks.redeliver);
+app.patch('/admin/webhooks/:id', requireRole('owner'), webhooks.updateWebhook);
+app.delete('/admin/webhooks/:id', requireRole('owner'), webhooks.deleteWebhook);
+app.post('/admin/webhooks/:id/ping', requireRole('owner'), webhooks.pingWebhook);
+app.get('/admin/tenants', requireRole('owner'), listTenants);
+app.post('/admin/tenants', requireRole('owner'), createTenant);
+app.patch('/admin/tenants/:name', requireRole('owner'), updateTenant);
+app.delete('/admin/tenants/:name', requireRole('owner'), deleteTenant);
+app.get('/admin/events', requireRole('owner'), events.listAdminEvents);
+app.post('/admin/events', requireRole('owner'), events.createEvent);
+app.patch('/admin/events/:id', requireRole('owner'), events.updateEvent);
+app.delete('/admin/events/:id', requireRole('owner'), events.deleteEvent);
+app.post('/admin/events/:id/freeze', requireRole('owner'), events.freezeEvent);
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
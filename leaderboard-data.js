@@ -0,0 +1,125 @@
+/**
+ * Shared leaderboard data layer
+ *
+ * Loads every beer_leaderboard_entry (all Shopify pages) once per TTL and
+ * serves the whitelabel routes from the cached copy. Any submission event
+ * (create, edit, verify, reject, delete) drops the cache so the next request
+ * reloads.
+ *
+ * The cache is pluggable: anything with async get(key), set(key, value, ttlMs)
+ * and delete(key) works. The default keeps entries in process memory.
+ */
+
+const { fetchAllSubmissions } = require('./admin-endpoints');
+const { submissionEvents } = require('./submission-events');
+
+const CACHE_KEY = 'leaderboard:entries';
+
+function createMemoryCache() {
+  const items = new Map();
+
+  return {
+    async get(key) {
+      const item = items.get(key);
+      if (!item) return undefined;
+      if (item.expiresAt < Date.now()) {
+        items.delete(key);
+        return undefined;
+      }
+      return item.value;
+    },
+    async set(key, value, ttlMs) {
+      items.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    async delete(key) {
+      items.delete(key);
+    }
+  };
+}
+
+/**
+ * Options:
+ * - shopify: Shopify client (see shopify-client.js)
+ * - cache: cache implementation (default: createMemoryCache())
+ * - ttlMs: how long a loaded copy is served (default 60s)
+ */
+function createLeaderboardData({
+  shopify,
+  cache = createMemoryCache(),
+  ttlMs = 60 * 1000
+}) {
+  let inFlight = null;
+  // Bumped on invalidation so a load that started earlier doesn't repopulate
+  // the cache with stale data
+  let generation = 0;
+
+  async function load() {
+    const startedAt = generation;
+    const { submissions, errors } = await fetchAllSubmissions(shopify);
+
+    if (errors) {
+      const error = new Error('Failed to fetch entries');
+      error.details = errors;
+      throw error;
+    }
+
+    const entries = submissions.map(submission => ({
+      id: submission.id,
+      handle: submission.handle,
+      ...submission.fields,
+      thumbnail_url: submission.fields.thumbnail_url || null
+    }));
+
+    if (startedAt === generation) {
+      await cache.set(CACHE_KEY, entries, ttlMs);
+    }
+    console.log('Leaderboard cache loaded:', entries.length, 'entries');
+    return entries;
+  }
+
+  /**
+   * Returns every entry as a flat object ({ id, handle, ...fields }).
+   * Concurrent cache misses share one Shopify load.
+   */
+  async function getAllEntries() {
+    const cached = await cache.get(CACHE_KEY);
+    if (cached) {
+      return cached;
+    }
+
+    if (!inFlight) {
+      const loading = load().finally(() => {
+        // invalidate() may have started a newer load since
+        if (inFlight === loading) {
+          inFlight = null;
+        }
+      });
+      inFlight = loading;
+    }
+    return inFlight;
+  }
+
+  async function invalidate() {
+    generation += 1;
+    inFlight = null;
+    await cache.delete(CACHE_KEY);
+  }
+
+  ['created', 'updated', 'verified', 'rejected', 'deleted'].forEach(event => {
+    submissionEvents.on(event, () => {
+      invalidate().catch(error => {
+        console.error('Error invalidating leaderboard cache:', error);
+      });
+    });
+  });
+
+  return {
+    getAllEntries,
+    invalidate
+  };
+}
+
+module.exports = {
+  createMemoryCache,
+  createLeaderboardData
+};
@@ -0,0 +1,273 @@
+/**
+ * Ranking options for the whitelabel leaderboards
+ *
+ * Query params (all optional):
+ * - rank_by: time (default, raw time_s) | per_oz (time_s / volume_oz)
+ * - group_by: container | volume_oz - rank separately within each class
+ * - beer_style, container: exact match filters
+ * - window: all (default) | month | week - by date_iso, calendar month or
+ *   ISO week (Monday) in UTC
+ * - per_handle: all (default) | best - keep only each person's best entry,
+ *   matched by normalized handle_text (handle_url when there's no text)
+ *
+ * Every ranked entry gets `score` and `rank`. Ranks use standard competition
+ * ranking, so equal scores share a rank and the next rank is skipped
+ * (1, 2, 2, 4). Entries without a usable score come last with rank null.
+ */
+
+// Maps, so query values like 'constructor' don't match inherited keys
+const RANK_BY = new Map([
+  ['time', entry => parseFloat(entry.time_s)],
+  ['per_oz', entry => parseFloat(entry.time_s) / parseFloat(entry.volume_oz)]
+]);
+
+const GROUP_BY = new Map([
+  ['container', entry => entry.container || ''],
+  ['volume_oz', entry => {
+    const volume = parseFloat(entry.volume_oz);
+    return isNaN(volume) ? '' : String(volume);
+  }]
+]);
+
+const WINDOWS = ['all', 'month', 'week'];
+
+const PER_HANDLE = ['all', 'best'];
+
+// Scores are compared at this precision so float noise doesn't break ties
+const SCORE_DECIMALS = 3;
+
+/**
+ * Identity key for "the same person": '@Chug Master ' and 'chug master' match,
+ * as do 'https://www.tiktok.com/@x/' and 'tiktok.com/@X'
+ */
+function normalizeHandle(entry) {
+  const text = String(entry.handle_text || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^@+/, '')
+    .replace(/\s+/g, ' ');
+  if (text) {
+    return `text:${text}`;
+  }
+
+  const url = String(entry.handle_url || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/[?#].*$/, '')
+    .replace(/\/+$/, '');
+  return url ? `url:${url}` : null;
+}
+
+function getWindowStart(window, now = new Date()) {
+  if (window === 'month') {
+    return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+  }
+  if (window === 'week') {
+    const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+    return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - daysSinceMonday);
+  }
+  return null;
+}
+
+/**
+ * Reads and validates the ranking options from a query object.
+ * Returns { options } or { error }.
+ */
+function parseRankingOptions(query) {
+  const {
+    rank_by = 'time',
+    group_by,
+    beer_style,
+    container,
+    window = 'all',
+    per_handle = 'all'
+  } = query;
+
+  if (!RANK_BY.has(rank_by)) {
+    return { error: `rank_by must be one of: ${[...RANK_BY.keys()].join(', ')}` };
+  }
+  if (group_by && !GROUP_BY.has(group_by)) {
+    return { error: `group_by must be one of: ${[...GROUP_BY.keys()].join(', ')}` };
+  }
+  if (!WINDOWS.includes(window)) {
+    return { error: `window must be one of: ${WINDOWS.join(', ')}` };
+  }
+  if (!PER_HANDLE.includes(per_handle)) {
+    return { error: `per_handle must be one of: ${PER_HANDLE.join(', ')}` };
+  }
+
+  return {
+    options: {
+      rank_by,
+      group_by: group_by || null,
+      beer_style: beer_style || null,
+      container: container || null,
+      window,
+      per_handle
+    }
+  };
+}
+
+function filterEntries(entries, options) {
+  const windowStart = getWindowStart(options.window);
+
+  return entries.filter(entry => {
+    if (options.beer_style && entry.beer_style !== options.beer_style) {
+      return false;
+    }
+    if (options.container && entry.container !== options.container) {
+      return false;
+    }
+    if (windowStart !== null) {
+      const date = Date.parse(entry.date_iso);
+      if (isNaN(date) || date < windowStart) {
+        return false;
+      }
+    }
+    return true;
+  });
+}
+
+/**
+ * Returns new entry objects sorted by score with `score` and `rank` set
+ */
+function rankEntries(entries, rankBy) {
+  const scoreOf = RANK_BY.get(rankBy);
+  const factor = 10 ** SCORE_DECIMALS;
+
+  const scored = entries.map(entry => {
+    const raw = scoreOf(entry);
+    const score = isFinite(raw) && raw > 0 ? Math.round(raw * factor) / factor : null;
+    return { ...entry, score };
+  });
+
+  scored.sort((a, b) => {
+    if (a.score === null || b.score === null) {
+      return (a.score === null) - (b.score === null);
+    }
+    // Among ties, whoever set the time first is listed first
+    return a.score - b.score || String(a.date_iso || '').localeCompare(String(b.date_iso || ''));
+  });
+
+  let previousScore = null;
+  let previousRank = 0;
+  scored.forEach((entry, index) => {
+    if (entry.score === null) {
+      entry.rank = null;
+      return;
+    }
+    entry.rank = entry.score === previousScore ? previousRank : index + 1;
+    previousScore = entry.score;
+    previousRank = entry.rank;
+  });
+
+  return scored;
+}
+
+/**
+ * Keeps each handle's best-scoring entry (ties go to the earlier one).
+ * Entries with no handle at all are kept as they are.
+ */
+function collapseByHandle(entries, rankBy) {
+  const best = new Map();
+  const anonymous = [];
+
+  rankEntries(entries, rankBy).forEach(entry => {
+    const key = normalizeHandle(entry);
+    if (!key) {
+      anonymous.push(entry);
+    } else if (!best.has(key)) {
+      best.set(key, entry);
+    }
+  });
+
+  return [...best.values(), ...anonymous];
+}
+
+/**
+ * One person's history: all their entries by date, plus for each leaderboard
+ * (leaderboard_type + leaderboard_name) the entries that set a new personal
+ * best at the time and the current best.
+ */
+function buildHandleHistory(entries, handleKey, rankBy = 'time') {
+  const scoreOf = RANK_BY.get(rankBy);
+  const history = entries
+    .filter(entry => normalizeHandle(entry) === handleKey)
+    .sort((a, b) => String(a.date_iso || '').localeCompare(String(b.date_iso || '')));
+
+  const boards = new Map();
+  history.forEach(entry => {
+    const boardKey = `${entry.leaderboard_type || ''}|${entry.leaderboard_name || ''}`;
+    if (!boards.has(boardKey)) {
+      boards.set(boardKey, {
+        leaderboard_type: entry.leaderboard_type || '',
+        leaderboard_name: entry.leaderboard_name || '',
+        best: null,
+        progression: []
+      });
+    }
+
+    const score = scoreOf(entry);
+    if (!isFinite(score) || score <= 0) {
+      return;
+    }
+
+    const board = boards.get(boardKey);
+    if (!board.best || score < board.best.score) {
+      board.best = { ...entry, score };
+      board.progression.push(board.best);
+    }
+  });
+
+  return {
+    entries: history,
+    personal_bests: [...boards.values()].filter(board => board.best)
+  };
+}
+
+/**
+ * Filters and ranks entries. Returns { entries } or, with group_by,
+ * { groups: [{ group, count, entries }] } ordered by group value.
+ */
+function buildLeaderboard(entries, options) {
+  const filtered = filterEntries(entries, options);
+  const collapse = list => options.per_handle === 'best' ? collapseByHandle(list, options.rank_by) : list;
+
+  if (!options.group_by) {
+    return { entries: rankEntries(collapse(filtered), options.rank_by) };
+  }
+
+  const groupOf = GROUP_BY.get(options.group_by);
+  const byGroup = new Map();
+  filtered.forEach(entry => {
+    const group = groupOf(entry);
+    if (!byGroup.has(group)) {
+      byGroup.set(group, []);
+    }
+    byGroup.get(group).push(entry);
+  });
+
+  const groups = [...byGroup.keys()]
+    .sort((a, b) => {
+      const numeric = parseFloat(a) - parseFloat(b);
+      return isNaN(numeric) ? a.localeCompare(b) : numeric;
+    })
+    .map(group => {
+      const ranked = rankEntries(collapse(byGroup.get(group)), options.rank_by);
+      return { group, count: ranked.length, entries: ranked };
+    });
+
+  return { groups };
+}
+
+module.exports = {
+  normalizeHandle,
+  parseRankingOptions,
+  filterEntries,
+  rankEntries,
+  collapseByHandle,
+  buildLeaderboard,
+  buildHandleHistory
+};
@@ -0,0 +1,315 @@
+/**
+ * Live leaderboards over Server-Sent Events
+ *
+ * GET /whitelabel/:leaderboard_type/stream
+ * GET /whitelabel/name/:leaderboard_name/stream
+ * - Same ranking query params as the JSON routes, except group_by
+ * - On connect: a `snapshot` event with the ranked list, shaped like the JSON
+ *   response ({ leaderboard_type | leaderboard_name, ranking, count, entries },
+ *   plus `tenant` on name streams)
+ * - Then a `delta` event whenever verifying, editing, rejecting or deleting
+ *   changes the list: { added: [entries], updated: [entries], removed: [ids],
+ *   count }. Entries are complete, so clients can replace them by id; an
+ *   entry moving rank shows up in `updated`.
+ * - A `heartbeat` event ({ time }) every STREAM_HEARTBEAT_SECONDS (default 25)
+ *   keeps proxies from closing idle connections
+ *
+ * Resuming: snapshot and delta events carry an id. A client reconnecting with
+ * Last-Event-ID (EventSource does this by itself, or ?last_event_id=) gets
+ * only the deltas it missed when they are still in the channel's recent
+ * history, otherwise a fresh snapshot.
+ *
+ * Clients with the same board and options share a channel; the list is
+ * recomputed once per burst of submission events (a bulk verify sends one
+ * delta), from the shared leaderboard data layer. A channel and its history
+ * are kept for a while after its last client leaves, so a lone client that
+ * reconnects can still resume. Name streams follow the tenant registry
+ * (tenants.js) like the JSON route, re-read on every refresh so tenant edits
+ * show up as deltas.
+ */
+
+const { submissionEvents } = require('./submission-events');
+const { parseRankingOptions, buildLeaderboard } = require('./leaderboard-ranking');
+const { isPublished } = require('./whitelabel');
+const { getTenant, getTenantEntries, publicTenant, isPrivateEntry } = require('./tenants');
+
+const REFRESH_EVENTS = ['updated', 'verified', 'rejected', 'deleted'];
+
+function formatEvent({ id, event, data }) {
+  return `${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Changes from `previous` to `next` ranked lists, matched by entry id
+ */
+function diffEntries(previous, next) {
+  const previousById = new Map(previous.map(entry => [entry.id, JSON.stringify(entry)]));
+  const nextIds = new Set(next.map(entry => entry.id));
+
+  const added = [];
+  const updated = [];
+  next.forEach(entry => {
+    if (!previousById.has(entry.id)) {
+      added.push(entry);
+    } else if (previousById.get(entry.id) !== JSON.stringify(entry)) {
+      updated.push(entry);
+    }
+  });
+
+  const removed = previous.filter(entry => !nextIds.has(entry.id)).map(entry => entry.id);
+  return { added, updated, removed };
+}
+
+/**
+ * Options:
+ * - leaderboardData: shared leaderboard data layer
+ * - heartbeatMs: heartbeat interval (default 25s)
+ * - historySize: deltas kept per channel for Last-Event-ID resumes (default 100)
+ * - debounceMs: how long to collect submission events before recomputing (default 250ms)
+ * - maxClients: open streams allowed per process (default 1000)
+ * - retryMs: reconnect delay suggested to clients (default 5s)
+ * - idleChannelMs: how long a channel outlives its last client (default 2 min)
+ */
+function createLeaderboardStreams({
+  leaderboardData,
+  heartbeatMs = 25 * 1000,
+  historySize = 100,
+  debounceMs = 250,
+  maxClients = 1000,
+  retryMs = 5000,
+  idleChannelMs = 2 * 60 * 1000
+}) {
+  const channels = new Map();
+  let channelCount = 0;
+  let clientCount = 0;
+
+  function rank(channel, entries) {
+    let board;
+    if (channel.boardKey === 'leaderboard_name') {
+      const tenant = getTenant(channel.board);
+      board = tenant ? getTenantEntries(tenant, entries) : [];
+    } else {
+      board = entries.filter(entry => entry[channel.boardKey] === channel.board && !isPrivateEntry(entry));
+    }
+    return buildLeaderboard(board.filter(isPublished), channel.options).entries;
+  }
+
+  function snapshotEvent(channel) {
+    const tenant = channel.boardKey === 'leaderboard_name' && getTenant(channel.board);
+    return {
+      id: `${channel.stamp}-${channel.seq}`,
+      event: 'snapshot',
+      data: {
+        [channel.boardKey]: channel.board,
+        ...(tenant && { tenant: publicTenant(tenant) }),
+        ranking: channel.options,
+        count: channel.entries.length,
+        entries: channel.entries
+      }
+    };
+  }
+
+  /**
+   * Deltas after `lastEventId`, [] when it's current, or null when they
+   * aren't available and the client needs a snapshot
+   */
+  function getMissedEvents(channel, lastEventId) {
+    const match = /^(.+)-(\d+)$/.exec(String(lastEventId || ''));
+    if (!match || match[1] !== channel.stamp) {
+      return null;
+    }
+    const seq = parseInt(match[2], 10);
+    if (seq === channel.seq) {
+      return [];
+    }
+    const missed = channel.history.filter(event => event.seq > seq);
+    if (seq > channel.seq || missed.length === 0 || missed[0].seq !== seq + 1) {
+      return null;
+    }
+    return missed;
+  }
+
+  function broadcast(channel, event) {
+    const message = formatEvent(event);
+    channel.clients.forEach(res => res.write(message));
+  }
+
+  async function refresh(channel) {
+    const next = rank(channel, await leaderboardData.getAllEntries());
+    const { added, updated, removed } = diffEntries(channel.entries, next);
+    channel.entries = next;
+
+    if (added.length === 0 && updated.length === 0 && removed.length === 0) {
+      return;
+    }
+
+    channel.seq += 1;
+    const event = {
+      seq: channel.seq,
+      id: `${channel.stamp}-${channel.seq}`,
+      event: 'delta',
+      data: { added, updated, removed, count: next.length }
+    };
+    channel.history.push(event);
+    if (channel.history.length > historySize) {
+      channel.history.shift();
+    }
+    broadcast(channel, event);
+  }
+
+  function scheduleRefresh(channel) {
+    if (channel.refreshTimer) {
+      return;
+    }
+    channel.refreshTimer = setTimeout(() => {
+      channel.refreshTimer = null;
+      // Chained so a slow load can't apply after a newer one
+      channel.refreshing = channel.refreshing.then(() => refresh(channel)).catch(error => {
+        console.error('Error refreshing leaderboard stream:', error.message);
+      });
+    }, debounceMs);
+  }
+
+  // Drops the channel once it has had no clients for idleChannelMs
+  function expireWhenIdle(key, channel) {
+    if (channel.clients.size > 0) {
+      return;
+    }
+    clearTimeout(channel.idleTimer);
+    channel.idleTimer = setTimeout(() => {
+      if (channel.clients.size === 0 && channels.get(key) === channel) {
+        clearTimeout(channel.refreshTimer);
+        channels.delete(key);
+      }
+    }, idleChannelMs);
+    channel.idleTimer.unref();
+  }
+
+  function removeClient(key, channel, res) {
+    if (channel.clients.delete(res)) {
+      clientCount -= 1;
+      expireWhenIdle(key, channel);
+    }
+  }
+
+  REFRESH_EVENTS.forEach(event => {
+    submissionEvents.on(event, () => {
+      channels.forEach(scheduleRefresh);
+    });
+  });
+
+  const heartbeatTimer = setInterval(() => {
+    const message = formatEvent({ event: 'heartbeat', data: { time: new Date().toISOString() } });
+    channels.forEach(channel => channel.clients.forEach(res => res.write(message)));
+  }, heartbeatMs);
+  heartbeatTimer.unref();
+
+  /**
+   * Route handler for boards keyed by `boardKey` (leaderboard_type or
+   * leaderboard_name, read from req.params)
+   */
+  function streamLeaderboard(boardKey) {
+    return async (req, res) => {
+      try {
+        // Name streams sit behind requireTenant; use the tenant's own spelling
+        const board = boardKey === 'leaderboard_name' ? req.tenant.name : req.params[boardKey];
+
+        const { options, error } = parseRankingOptions(req.query);
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        if (options.group_by) {
+          return res.status(400).json({ error: 'group_by is not supported on streams' });
+        }
+
+        if (clientCount >= maxClients) {
+          res.set('Retry-After', String(Math.ceil(retryMs / 1000)));
+          return res.status(503).json({ error: 'Too many open streams, try again later' });
+        }
+
+        const key = JSON.stringify([boardKey, board, options]);
+        let channel = null;
+        let closed = false;
+        // Registered before any await, so a client leaving during the load
+        // is never added
+        req.on('close', () => {
+          closed = true;
+          if (channel) {
+            removeClient(key, channel, res);
+          }
+        });
+
+        channel = channels.get(key);
+        if (!channel) {
+          const entries = await leaderboardData.getAllEntries();
+          // Another client may have opened it during the load
+          channel = channels.get(key);
+          if (!channel) {
+            channelCount += 1;
+            channel = {
+              boardKey,
+              board,
+              options,
+              stamp: `${Date.now().toString(36)}${channelCount.toString(36)}`,
+              seq: 0,
+              history: [],
+              clients: new Set(),
+              refreshTimer: null,
+              idleTimer: null,
+              refreshing: Promise.resolve(),
+              entries: []
+            };
+            channel.entries = rank(channel, entries);
+            channels.set(key, channel);
+          }
+        }
+
+        if (closed) {
+          return expireWhenIdle(key, channel);
+        }
+
+        res.set({
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache, no-transform',
+          Connection: 'keep-alive',
+          'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write(`retry: ${retryMs}\n\n`);
+
+        const missed = getMissedEvents(channel, req.get('last-event-id') || req.query.last_event_id);
+        if (missed) {
+          missed.forEach(event => res.write(formatEvent(event)));
+        } else {
+          res.write(formatEvent(snapshotEvent(channel)));
+        }
+
+        clearTimeout(channel.idleTimer);
+        channel.clients.add(res);
+        clientCount += 1;
+      } catch (error) {
+        if (res.headersSent) {
+          return res.end();
+        }
+        if (error.details) {
+          return res.status(500).json({ error: 'Failed to fetch entries', details: error.details });
+        }
+        console.error('Error opening leaderboard stream:', error);
+        res.status(500).json({ error: 'Failed to fetch leaderboard entries' });
+      }
+    };
+  }
+
+  function getStatus() {
+    return { channels: channels.size, clients: clientCount };
+  }
+
+  return {
+    streamLeaderboard,
+    getStatus
+  };
+}
+
+module.exports = {
+  createLeaderboardStreams
+};
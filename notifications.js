@@ -0,0 +1,237 @@
+/**
+ * Submitter notifications
+ *
+ * /submit-chug accepts an optional contact[email]. It is kept in the
+ * `submitter-contacts` JSON store keyed by entry id, never in Shopify, so it
+ * can't appear on leaderboards, in admin field lists or in the audit log.
+ *
+ * When an entry with an email is verified or rejected, the submitter gets
+ * the matching template through the email provider (see email.js):
+ * - verified: "you're #N on the X leaderboard", ranked on the public board
+ *   it shows up on: the tenant's board (with its filters) when
+ *   leaderboard_name is set, otherwise the leaderboard_type board
+ * - rejected: the reason and the moderator's notes
+ * Each template is sent at most once per entry, so re-verifying or a bulk
+ * retry doesn't email twice. Failures are logged and never block moderation.
+ *
+ * GET /admin/notifications/outbox
+ * - Messages captured by the outbox provider (EMAIL_PROVIDER=outbox)
+ */
+
+const { createJsonStore } = require('./store');
+const { submissionEvents } = require('./submission-events');
+const { parseRankingOptions, buildLeaderboard } = require('./leaderboard-ranking');
+const { isPublished } = require('./whitelabel');
+const { getTenant, getTenantEntries, isPrivateEntry } = require('./tenants');
+
+const EMAIL_MAX_LENGTH = 254;
+
+const contactStore = createJsonStore('submitter-contacts', {});
+
+const REJECTION_REASON_TEXT = {
+  video_unclear: 'the video was too unclear to time',
+  time_mismatch: "the time didn't match the video",
+  volume_mismatch: "the volume didn't match the video",
+  wrong_leaderboard: 'it was entered on the wrong leaderboard',
+  inappropriate: 'it contained inappropriate content',
+  duplicate: 'it duplicates an existing entry',
+  invalid_info: 'some of the details were invalid',
+  other: "it didn't meet the submission rules"
+};
+
+/**
+ * Default templates. Each takes the notification data and returns
+ * { subject, text }; pass `templates` to createSubmitterNotifications to
+ * override them.
+ */
+const TEMPLATES = {
+  verified({ handle, timeS, leaderboard, rank, leaderboardUrl }) {
+    const place = rank ? ` at #${rank}` : '';
+    return {
+      subject: rank
+        ? `Your chug is verified - you're #${rank} on the ${leaderboard} leaderboard`
+        : `Your chug is verified on the ${leaderboard} leaderboard`,
+      text: [
+        `Hi ${handle},`,
+        '',
+        `Your ${timeS}s chug has been verified and is now on the ${leaderboard} leaderboard${place}.`,
+        ...(leaderboardUrl ? ['', `See the leaderboard: ${leaderboardUrl}`] : []),
+        '',
+        'Chug Champ'
+      ].join('\n')
+    };
+  },
+
+  rejected({ handle, timeS, reason, notes, id }) {
+    return {
+      subject: "Your chug submission wasn't approved",
+      text: [
+        `Hi ${handle},`,
+        '',
+        `We couldn't approve your ${timeS}s chug because ${REJECTION_REASON_TEXT[reason] || REJECTION_REASON_TEXT.other}.`,
+        ...(notes ? ['', `Moderator notes: ${notes}`] : []),
+        '',
+        'You can fix it and submit it again as a resubmission of this entry.',
+        `Reference: ${id}`,
+        '',
+        'Chug Champ'
+      ].join('\n')
+    };
+  }
+};
+
+/**
+ * Returns an error message for an invalid email, or null
+ */
+function validateSubmitterEmail(value) {
+  if (typeof value !== 'string' || value.length > EMAIL_MAX_LENGTH ||
+      !/^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(value)) {
+    return 'must be an email address';
+  }
+  return null;
+}
+
+function rememberSubmitterEmail(id, email) {
+  contactStore.update(contacts => {
+    contacts[id] = { email, createdAt: new Date().toISOString(), notified: {} };
+  });
+}
+
+function getLeaderboardLabel(fields) {
+  if (fields.leaderboard_name) {
+    return fields.leaderboard_name;
+  }
+  return fields.leaderboard_type || 'Chug Champ';
+}
+
+/**
+ * Rank of `submission` on its leaderboard, using `entries` for everyone else.
+ * The board is filtered like the whitelabel routes filter it, so the rank
+ * matches what the submitter will see; null if the entry isn't on it.
+ */
+function getRank(submission, entries) {
+  const entry = { id: submission.id, handle: submission.handle, ...submission.fields };
+  const all = entries.filter(other => other.id !== submission.id).concat([entry]);
+
+  let board;
+  if (entry.leaderboard_name) {
+    const tenant = getTenant(entry.leaderboard_name);
+    board = tenant ? getTenantEntries(tenant, all) : [];
+  } else {
+    board = all.filter(other => other.leaderboard_type === entry.leaderboard_type && !isPrivateEntry(other));
+  }
+  const published = board.filter(isPublished);
+
+  const { options } = parseRankingOptions({});
+  const { entries: ranked } = buildLeaderboard(published, options);
+  return ranked.find(other => other.id === submission.id)?.rank || null;
+}
+
+/**
+ * Options:
+ * - provider: email provider (see email.js); null disables sending
+ * - leaderboardData: shared leaderboard data layer, for ranks
+ * - leaderboardUrl: optional link included in verified emails
+ * - templates: overrides for TEMPLATES
+ */
+function createSubmitterNotifications({ provider, leaderboardData, leaderboardUrl = null, templates = {} }) {
+  const renderers = { ...TEMPLATES, ...templates };
+  const queue = [];
+  let worker = Promise.resolve();
+
+  async function deliver({ kind, submission }, entries) {
+    const contact = contactStore.get()[submission.id];
+    if (!contact || contact.notified?.[kind]) {
+      return;
+    }
+
+    const fields = submission.fields;
+    const { subject, text } = renderers[kind]({
+      id: submission.id,
+      handle: fields.handle_text || 'there',
+      timeS: fields.time_s,
+      leaderboard: getLeaderboardLabel(fields),
+      rank: kind === 'verified' ? getRank(submission, entries) : null,
+      reason: fields.rejection_reason,
+      notes: fields.rejection_notes,
+      leaderboardUrl
+    });
+
+    try {
+      await provider.send({ to: contact.email, subject, text });
+      contactStore.update(contacts => {
+        if (contacts[submission.id]) {
+          contacts[submission.id].notified = {
+            ...contacts[submission.id].notified,
+            [kind]: new Date().toISOString()
+          };
+        }
+      });
+    } catch (error) {
+      console.error(`Failed to send ${kind} notification for ${submission.id}:`, error.message);
+    }
+  }
+
+  // Notifications queued while the leaderboard loads share one load, so a
+  // bulk verify doesn't reload every entry once per submission
+  async function drain() {
+    while (queue.length > 0) {
+      const batch = queue.splice(0);
+      let entries = [];
+      if (batch.some(item => item.kind === 'verified')) {
+        try {
+          entries = await leaderboardData.getAllEntries();
+        } catch (error) {
+          console.error('Failed to load leaderboard for notifications:', error.message);
+        }
+      }
+      for (const item of batch) {
+        await deliver(item, entries);
+      }
+    }
+  }
+
+  function enqueue(kind, payload) {
+    if (!provider || !payload.submission || !contactStore.get()[payload.id]) {
+      return;
+    }
+    queue.push({ kind, submission: payload.submission });
+    worker = worker.then(drain);
+  }
+
+  submissionEvents.on('verified', payload => enqueue('verified', payload));
+  submissionEvents.on('rejected', payload => enqueue('rejected', payload));
+
+  return {
+    // Resolves once everything queued so far has been sent
+    flush() {
+      return worker;
+    }
+  };
+}
+
+/**
+ * GET /admin/notifications/outbox
+ */
+function getOutbox(provider) {
+  return (req, res) => {
+    if (!provider || !provider.getMessages) {
+      return res.status(404).json({ error: 'The outbox email provider is not enabled' });
+    }
+
+    const messages = provider.getMessages();
+    res.json({
+      success: true,
+      count: messages.length,
+      messages: [...messages].reverse()
+    });
+  };
+}
+
+module.exports = {
+  TEMPLATES,
+  validateSubmitterEmail,
+  rememberSubmitterEmail,
+  createSubmitterNotifications,
+  getOutbox
+};
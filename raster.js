@@ -0,0 +1,189 @@
+/**
+ * Minimal RGB raster and PNG encoder for server-rendered image cards
+ *
+ * Draws filled rectangles, RGB images (e.g. thumbnails decoded by ffmpeg) and
+ * text in a built-in 5x7 bitmap font (printable ASCII; anything else is drawn
+ * as '?'), then encodes an 8-bit truecolor PNG with zlib. Enough for a
+ * leaderboard card without an image library.
+ */
+
+const zlib = require('zlib');
+
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 8; // 7 rows plus one for descenders
+const GLYPH_ADVANCE = 6;
+
+// Column bitmaps for ASCII 32-126, five bytes per glyph, bit 0 = top row
+const FONT = Buffer.from([
+  '0000000000', '00005f0000', '0007000700', '147f147f14', '242a7f2a12', '2313086462',
+  '3649562050', '0008070300', '001c224100', '0041221c00', '2a1c7f1c2a', '08083e0808',
+  '0080703000', '0808080808', '0000606000', '2010080402', '3e5149453e', '00427f4000',
+  '7249494946', '2141494d33', '1814127f10', '2745454539', '3c4a494931', '4121110907',
+  '3649494936', '464949291e', '0000140000', '0040340000', '0008142241', '1414141414',
+  '0041221408', '0201590906', '3e415d594e', '7c1211127c', '7f49494936', '3e41414122',
+  '7f4141413e', '7f49494941', '7f09090901', '3e41415173', '7f0808087f', '00417f4100',
+  '2040413f01', '7f08142241', '7f40404040', '7f021c027f', '7f0408107f', '3e4141413e',
+  '7f09090906', '3e4151215e', '7f09192946', '2649494932', '03017f0103', '3f4040403f',
+  '1f2040201f', '3f4038403f', '6314081463', '0304780403', '6159494d43', '007f414141',
+  '0204081020', '004141417f', '0402010204', '4040404040', '0003070800', '2054547840',
+  '7f28444438', '3844444428', '384444287f', '3854545418', '00087e0902', '18a4a49c78',
+  '7f08040478', '00447d4000', '2040403d00', '7f10284400', '00417f4000', '7c04780478',
+  '7c08040478', '3844444438', 'fc18242418', '18242418fc', '7c08040408', '4854545424',
+  '04043f4424', '3c4040207c', '1c2040201c', '3c4030403c', '4428102844', '4c9090907c',
+  '4464544c44', '0008364100', '0000770000', '0041360800', '0201020402'
+].join(''), 'hex');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * '#ff6600' or '#f60' -> [255, 102, 0]
+ */
+function parseColor(color) {
+  const hex = String(color).replace(/^#/, '');
+  const full = hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex;
+  return [0, 2, 4].map(i => parseInt(full.slice(i, i + 2), 16) || 0);
+}
+
+/**
+ * Width in pixels of `text` drawn at `scale`
+ */
+function measureText(text, scale = 1) {
+  return text.length > 0 ? (text.length * GLYPH_ADVANCE - 1) * scale : 0;
+}
+
+/**
+ * `text` shortened with '...' to fit `maxWidth` pixels at `scale`
+ */
+function fitText(text, maxWidth, scale = 1) {
+  const maxChars = Math.floor((maxWidth + scale) / (GLYPH_ADVANCE * scale));
+  if (text.length <= maxChars) {
+    return text;
+  }
+  return `${text.slice(0, Math.max(maxChars - 3, 0))}...`;
+}
+
+function createCanvas(width, height, background = '#ffffff') {
+  const pixels = Buffer.alloc(width * height * 3);
+
+  function setPixel(x, y, [r, g, b]) {
+    x = Math.round(x);
+    y = Math.round(y);
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+    const offset = (y * width + x) * 3;
+    pixels[offset] = r;
+    pixels[offset + 1] = g;
+    pixels[offset + 2] = b;
+  }
+
+  function fillRect(x, y, w, h, color) {
+    const rgb = parseColor(color);
+    for (let row = Math.max(0, y); row < Math.min(height, y + h); row++) {
+      for (let col = Math.max(0, x); col < Math.min(width, x + w); col++) {
+        setPixel(col, row, rgb);
+      }
+    }
+  }
+
+  /**
+   * Draws text with its top-left corner at (x, y); returns the width drawn
+   */
+  function drawText(text, x, y, { scale = 1, color = '#000000' } = {}) {
+    const rgb = parseColor(color);
+    [...text].forEach((char, index) => {
+      let code = char.charCodeAt(0);
+      if (char.length !== 1 || code < 32 || code > 126) {
+        code = 63; // '?'
+      }
+      const glyph = (code - 32) * GLYPH_WIDTH;
+      for (let col = 0; col < GLYPH_WIDTH; col++) {
+        const bits = FONT[glyph + col];
+        for (let row = 0; row < GLYPH_HEIGHT; row++) {
+          if (bits & (1 << row)) {
+            const px = x + (index * GLYPH_ADVANCE + col) * scale;
+            const py = y + row * scale;
+            for (let dy = 0; dy < scale; dy++) {
+              for (let dx = 0; dx < scale; dx++) {
+                setPixel(px + dx, py + dy, rgb);
+              }
+            }
+          }
+        }
+      }
+    });
+    return measureText(text, scale);
+  }
+
+  /**
+   * Copies a packed RGB image (w * h * 3 bytes) to (x, y)
+   */
+  function drawImage(rgbBuffer, w, h, x, y) {
+    for (let row = 0; row < h; row++) {
+      for (let col = 0; col < w; col++) {
+        const offset = (row * w + col) * 3;
+        setPixel(x + col, y + row, [rgbBuffer[offset], rgbBuffer[offset + 1], rgbBuffer[offset + 2]]);
+      }
+    }
+  }
+
+  function toPng() {
+    // Each scanline starts with filter type 0 (none)
+    const raw = Buffer.alloc((width * 3 + 1) * height);
+    for (let row = 0; row < height; row++) {
+      pixels.copy(raw, row * (width * 3 + 1) + 1, row * width * 3, (row + 1) * width * 3);
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 2; // truecolor RGB
+
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      pngChunk('IHDR', header),
+      pngChunk('IDAT', zlib.deflateSync(raw)),
+      pngChunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+
+  fillRect(0, 0, width, height, background);
+
+  return {
+    width,
+    height,
+    fillRect,
+    drawText,
+    drawImage,
+    toPng
+  };
+}
+
+module.exports = {
+  GLYPH_HEIGHT,
+  measureText,
+  fitText,
+  createCanvas
+};
@@ -0,0 +1,396 @@
+/**
+ * Resumable chunked uploads backed by the storage provider's multipart API
+ *
+ * Large videos are sent in parts so a dropped connection only costs the part
+ * in flight. Each part goes straight to storage with uploadPart; the server
+ * only holds one part per request in memory until the upload is finished.
+ *
+ * Flow:
+ * 0. POST /get-upload-url -> { key, uploadUrl (with ?token=...) }
+ * 1. POST /uploads { key, contentType, size, token }
+ *    -> { uploadId, key, partSize, totalParts, publicUrl }
+ * 2. PUT /uploads/:uploadId/parts/:partNumber (raw bytes, 1-based, any order)
+ * 3. GET /uploads/:uploadId -> which parts have been received (for resuming)
+ * 4. POST /uploads/:uploadId/finish -> { success, publicUrl }
+ * DELETE /uploads/:uploadId cancels the upload.
+ *
+ * The token from /get-upload-url is required to start, checked the same way as
+ * on PUT /upload/:key (key, content type, max size) and bound to the session.
+ * It is claimed when the upload finishes, so it can't also be spent on a
+ * single upload or a second session.
+ *
+ * Sessions live in memory. A session with no activity for `sessionTimeoutMs`
+ * is aborted in storage and forgotten.
+ *
+ * B2 and S3 require every part except the last to be at least 5 MB, so files
+ * smaller than one part should use PUT /upload/:key instead.
+ *
+ * Files are capped at `maxSize`, the same limit as single uploads. Part 1 must
+ * start with a supported video container. On finish the assembled file is read
+ * back one part-sized range at a time and gets the same checks as
+ * PUT /upload/:key: a file that isn't valid video is deleted and answered with
+ * 422, and one that was already uploaded (same SHA-256) is deleted and
+ * answered with 409 and the existing key. A finished file that can't be
+ * checked is deleted too, so nothing unchecked stays in storage.
+ */
+
+const crypto = require('crypto');
+const { detectContainer, readStoredVideoMetadata, validateVideo } = require('./video-metadata');
+const { createVideoHash, findDuplicateVideo } = require('./abuse-protection');
+const {
+  MAX_UPLOAD_BYTES,
+  verifyUploadToken,
+  claimUploadToken,
+  releaseUploadToken
+} = require('./upload-tokens');
+
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Creates the upload handlers around a storage provider.
+ *
+ * Options:
+ * - storage: storage provider (see storage.js)
+ * - allowedContentTypes: content types accepted on start (default: any)
+ * - partSize: bytes per part (default 5 MB)
+ * - maxSize: largest file accepted on start (default MAX_UPLOAD_BYTES)
+ * - sessionTimeoutMs: idle time before a session is cancelled (default 1 hour)
+ * - onFinish: async ({ key, metadata, contentHash }) => void, called once the
+ *   file is complete and accepted
+ */
+function createResumableUploads({
+  storage,
+  allowedContentTypes = null,
+  partSize = MIN_PART_SIZE,
+  maxSize = MAX_UPLOAD_BYTES,
+  sessionTimeoutMs = 60 * 60 * 1000,
+  onFinish = async () => {}
+}) {
+  const sessions = new Map();
+
+  function getSession(req, res) {
+    const session = sessions.get(req.params.uploadId);
+    if (!session) {
+      res.status(404).json({ error: 'Upload session not found or expired' });
+      return null;
+    }
+    session.lastActivityAt = Date.now();
+    return session;
+  }
+
+  function receivedParts(session) {
+    return [...session.parts.keys()].sort((a, b) => a - b);
+  }
+
+  function describe(session) {
+    const received = receivedParts(session);
+    return {
+      uploadId: session.id,
+      key: session.key,
+      size: session.size,
+      partSize,
+      totalParts: session.totalParts,
+      receivedParts: received,
+      missingParts: Array.from({ length: session.totalParts }, (_, i) => i + 1)
+        .filter(partNumber => !session.parts.has(partNumber)),
+      expiresAt: new Date(session.lastActivityAt + sessionTimeoutMs).toISOString()
+    };
+  }
+
+  function readRange(session, start, end) {
+    return storage.getObject(session.key, { start, end });
+  }
+
+  async function hashStoredFile(session) {
+    const hash = createVideoHash();
+    for (let start = 0; start < session.size; start += partSize) {
+      hash.update(await readRange(session, start, Math.min(start + partSize, session.size)));
+    }
+    return hash.digest('hex');
+  }
+
+  async function cancelSession(session) {
+    sessions.delete(session.id);
+    try {
+      await storage.abortMultipart(session.upload);
+    } catch (error) {
+      console.error('Error aborting multipart upload:', session.upload.uploadId, error.message);
+    }
+  }
+
+  /**
+   * POST /uploads
+   */
+  async function startUpload(req, res) {
+    try {
+      const { key, contentType } = req.body || {};
+      const size = parseInt(req.body?.size, 10);
+
+      if (!key || !contentType) {
+        return res.status(400).json({ error: 'key and contentType required' });
+      }
+
+      if (allowedContentTypes && !allowedContentTypes.includes(contentType)) {
+        return res.status(415).json({
+          error: `contentType must be one of: ${allowedContentTypes.join(', ')}`
+        });
+      }
+
+      if (!size || size <= 0) {
+        return res.status(400).json({ error: 'size (bytes) required' });
+      }
+
+      if (size > maxSize) {
+        return res.status(413).json({ error: `File exceeds ${maxSize} bytes` });
+      }
+
+      if (size <= partSize) {
+        return res.status(400).json({
+          error: 'File is smaller than one part, use /get-upload-url instead',
+          partSize
+        });
+      }
+
+      const token = verifyUploadToken(req.body.token || req.query.token || req.get('x-upload-token'), {
+        key,
+        contentType,
+        size
+      });
+      if (token.error) {
+        return res.status(token.status).json({ error: token.error });
+      }
+
+      if ([...sessions.values()].some(session => session.token.jti === token.payload.jti)) {
+        return res.status(409).json({ error: 'Upload token already in use' });
+      }
+
+      const upload = await storage.startMultipart(key, contentType);
+
+      const session = {
+        id: crypto.randomBytes(16).toString('hex'),
+        upload,
+        key,
+        contentType,
+        size,
+        token: token.payload,
+        totalParts: Math.ceil(size / partSize),
+        parts: new Map(),
+        finishing: false,
+        createdAt: Date.now(),
+        lastActivityAt: Date.now()
+      };
+      sessions.set(session.id, session);
+
+      console.log('Started resumable upload:', { uploadId: session.id, key, size });
+
+      res.status(201).json({
+        ...describe(session),
+        publicUrl: await storage.getPublicUrl(key)
+      });
+    } catch (error) {
+      console.error('Error starting resumable upload:', error);
+      res.status(500).json({ error: 'Failed to start upload', details: error.message });
+    }
+  }
+
+  /**
+   * PUT /uploads/:uploadId/parts/:partNumber
+   */
+  async function uploadPart(req, res) {
+    try {
+      const session = getSession(req, res);
+      if (!session) return;
+
+      const partNumber = parseInt(req.params.partNumber, 10);
+      const data = req.body;
+
+      if (!partNumber || partNumber < 1 || partNumber > session.totalParts) {
+        return res.status(400).json({ error: `partNumber must be between 1 and ${session.totalParts}` });
+      }
+
+      if (!Buffer.isBuffer(data) || data.length === 0) {
+        return res.status(400).json({ error: 'Part body required' });
+      }
+
+      const isLast = partNumber === session.totalParts;
+      const expectedSize = isLast ? session.size - partSize * (session.totalParts - 1) : partSize;
+      if (data.length !== expectedSize) {
+        return res.status(400).json({
+          error: `Part ${partNumber} must be ${expectedSize} bytes, got ${data.length}`
+        });
+      }
+
+      if (session.finishing) {
+        return res.status(409).json({ error: 'Upload is already finishing' });
+      }
+
+      if (partNumber === 1 && !detectContainer(data)) {
+        return res.status(422).json({ error: 'File is not a supported video (MP4, MOV, M4V or WebM)' });
+      }
+
+      const part = await storage.uploadPart(session.upload, partNumber, data);
+
+      session.parts.set(partNumber, { ...part, size: data.length });
+      session.lastActivityAt = Date.now();
+
+      res.json({
+        success: true,
+        partNumber,
+        receivedParts: receivedParts(session)
+      });
+    } catch (error) {
+      console.error('Error uploading part:', error);
+      res.status(500).json({ error: 'Failed to upload part', details: error.message });
+    }
+  }
+
+  /**
+   * GET /uploads/:uploadId
+   */
+  function getUploadStatus(req, res) {
+    const session = getSession(req, res);
+    if (!session) return;
+
+    res.json(describe(session));
+  }
+
+  /**
+   * POST /uploads/:uploadId/finish
+   */
+  async function finishUpload(req, res) {
+    const session = getSession(req, res);
+    if (!session) return;
+
+    const status = describe(session);
+    if (status.missingParts.length > 0) {
+      return res.status(400).json({
+        error: 'Upload is missing parts',
+        missingParts: status.missingParts
+      });
+    }
+
+    if (session.finishing) {
+      return res.status(409).json({ error: 'Upload is already finishing' });
+    }
+
+    if (!claimUploadToken(session.token)) {
+      await cancelSession(session);
+      return res.status(409).json({ error: 'Upload token already used' });
+    }
+
+    session.finishing = true;
+    let completed = false;
+
+    try {
+      await storage.completeMultipart(
+        session.upload,
+        status.receivedParts.map(partNumber => session.parts.get(partNumber))
+      );
+
+      completed = true;
+      sessions.delete(session.id);
+
+      const metadata = await readStoredVideoMetadata(
+        (start, end) => readRange(session, start, end),
+        session.size,
+        partSize
+      );
+      const invalidReason = validateVideo(metadata, session.contentType);
+      if (invalidReason) {
+        await storage.deleteObject(session.key);
+        releaseUploadToken(session.token);
+        console.log('Rejected resumable upload:', session.key, invalidReason);
+        return res.status(422).json({ error: invalidReason });
+      }
+
+      const contentHash = await hashStoredFile(session);
+      const existingKey = findDuplicateVideo(contentHash);
+      if (existingKey) {
+        await storage.deleteObject(session.key);
+        releaseUploadToken(session.token);
+        return res.status(409).json({
+          error: 'This video has already been uploaded',
+          key: existingKey,
+          publicUrl: await storage.getPublicUrl(existingKey)
+        });
+      }
+
+      const publicUrl = await storage.getPublicUrl(session.key);
+
+      await onFinish({ key: session.key, metadata, contentHash });
+
+      console.log('Resumable upload complete, public URL:', publicUrl);
+      res.json({
+        success: true,
+        key: session.key,
+        publicUrl,
+        metadata
+      });
+    } catch (error) {
+      console.error('Error finishing upload:', error);
+      if (!completed) {
+        session.finishing = false;
+        releaseUploadToken(session.token);
+      } else if (await deleteUnchecked(session.key)) {
+        // The session is gone; the token can start a new upload
+        releaseUploadToken(session.token);
+      }
+      res.status(500).json({ error: 'Failed to finish upload', details: error.message });
+    }
+  }
+
+  async function deleteUnchecked(key) {
+    try {
+      await storage.deleteObject(key);
+      return true;
+    } catch (error) {
+      console.error('Error deleting unchecked upload:', key, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * DELETE /uploads/:uploadId
+   */
+  async function cancelUpload(req, res) {
+    const session = getSession(req, res);
+    if (!session) return;
+
+    await cancelSession(session);
+    res.json({ success: true, message: 'Upload cancelled' });
+  }
+
+  /**
+   * Cancels every session that has been idle longer than the timeout
+   */
+  async function sweepExpiredSessions() {
+    const cutoff = Date.now() - sessionTimeoutMs;
+    const expired = [...sessions.values()]
+      .filter(session => !session.finishing && session.lastActivityAt < cutoff);
+
+    for (const session of expired) {
+      console.log('Cancelling abandoned upload:', session.id, session.key);
+      await cancelSession(session);
+    }
+
+    return expired.length;
+  }
+
+  const sweepTimer = setInterval(sweepExpiredSessions, Math.min(sessionTimeoutMs, 60 * 1000));
+  sweepTimer.unref();
+
+  return {
+    startUpload,
+    uploadPart,
+    getUploadStatus,
+    finishUpload,
+    cancelUpload,
+    sweepExpiredSessions,
+    stop: () => clearInterval(sweepTimer)
+  };
+}
+
+module.exports = {
+  MIN_PART_SIZE,
+  createResumableUploads
+};
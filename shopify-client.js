@@ -0,0 +1,379 @@
+/**
+ * Shopify Admin GraphQL client
+ *
+ * One client per process, shared by every route that reads or writes
+ * metaobjects, so throttling state is shared too.
+ *
+ * - Access tokens come from the client-credentials grant and are refreshed
+ *   5 minutes before they expire, or right away when Shopify answers 401.
+ * - Cost-based throttling: the bucket state from `extensions.cost` is
+ *   tracked, and a request waits until the bucket has refilled enough for
+ *   what the same query cost last time. THROTTLED responses wait for the
+ *   requested cost to restore and retry.
+ * - Network errors, 429 and 5xx are retried with exponential backoff for
+ *   queries and idempotent mutations only, so a create is never sent twice.
+ * - API version: SHOPIFY_API_VERSION (default 2024-01).
+ *
+ * graphql() resolves with the response body ({ data, errors, extensions }).
+ * The metaobject helpers return { ... } or { errors } like the handlers that
+ * use them, with fields flattened to a { key: value } object.
+ */
+
+const DEFAULT_API_VERSION = '2024-01';
+const TRANSIENT_STATUSES = [429, 500, 502, 503, 504];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @typedef {{ key: string, value: string }} MetaobjectField
+ *
+ * @typedef {Object} Metaobject
+ * @property {string} id
+ * @property {string} handle
+ * @property {string} [type]
+ * @property {string} [updatedAt]
+ * @property {Object<string, string>} fields
+ */
+
+const METAOBJECT_FIELDS = `
+  id
+  handle
+  type
+  updatedAt
+  fields {
+    key
+    value
+  }
+`;
+
+/** @returns {Metaobject} */
+function toMetaobject(node) {
+  const fields = {};
+  (node.fields || []).forEach(field => {
+    fields[field.key] = field.value;
+  });
+  return {
+    id: node.id,
+    handle: node.handle,
+    type: node.type,
+    updatedAt: node.updatedAt,
+    fields
+  };
+}
+
+function isMutation(query) {
+  return /^\s*mutation\b/.test(query);
+}
+
+/**
+ * Options:
+ * - storeDomain: e.g. my-store.myshopify.com
+ * - clientId, clientSecret: app credentials for the client-credentials grant
+ * - apiVersion: Admin API version (default SHOPIFY_API_VERSION or 2024-01)
+ * - maxAttempts: tries per request (default 5)
+ * - retryDelayMs: first backoff delay, doubled per retry (default 500ms)
+ */
+function createShopifyClient({
+  storeDomain,
+  clientId,
+  clientSecret,
+  apiVersion = process.env.SHOPIFY_API_VERSION || DEFAULT_API_VERSION,
+  maxAttempts = 5,
+  retryDelayMs = 500
+}) {
+  let accessToken = null;
+  let tokenExpiresAt = 0;
+  let pendingToken = null;
+
+  const throttle = {
+    maximumAvailable: null,
+    currentlyAvailable: null,
+    restoreRate: null,
+    updatedAt: 0
+  };
+  // Last requested cost per query, used to wait before sending it again
+  const costByQuery = new Map();
+
+  async function getAccessToken({ force = false } = {}) {
+    if (!force && accessToken && Date.now() < tokenExpiresAt) {
+      return accessToken;
+    }
+
+    if (!pendingToken) {
+      pendingToken = (async () => {
+        try {
+          const response = await fetch(`https://${storeDomain}/admin/oauth/access_token`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+              grant_type: 'client_credentials',
+              client_id: clientId,
+              client_secret: clientSecret
+            })
+          });
+
+          if (!response.ok) {
+            throw new Error(`Failed to get Shopify access token: ${response.status}`);
+          }
+
+          const data = await response.json();
+          const expiresIn = data.expires_in || 86399;
+          accessToken = data.access_token;
+          tokenExpiresAt = Date.now() + (expiresIn - 300) * 1000;
+          return accessToken;
+        } finally {
+          pendingToken = null;
+        }
+      })();
+    }
+
+    return pendingToken;
+  }
+
+  function estimateAvailable() {
+    if (throttle.currentlyAvailable === null) {
+      return Infinity;
+    }
+    const restored = throttle.restoreRate * (Date.now() - throttle.updatedAt) / 1000;
+    return Math.min(throttle.maximumAvailable, throttle.currentlyAvailable + restored);
+  }
+
+  // Milliseconds until the bucket should hold `cost` points
+  function getWaitMs(cost) {
+    const needed = Math.min(cost, throttle.maximumAvailable || cost);
+    const missing = needed - estimateAvailable();
+    return missing > 0 && throttle.restoreRate ? Math.ceil(missing / throttle.restoreRate * 1000) : 0;
+  }
+
+  function recordCost(query, cost) {
+    if (!cost) {
+      return;
+    }
+    if (cost.requestedQueryCost) {
+      costByQuery.set(query, cost.requestedQueryCost);
+    }
+    const status = cost.throttleStatus;
+    if (status) {
+      throttle.maximumAvailable = status.maximumAvailable;
+      throttle.currentlyAvailable = status.currentlyAvailable;
+      throttle.restoreRate = status.restoreRate;
+      throttle.updatedAt = Date.now();
+    }
+  }
+
+  function getRetryDelayMs(attempt, response) {
+    const retryAfter = parseFloat(response?.headers?.get('retry-after'));
+    return retryAfter > 0 ? retryAfter * 1000 : retryDelayMs * 2 ** (attempt - 1);
+  }
+
+  /**
+   * Sends a GraphQL request. `idempotent` (default: true for queries) allows
+   * retrying after errors where Shopify may already have run the request.
+   */
+  async function graphql(query, variables = {}, { idempotent = !isMutation(query) } = {}) {
+    let refreshedToken = false;
+
+    for (let attempt = 1; ; attempt++) {
+      const waitMs = getWaitMs(costByQuery.get(query) || 0);
+      if (waitMs > 0) {
+        await sleep(waitMs);
+      }
+
+      const token = await getAccessToken();
+      let response;
+
+      try {
+        response = await fetch(`https://${storeDomain}/admin/api/${apiVersion}/graphql.json`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Shopify-Access-Token': token
+          },
+          body: JSON.stringify({ query, variables })
+        });
+      } catch (error) {
+        if (idempotent && attempt < maxAttempts) {
+          await sleep(getRetryDelayMs(attempt));
+          continue;
+        }
+        throw error;
+      }
+
+      if (response.status === 401 && !refreshedToken) {
+        refreshedToken = true;
+        await getAccessToken({ force: true });
+        continue;
+      }
+
+      // 429 is sent before the query runs, so it's safe to retry either way
+      if (TRANSIENT_STATUSES.includes(response.status) && attempt < maxAttempts &&
+          (idempotent || response.status === 429)) {
+        await sleep(getRetryDelayMs(attempt, response));
+        continue;
+      }
+
+      let body;
+      try {
+        body = await response.json();
+      } catch (error) {
+        throw new Error(`Shopify GraphQL request failed: ${response.status}`);
+      }
+
+      recordCost(query, body.extensions?.cost);
+
+      const throttled = Array.isArray(body.errors) &&
+        body.errors.some(error => error.extensions?.code === 'THROTTLED');
+      if (throttled && attempt < maxAttempts) {
+        const requested = body.extensions?.cost?.requestedQueryCost || costByQuery.get(query) || 0;
+        await sleep(Math.max(getWaitMs(requested), retryDelayMs));
+        continue;
+      }
+
+      return body;
+    }
+  }
+
+  /**
+   * One page of metaobjects of `type`.
+   * @returns {Promise<{ metaobjects: Metaobject[], pageInfo: { hasNextPage: boolean, endCursor: string } } | { errors: any[] }>}
+   */
+  async function listMetaobjects(type, { first = 250, after = null } = {}) {
+    const body = await graphql(`
+      query ListMetaobjects($type: String!, $first: Int!, $after: String) {
+        metaobjects(type: $type, first: $first, after: $after) {
+          edges {
+            node {
+              ${METAOBJECT_FIELDS}
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    `, { type, first, after });
+
+    if (body.errors) {
+      return { errors: body.errors };
+    }
+
+    const page = body.data?.metaobjects;
+    return {
+      metaobjects: (page?.edges || []).map(edge => toMetaobject(edge.node)),
+      pageInfo: page?.pageInfo || { hasNextPage: false, endCursor: null }
+    };
+  }
+
+  /**
+   * Every metaobject of `type`, following pagination to the last page.
+   * @returns {Promise<{ metaobjects: Metaobject[] } | { errors: any[] }>}
+   */
+  async function listAllMetaobjects(type) {
+    const metaobjects = [];
+    let after = null;
+
+    do {
+      const page = await listMetaobjects(type, { after });
+      if (page.errors) {
+        return { errors: page.errors };
+      }
+      metaobjects.push(...page.metaobjects);
+      after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+    } while (after);
+
+    return { metaobjects };
+  }
+
+  /**
+   * @returns {Promise<{ metaobject: Metaobject | null } | { errors: any[] }>}
+   */
+  async function getMetaobject(id) {
+    const body = await graphql(`
+      query GetMetaobject($id: ID!) {
+        metaobject(id: $id) {
+          ${METAOBJECT_FIELDS}
+        }
+      }
+    `, { id });
+
+    if (body.errors) {
+      return { errors: body.errors };
+    }
+
+    const node = body.data?.metaobject;
+    return { metaobject: node ? toMetaobject(node) : null };
+  }
+
+  /**
+   * @param {string} type
+   * @param {MetaobjectField[]} fields
+   * @returns {Promise<{ metaobject: Metaobject } | { errors: any[] }>}
+   */
+  async function createMetaobject(type, fields) {
+    const body = await graphql(`
+      mutation CreateMetaobject($metaobject: MetaobjectCreateInput!) {
+        metaobjectCreate(metaobject: $metaobject) {
+          metaobject {
+            ${METAOBJECT_FIELDS}
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `, { metaobject: { type, fields } });
+
+    const result = body.data?.metaobjectCreate;
+    if (body.errors || result?.userErrors?.length > 0) {
+      return { errors: body.errors || result.userErrors };
+    }
+
+    return { metaobject: toMetaobject(result.metaobject) };
+  }
+
+  /**
+   * Sets the given fields; others are left as they are.
+   * @param {string} id
+   * @param {MetaobjectField[]} fields
+   * @returns {Promise<{ metaobject: Metaobject } | { errors: any[] }>}
+   */
+  async function updateMetaobject(id, fields) {
+    const body = await graphql(`
+      mutation UpdateMetaobject($id: ID!, $metaobject: MetaobjectUpdateInput!) {
+        metaobjectUpdate(id: $id, metaobject: $metaobject) {
+          metaobject {
+            ${METAOBJECT_FIELDS}
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `, { id, metaobject: { fields } }, { idempotent: true });
+
+    const result = body.data?.metaobjectUpdate;
+    if (body.errors || result?.userErrors?.length > 0) {
+      return { errors: body.errors || result.userErrors };
+    }
+
+    return { metaobject: toMetaobject(result.metaobject) };
+  }
+
+  return {
+    apiVersion,
+    getAccessToken,
+    graphql,
+    listMetaobjects,
+    listAllMetaobjects,
+    getMetaobject,
+    createMetaobject,
+    updateMetaobject
+  };
+}
+
+module.exports = {
+  createShopifyClient
+};
@@ -0,0 +1,373 @@
+/**
+ * Backblaze B2 storage backend (see storage.js for the interface)
+ *
+ * Public URLs are <downloadUrl>/file/<bucketName>/<key>. Signed URLs add a
+ * download authorization token for private buckets. downloadUrl comes from
+ * authorize; set it in the options to map URLs back to keys before the first
+ * B2 call.
+ *
+ * Auth lifecycle:
+ * - Account tokens last 24 hours. The token is refreshed after
+ *   `authTtlMs` (default 23h), and immediately when B2 answers 401
+ *   (expired_auth_token, bad_auth_token), then the call is retried once.
+ * - Concurrent callers share one authorize request.
+ * - 429, 503 and 408 responses and network errors are retried with
+ *   exponential backoff, honouring Retry-After.
+ * - Upload URLs (and large-file part URLs) are pooled and reused. A URL is
+ *   handed to one upload at a time and dropped after any failure, as B2
+ *   recommends. Re-authorizing empties the pools.
+ *
+ * getStatus() reports the auth state for /health.
+ */
+
+const crypto = require('crypto');
+const B2 = require('backblaze-b2');
+
+const AUTH_ERROR_CODES = ['expired_auth_token', 'bad_auth_token'];
+const RETRY_STATUSES = [408, 429, 503];
+const MAX_POOLED_URLS = 10;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function getErrorStatus(error) {
+  return error.response?.status || null;
+}
+
+function isAuthError(error) {
+  return getErrorStatus(error) === 401 &&
+    (!error.response.data?.code || AUTH_ERROR_CODES.includes(error.response.data.code));
+}
+
+function isRetryable(error) {
+  const status = getErrorStatus(error);
+  return status ? RETRY_STATUSES.includes(status) : Boolean(error.code || error.request);
+}
+
+function getRetryAfterMs(error) {
+  const seconds = parseInt(error.response?.headers?.['retry-after'], 10);
+  return seconds > 0 ? seconds * 1000 : null;
+}
+
+function describeError(error) {
+  const code = error.response?.data?.code;
+  const status = getErrorStatus(error);
+  return status ? `${status} ${code || error.message}` : error.message;
+}
+
+/**
+ * Options:
+ * - applicationKeyId, applicationKey: B2 credentials
+ * - bucketId, bucketName
+ * - downloadUrl: the account's download URL (default: from authorize)
+ * - b2: client to use instead of creating one (tests)
+ * - authTtlMs: refresh the account token after this long (default 23h)
+ * - maxAttempts: tries per call for retryable errors (default 5)
+ * - retryDelayMs: first backoff delay, doubled per retry (default 500ms)
+ */
+function createB2Storage({
+  applicationKeyId,
+  applicationKey,
+  bucketId,
+  bucketName,
+  downloadUrl = null,
+  b2,
+  authTtlMs = 23 * 60 * 60 * 1000,
+  maxAttempts = 5,
+  retryDelayMs = 500
+}) {
+  // Retries are handled here, not by the client's axios-retry
+  const client = b2 || new B2({ applicationKeyId, applicationKey, retry: { retries: 0 } });
+
+  const auth = {
+    data: null,
+    authorizedAt: null,
+    expiresAt: null,
+    generation: 0,
+    pending: null,
+    reauthorizations: 0,
+    lastError: null
+  };
+
+  const uploadUrlPool = [];
+  const partUrlPools = new Map();
+
+  function recordError(operation, error) {
+    auth.lastError = { operation, message: describeError(error), at: new Date().toISOString() };
+  }
+
+  async function authorize({ force = false } = {}) {
+    if (!force && auth.data && Date.now() < auth.expiresAt) {
+      return auth.data;
+    }
+
+    if (!auth.pending) {
+      auth.pending = (async () => {
+        try {
+          const response = await client.authorize();
+          if (auth.data) {
+            auth.reauthorizations += 1;
+          }
+          auth.data = response.data;
+          auth.authorizedAt = Date.now();
+          auth.expiresAt = auth.authorizedAt + authTtlMs;
+          auth.generation += 1;
+          uploadUrlPool.length = 0;
+          partUrlPools.clear();
+          return auth.data;
+        } catch (error) {
+          recordError('authorize', error);
+          throw error;
+        } finally {
+          auth.pending = null;
+        }
+      })();
+    }
+
+    return auth.pending;
+  }
+
+  /**
+   * Runs fn with a valid token, re-authorizing once on 401 and backing off
+   * on retryable errors
+   */
+  async function call(operation, fn) {
+    let reauthorized = false;
+
+    for (let attempt = 1; ; attempt++) {
+      await authorize();
+      const generation = auth.generation;
+
+      try {
+        return await fn();
+      } catch (error) {
+        if (isAuthError(error) && !reauthorized) {
+          reauthorized = true;
+          console.warn(`B2 ${operation}: ${describeError(error)}, re-authorizing`);
+          // Another call may have refreshed already
+          if (generation === auth.generation) {
+            await authorize({ force: true });
+          }
+          continue;
+        }
+
+        if (isRetryable(error) && attempt < maxAttempts) {
+          const delay = getRetryAfterMs(error) || retryDelayMs * 2 ** (attempt - 1);
+          console.warn(`B2 ${operation}: ${describeError(error)}, retrying in ${delay}ms`);
+          await sleep(delay);
+          continue;
+        }
+
+        recordError(operation, error);
+        throw error;
+      }
+    }
+  }
+
+  async function takeUploadUrl() {
+    const pooled = uploadUrlPool.pop();
+    if (pooled) {
+      return pooled;
+    }
+    const response = await client.getUploadUrl({ bucketId });
+    return {
+      uploadUrl: response.data.uploadUrl,
+      authorizationToken: response.data.authorizationToken,
+      generation: auth.generation
+    };
+  }
+
+  function releaseUploadUrl(target) {
+    if (target.generation === auth.generation && uploadUrlPool.length < MAX_POOLED_URLS) {
+      uploadUrlPool.push(target);
+    }
+  }
+
+  async function takePartUrl(fileId) {
+    const pooled = partUrlPools.get(fileId)?.pop();
+    if (pooled) {
+      return pooled;
+    }
+    const response = await client.getUploadPartUrl({ fileId });
+    return {
+      uploadUrl: response.data.uploadUrl,
+      authorizationToken: response.data.authorizationToken,
+      generation: auth.generation
+    };
+  }
+
+  function releasePartUrl(fileId, target) {
+    if (target.generation !== auth.generation) {
+      return;
+    }
+    if (!partUrlPools.has(fileId)) {
+      partUrlPools.set(fileId, []);
+    }
+    const pool = partUrlPools.get(fileId);
+    if (pool.length < MAX_POOLED_URLS) {
+      pool.push(target);
+    }
+  }
+
+  async function findFile(key) {
+    const response = await call('listFileNames', () => client.listFileNames({
+      bucketId,
+      startFileName: key,
+      maxFileCount: 1
+    }));
+    return response.data.files.find(file => file.fileName === key) || null;
+  }
+
+  function getFileUrlPrefix() {
+    const base = downloadUrl || auth.data?.downloadUrl;
+    return base ? `${base.replace(/\/+$/, '')}/file/${bucketName}/` : null;
+  }
+
+  async function getPublicUrl(key) {
+    if (!downloadUrl) {
+      await authorize();
+    }
+    return `${getFileUrlPrefix()}${key}`;
+  }
+
+  return {
+    name: 'b2',
+
+    async putObject(key, data, contentType) {
+      await call('uploadFile', async () => {
+        const target = await takeUploadUrl();
+        await client.uploadFile({
+          uploadUrl: target.uploadUrl,
+          uploadAuthToken: target.authorizationToken,
+          fileName: key,
+          data,
+          contentType
+        });
+        releaseUploadUrl(target);
+      });
+    },
+
+    async getObject(key, range = null) {
+      const response = await call('downloadFileByName', () => client.downloadFileByName({
+        bucketName,
+        fileName: key,
+        responseType: 'arraybuffer',
+        ...(range && { axiosOverride: { headers: { Range: `bytes=${range.start}-${range.end - 1}` } } })
+      }));
+      return Buffer.from(response.data);
+    },
+
+    async startMultipart(key, contentType) {
+      const response = await call('startLargeFile', () => client.startLargeFile({
+        bucketId,
+        fileName: key,
+        contentType
+      }));
+      return { key, uploadId: response.data.fileId };
+    },
+
+    async uploadPart(upload, partNumber, data) {
+      const hash = crypto.createHash('sha1').update(data).digest('hex');
+      await call('uploadPart', async () => {
+        const target = await takePartUrl(upload.uploadId);
+        await client.uploadPart({
+          partNumber,
+          uploadUrl: target.uploadUrl,
+          uploadAuthToken: target.authorizationToken,
+          data,
+          hash
+        });
+        releasePartUrl(upload.uploadId, target);
+      });
+      return { partNumber, etag: hash };
+    },
+
+    async completeMultipart(upload, parts) {
+      await call('finishLargeFile', () => client.finishLargeFile({
+        fileId: upload.uploadId,
+        partSha1Array: parts.map(part => part.etag)
+      }));
+      partUrlPools.delete(upload.uploadId);
+    },
+
+    async abortMultipart(upload) {
+      partUrlPools.delete(upload.uploadId);
+      await call('cancelLargeFile', () => client.cancelLargeFile({ fileId: upload.uploadId }));
+    },
+
+    async deleteObject(key) {
+      const file = await findFile(key);
+      if (!file) {
+        return false;
+      }
+      await call('deleteFileVersion', () => client.deleteFileVersion({
+        fileId: file.fileId,
+        fileName: file.fileName
+      }));
+      return true;
+    },
+
+    async listObjects(prefix) {
+      const objects = [];
+      let startFileName = null;
+
+      do {
+        const response = await call('listFileNames', () => client.listFileNames({
+          bucketId,
+          prefix,
+          startFileName,
+          maxFileCount: 1000
+        }));
+        response.data.files
+          .filter(file => file.action === undefined || file.action === 'upload')
+          .forEach(file => {
+            objects.push({ key: file.fileName, size: file.contentLength || 0, uploadedAt: file.uploadTimestamp });
+          });
+        startFileName = response.data.nextFileName;
+      } while (startFileName);
+
+      return objects;
+    },
+
+    getPublicUrl,
+
+    async getSignedUrl(key, expiresInSeconds = 3600) {
+      const response = await call('getDownloadAuthorization', () => client.getDownloadAuthorization({
+        bucketId,
+        fileNamePrefix: key,
+        validDurationInSeconds: expiresInSeconds
+      }));
+      const url = await getPublicUrl(key);
+      return `${url}?Authorization=${encodeURIComponent(response.data.authorizationToken)}`;
+    },
+
+    getKeyFromPublicUrl(url) {
+      // Before the first authorize, only a configured downloadUrl is known
+      const prefix = getFileUrlPrefix();
+      const value = String(url || '').split('?')[0];
+      if (!prefix || !value.startsWith(prefix)) {
+        return null;
+      }
+      try {
+        return decodeURIComponent(value.slice(prefix.length));
+      } catch (error) {
+        return null; // malformed escape, not one of our URLs
+      }
+    },
+
+    getStatus() {
+      return {
+        provider: 'b2',
+        authorized: Boolean(auth.data) && Date.now() < auth.expiresAt,
+        authorizedAt: auth.authorizedAt ? new Date(auth.authorizedAt).toISOString() : null,
+        expiresAt: auth.expiresAt ? new Date(auth.expiresAt).toISOString() : null,
+        reauthorizations: auth.reauthorizations,
+        pooledUploadUrls: uploadUrlPool.length,
+        lastError: auth.lastError
+      };
+    }
+  };
+}
+
+module.exports = {
+  createB2Storage
+};
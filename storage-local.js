@@ -0,0 +1,173 @@
+/**
+ * Local filesystem storage backend (see storage.js for the interface)
+ *
+ * For development and offline runs. Objects are files under rootDir, keyed
+ * by path; multipart uploads stage their parts in rootDir/.multipart and are
+ * concatenated on completion. `serveFiles` serves rootDir over HTTP (mounted
+ * at /files by index.js) and publicBaseUrl must point at that mount.
+ *
+ * Every file is public, so getSignedUrl returns the public URL.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+
+const MULTIPART_DIR = '.multipart';
+
+/**
+ * Options:
+ * - rootDir: directory that holds the objects
+ * - publicBaseUrl: URL rootDir is served from, e.g. http://localhost:3000/files
+ */
+function createLocalStorage({ rootDir, publicBaseUrl }) {
+  const root = path.resolve(rootDir);
+  const baseUrl = publicBaseUrl.replace(/\/+$/, '');
+
+  function resolveKey(key) {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep) || key.split('/').includes(MULTIPART_DIR)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  function multipartDir(upload) {
+    if (!/^[a-f0-9]+$/.test(upload.uploadId)) {
+      throw new Error('Invalid upload id');
+    }
+    return path.join(root, MULTIPART_DIR, upload.uploadId);
+  }
+
+  async function walk(dir, relative, objects) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+      const entryPath = path.join(dir, entry.name);
+      const key = relative ? `${relative}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        await walk(entryPath, key, objects);
+      } else {
+        const stats = await fs.promises.stat(entryPath);
+        objects.push({ key, size: stats.size, uploadedAt: stats.mtimeMs });
+      }
+    }
+  }
+
+  function getPublicUrl(key) {
+    return `${baseUrl}/${key.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  return {
+    name: 'local',
+
+    async putObject(key, data) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, data);
+    },
+
+    async getObject(key, range = null) {
+      if (!range) {
+        return fs.promises.readFile(resolveKey(key));
+      }
+      const handle = await fs.promises.open(resolveKey(key), 'r');
+      try {
+        const buffer = Buffer.alloc(range.end - range.start);
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, range.start);
+        return buffer.subarray(0, bytesRead);
+      } finally {
+        await handle.close();
+      }
+    },
+
+    async startMultipart(key) {
+      resolveKey(key);
+      const upload = { key, uploadId: crypto.randomBytes(16).toString('hex') };
+      await fs.promises.mkdir(multipartDir(upload), { recursive: true });
+      return upload;
+    },
+
+    async uploadPart(upload, partNumber, data) {
+      await fs.promises.writeFile(path.join(multipartDir(upload), String(partNumber)), data);
+      return { partNumber, etag: crypto.createHash('md5').update(data).digest('hex') };
+    },
+
+    async completeMultipart(upload, parts) {
+      const dir = multipartDir(upload);
+      const filePath = resolveKey(upload.key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      const handle = await fs.promises.open(filePath, 'w');
+      try {
+        for (const part of parts) {
+          await handle.write(await fs.promises.readFile(path.join(dir, String(part.partNumber))));
+        }
+      } finally {
+        await handle.close();
+      }
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    },
+
+    async abortMultipart(upload) {
+      await fs.promises.rm(multipartDir(upload), { recursive: true, force: true });
+    },
+
+    async deleteObject(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    },
+
+    async listObjects(prefix = '') {
+      const objects = [];
+      await walk(root, '', objects);
+      return objects
+        .filter(object => object.key.startsWith(prefix))
+        .sort((a, b) => a.key.localeCompare(b.key));
+    },
+
+    async getPublicUrl(key) {
+      return getPublicUrl(key);
+    },
+
+    async getSignedUrl(key) {
+      return getPublicUrl(key);
+    },
+
+    getKeyFromPublicUrl(url) {
+      const prefix = `${baseUrl}/`;
+      const value = String(url || '');
+      if (!value.startsWith(prefix)) {
+        return null;
+      }
+      try {
+        return decodeURIComponent(value.slice(prefix.length).split('?')[0]);
+      } catch (error) {
+        return null; // malformed escape, not one of our URLs
+      }
+    },
+
+    getStatus() {
+      return { provider: 'local', rootDir: root };
+    },
+
+    serveFiles: express.static(root, { dotfiles: 'ignore', index: false })
+  };
+}
+
+module.exports = {
+  createLocalStorage
+};
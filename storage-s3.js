@@ -0,0 +1,321 @@
+/**
+ * S3-compatible storage backend (see storage.js for the interface)
+ *
+ * Talks to the S3 REST API with AWS Signature V4 over fetch, so it works with
+ * AWS S3, Cloudflare R2, MinIO, B2's S3 endpoint and similar services without
+ * an SDK. Path-style URLs (<endpoint>/<bucket>/<key>) are used by default;
+ * set forcePathStyle: false for virtual-hosted style (<bucket>.<host>/<key>).
+ *
+ * Public URLs use publicBaseUrl when set (CDN or public bucket domain),
+ * otherwise the object URL. Signed URLs are presigned GETs.
+ */
+
+const crypto = require('crypto');
+
+const SERVICE = 's3';
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding as S3 expects it
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function encodeKey(key) {
+  return key.split('/').map(encodeRfc3986).join('/');
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function xmlValues(xml, tag) {
+  const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g');
+  return [...xml.matchAll(pattern)].map(match => decodeXml(match[1]));
+}
+
+function canonicalQuery(url) {
+  return [...url.searchParams.entries()]
+    .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+    .sort(([a, av], [b, bv]) => (a < b ? -1 : a > b ? 1 : av < bv ? -1 : av > bv ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+}
+
+/**
+ * AWS Signature V4 for one region and service. Returns
+ * sign(method, url, headers, payloadHash, amzDate) -> { scope, signedHeaders, signature },
+ * where `headers` are the headers to sign (including host) and `url.pathname`
+ * is already URI-encoded.
+ */
+function createSigner({ region, service = SERVICE, secretAccessKey }) {
+  function getSigningKey(date) {
+    const kDate = hmac(`AWS4${secretAccessKey}`, date);
+    const kRegion = hmac(kDate, region);
+    const kService = hmac(kRegion, service);
+    return hmac(kService, 'aws4_request');
+  }
+
+  return function sign(method, url, headers, payloadHash, amzDate) {
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${region}/${service}/aws4_request`;
+    const headerNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery(url),
+      headerNames.map(name => `${name}:${String(lowerHeaders[name]).trim()}\n`).join(''),
+      headerNames.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    return {
+      scope,
+      signedHeaders: headerNames.join(';'),
+      signature: crypto.createHmac('sha256', getSigningKey(date)).update(stringToSign).digest('hex')
+    };
+  };
+}
+
+/**
+ * Options:
+ * - endpoint: e.g. https://s3.us-east-1.amazonaws.com or https://<account>.r2.cloudflarestorage.com
+ * - region: signing region (default us-east-1; R2 uses 'auto')
+ * - bucket
+ * - accessKeyId, secretAccessKey
+ * - publicBaseUrl: optional base for public URLs
+ * - forcePathStyle: default true
+ */
+function createS3Storage({
+  endpoint,
+  region = 'us-east-1',
+  bucket,
+  accessKeyId,
+  secretAccessKey,
+  publicBaseUrl = null,
+  forcePathStyle = true
+}) {
+  const endpointUrl = new URL(endpoint);
+
+  function objectUrl(key = '') {
+    const url = new URL(endpointUrl.toString());
+    if (forcePathStyle) {
+      url.pathname = `/${bucket}/${encodeKey(key)}`;
+    } else {
+      url.host = `${bucket}.${endpointUrl.host}`;
+      url.pathname = `/${encodeKey(key)}`;
+    }
+    return url;
+  }
+
+  const signature = createSigner({ region, secretAccessKey });
+
+  function getAmzDate() {
+    return new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  }
+
+  /**
+   * Signed request. Returns the fetch Response; throws for non-2xx statuses
+   * except those listed in `allow`.
+   */
+  async function request(method, url, { body, headers = {}, allow = [] } = {}) {
+    const amzDate = getAmzDate();
+    const payloadHash = sha256(body || '');
+    const signedHeaders = {
+      ...headers,
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+
+    const signed = signature(method, url, signedHeaders, payloadHash, amzDate);
+    const { host, ...sendHeaders } = signedHeaders;
+
+    const response = await fetch(url, {
+      method,
+      headers: {
+        ...sendHeaders,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${signed.scope}, SignedHeaders=${signed.signedHeaders}, Signature=${signed.signature}`
+      },
+      body
+    });
+
+    if (!response.ok && !allow.includes(response.status)) {
+      const text = await response.text();
+      const code = xmlValues(text, 'Code')[0] || response.statusText;
+      const error = new Error(`S3 ${method} failed: ${response.status} ${code}`);
+      error.status = response.status;
+      error.code = code;
+      throw error;
+    }
+
+    return response;
+  }
+
+  async function getPublicUrl(key) {
+    if (publicBaseUrl) {
+      return `${publicBaseUrl.replace(/\/+$/, '')}/${encodeKey(key)}`;
+    }
+    return objectUrl(key).toString();
+  }
+
+  return {
+    name: 's3',
+
+    async putObject(key, data, contentType) {
+      await request('PUT', objectUrl(key), {
+        body: data,
+        headers: { 'content-type': contentType || 'application/octet-stream' }
+      });
+    },
+
+    async getObject(key, range = null) {
+      const response = await request('GET', objectUrl(key), {
+        headers: range ? { range: `bytes=${range.start}-${range.end - 1}` } : {}
+      });
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    async startMultipart(key, contentType) {
+      const url = objectUrl(key);
+      url.searchParams.set('uploads', '');
+      const response = await request('POST', url, {
+        headers: { 'content-type': contentType || 'application/octet-stream' }
+      });
+      const uploadId = xmlValues(await response.text(), 'UploadId')[0];
+      if (!uploadId) {
+        throw new Error('S3 did not return an UploadId');
+      }
+      return { key, uploadId };
+    },
+
+    async uploadPart(upload, partNumber, data) {
+      const url = objectUrl(upload.key);
+      url.searchParams.set('partNumber', String(partNumber));
+      url.searchParams.set('uploadId', upload.uploadId);
+      const response = await request('PUT', url, { body: data });
+      return { partNumber, etag: response.headers.get('etag') };
+    },
+
+    async completeMultipart(upload, parts) {
+      const url = objectUrl(upload.key);
+      url.searchParams.set('uploadId', upload.uploadId);
+      const body = [
+        '<CompleteMultipartUpload>',
+        ...parts.map(part => `<Part><PartNumber>${part.partNumber}</PartNumber><ETag>${part.etag}</ETag></Part>`),
+        '</CompleteMultipartUpload>'
+      ].join('');
+
+      // S3 can report a failure with a 200 status and an <Error> body
+      const response = await request('POST', url, { body, headers: { 'content-type': 'application/xml' } });
+      const text = await response.text();
+      if (text.includes('<Error>')) {
+        throw new Error(`S3 multipart completion failed: ${xmlValues(text, 'Code')[0] || 'unknown error'}`);
+      }
+    },
+
+    async abortMultipart(upload) {
+      const url = objectUrl(upload.key);
+      url.searchParams.set('uploadId', upload.uploadId);
+      await request('DELETE', url, { allow: [404] });
+    },
+
+    async deleteObject(key) {
+      // DELETE succeeds for missing keys, so check first to report not-found
+      const head = await request('HEAD', objectUrl(key), { allow: [404] });
+      if (head.status === 404) {
+        return false;
+      }
+      await request('DELETE', objectUrl(key));
+      return true;
+    },
+
+    async listObjects(prefix = '') {
+      const objects = [];
+      let continuationToken = null;
+
+      do {
+        const url = objectUrl();
+        url.searchParams.set('list-type', '2');
+        url.searchParams.set('prefix', prefix);
+        if (continuationToken) {
+          url.searchParams.set('continuation-token', continuationToken);
+        }
+
+        const xml = await (await request('GET', url)).text();
+        xmlValues(xml, 'Contents').forEach(contents => {
+          objects.push({
+            key: xmlValues(contents, 'Key')[0],
+            size: parseInt(xmlValues(contents, 'Size')[0], 10) || 0,
+            uploadedAt: Date.parse(xmlValues(contents, 'LastModified')[0])
+          });
+        });
+
+        continuationToken = xmlValues(xml, 'IsTruncated')[0] === 'true'
+          ? xmlValues(xml, 'NextContinuationToken')[0]
+          : null;
+      } while (continuationToken);
+
+      return objects;
+    },
+
+    getPublicUrl,
+
+    async getSignedUrl(key, expiresInSeconds = 3600) {
+      const url = objectUrl(key);
+      const amzDate = getAmzDate();
+      const scope = `${amzDate.slice(0, 8)}/${region}/${SERVICE}/aws4_request`;
+
+      url.searchParams.set('X-Amz-Algorithm', 'AWS4-HMAC-SHA256');
+      url.searchParams.set('X-Amz-Credential', `${accessKeyId}/${scope}`);
+      url.searchParams.set('X-Amz-Date', amzDate);
+      url.searchParams.set('X-Amz-Expires', String(expiresInSeconds));
+      url.searchParams.set('X-Amz-SignedHeaders', 'host');
+
+      const signed = signature('GET', url, { host: url.host }, 'UNSIGNED-PAYLOAD', amzDate);
+      url.searchParams.set('X-Amz-Signature', signed.signature);
+      return url.toString();
+    },
+
+    getKeyFromPublicUrl(url) {
+      const value = String(url || '').split('?')[0];
+      const bases = [objectUrl().toString()];
+      if (publicBaseUrl) {
+        bases.push(`${publicBaseUrl.replace(/\/+$/, '')}/`);
+      }
+      const base = bases.find(candidate => value.startsWith(candidate));
+      if (!base) {
+        return null;
+      }
+      try {
+        return decodeURIComponent(value.slice(base.length));
+      } catch (error) {
+        return null; // malformed escape, not one of our URLs
+      }
+    },
+
+    getStatus() {
+      return { provider: 's3', endpoint: endpointUrl.host, bucket };
+    }
+  };
+}
+
+module.exports = {
+  createSigner,
+  createS3Storage
+};
@@ -0,0 +1,82 @@
+/**
+ * Storage provider selection
+ *
+ * Route code talks to a storage object instead of a specific client, so the
+ * backend can change through config:
+ *
+ * STORAGE_PROVIDER=b2 (default)
+ *   B2_APPLICATION_KEY_ID, B2_APPLICATION_KEY, B2_BUCKET_ID, B2_BUCKET_NAME,
+ *   B2_DOWNLOAD_URL (optional, default from authorize)
+ * STORAGE_PROVIDER=s3
+ *   S3_ENDPOINT, S3_REGION, S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+ *   S3_PUBLIC_URL (optional), S3_FORCE_PATH_STYLE (default true)
+ * STORAGE_PROVIDER=local
+ *   LOCAL_STORAGE_DIR (default DATA_DIR/uploads),
+ *   LOCAL_STORAGE_PUBLIC_URL (default http://localhost:<PORT>/files)
+ *
+ * Every backend implements:
+ * - putObject(key, data, contentType)
+ * - getObject(key, range?) -> Buffer; range { start, end } reads bytes
+ *   start..end-1 only
+ * - startMultipart(key, contentType) -> upload ({ key, uploadId })
+ * - uploadPart(upload, partNumber, data) -> part ({ partNumber, etag })
+ * - completeMultipart(upload, parts) - parts in order
+ * - abortMultipart(upload)
+ * - deleteObject(key) -> false if there was no such object
+ * - listObjects(prefix) -> [{ key, size, uploadedAt (ms) }]
+ * - getPublicUrl(key), getSignedUrl(key, expiresInSeconds)
+ * - getKeyFromPublicUrl(url) -> key, or null for URLs outside the store (sync)
+ * - getStatus() -> { provider, ... } for /health (sync)
+ * All other methods are async. The local backend also has `serveFiles`, an
+ * Express handler for its files.
+ */
+
+const path = require('path');
+const { DATA_DIR } = require('./store');
+const { createB2Storage } = require('./storage-b2');
+const { createS3Storage } = require('./storage-s3');
+const { createLocalStorage } = require('./storage-local');
+
+function createStorage(env = process.env) {
+  const provider = env.STORAGE_PROVIDER || 'b2';
+
+  if (provider === 'b2') {
+    return createB2Storage({
+      applicationKeyId: env.B2_APPLICATION_KEY_ID,
+      applicationKey: env.B2_APPLICATION_KEY,
+      bucketId: env.B2_BUCKET_ID,
+      bucketName: env.B2_BUCKET_NAME,
+      downloadUrl: env.B2_DOWNLOAD_URL || null
+    });
+  }
+
+  if (provider === 's3') {
+    const missing = ['S3_ENDPOINT', 'S3_BUCKET', 'S3_ACCESS_KEY_ID', 'S3_SECRET_ACCESS_KEY']
+      .filter(name => !env[name]);
+    if (missing.length > 0) {
+      throw new Error(`STORAGE_PROVIDER=s3 requires ${missing.join(', ')}`);
+    }
+    return createS3Storage({
+      endpoint: env.S3_ENDPOINT,
+      region: env.S3_REGION || 'us-east-1',
+      bucket: env.S3_BUCKET,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      publicBaseUrl: env.S3_PUBLIC_URL || null,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE !== 'false'
+    });
+  }
+
+  if (provider === 'local') {
+    return createLocalStorage({
+      rootDir: env.LOCAL_STORAGE_DIR || path.join(DATA_DIR, 'uploads'),
+      publicBaseUrl: env.LOCAL_STORAGE_PUBLIC_URL || `http://localhost:${env.PORT || 3000}/files`
+    });
+  }
+
+  throw new Error(`Unknown STORAGE_PROVIDER: ${provider}`);
+}
+
+module.exports = {
+  createStorage
+};
@@ -0,0 +1,75 @@
+/**
+ * Minimal JSON file store for server-side state that doesn't belong in Shopify
+ * (admin accounts, logs, config). Each collection is one JSON file under
+ * DATA_DIR (default ./data). Reads are cached in memory; every write rewrites
+ * the file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+const collections = new Map();
+
+/**
+ * Returns the store for a named collection, creating it on first use.
+ * `initial` is used when the file does not exist yet.
+ */
+function createJsonStore(name, initial) {
+  if (collections.has(name)) {
+    return collections.get(name);
+  }
+
+  const filePath = path.join(DATA_DIR, `${name}.json`);
+  let data = null;
+
+  function load() {
+    if (data !== null) {
+      return data;
+    }
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to read ${filePath}, starting empty:`, error.message);
+      }
+      data = typeof initial === 'function' ? initial() : structuredClone(initial);
+    }
+    return data;
+  }
+
+  function save() {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  const store = {
+    get() {
+      return load();
+    },
+    set(value) {
+      data = value;
+      save();
+      return data;
+    },
+    update(fn) {
+      const result = fn(load());
+      if (result !== undefined) {
+        data = result;
+      }
+      save();
+      return data;
+    }
+  };
+
+  collections.set(name, store);
+  return store;
+}
+
+module.exports = {
+  DATA_DIR,
+  createJsonStore
+};
@@ -0,0 +1,29 @@
+/**
+ * In-process events for beer_leaderboard_entry changes
+ *
+ * Handlers emit these after Shopify confirms a change, so caches and other
+ * listeners can react without the handlers knowing about them.
+ *
+ * Events (payload: { id, before?, submission?, actor? }):
+ * - created: /submit-chug created an entry
+ * - updated: fields changed (admin edit, thumbnail, resubmission link)
+ * - verified: an entry was approved
+ * - rejected: an entry was rejected
+ * - deleted: a video file was removed (payload has `key` instead of `id`)
+ *
+ * `submission` is { id, handle, fields } after the change and `before` the
+ * fields object before it, when the emitter has them. `actor` is the admin
+ * email for admin actions, 'public' for submissions and 'system' for
+ * server-side updates.
+ */
+
+const { EventEmitter } = require('events');
+
+const submissionEvents = new EventEmitter();
+
+// Listeners are added per feature; don't warn as the count grows
+submissionEvents.setMaxListeners(0);
+
+module.exports = {
+  submissionEvents
+};
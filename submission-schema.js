@@ -0,0 +1,196 @@
+/**
+ * Shared schema for beer_leaderboard_entry fields
+ *
+ * Used by /submit-chug (public form) and the admin edit endpoints so both
+ * paths accept the same keys and values. Shopify stores every field as a
+ * string; values are checked here and converted to their stored form.
+ *
+ * Field options:
+ * - type: string | number | url | enum | date
+ * - required: must be present and non-empty on create, can't be cleared on edit
+ * - public: may be sent through /submit-chug
+ * - editable: may be changed through the admin edit endpoints
+ * - maxLength, min, max, values: limits for the type
+ *
+ * Fields that aren't listed (status, verified, video_*, thumbnail_url, ...)
+ * are set by the server only.
+ *
+ * Enum values can be overridden with comma-separated env vars:
+ * SUBMISSION_LEADERBOARD_TYPES, SUBMISSION_CONTAINERS. They are matched
+ * case-insensitively and stored in the configured spelling, so entries created
+ * before the schema ("Beer/Seltzer", "Can", ...) keep validating.
+ */
+
+function listFromEnv(name, fallback) {
+  const value = process.env[name];
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : fallback;
+}
+
+// The categories the submit form has always offered
+const LEADERBOARD_TYPES = listFromEnv('SUBMISSION_LEADERBOARD_TYPES', ['Beer/Seltzer', 'Non-Alc']);
+
+const CONTAINERS = listFromEnv('SUBMISSION_CONTAINERS', ['can', 'bottle', 'glass', 'cup', 'other']);
+
+const SUBMISSION_FIELDS = {
+  handle_text: { type: 'string', maxLength: 100, required: true, public: true, editable: true },
+  handle_url: { type: 'url', maxLength: 500, public: true, editable: true },
+  leaderboard_type: { type: 'enum', values: LEADERBOARD_TYPES, public: true, editable: true },
+  leaderboard_name: { type: 'string', maxLength: 100, public: true, editable: true },
+  beer_style: { type: 'string', maxLength: 100, public: true, editable: true },
+  container: { type: 'enum', values: CONTAINERS, required: true, public: true, editable: true },
+  video_url: { type: 'url', maxLength: 2048, required: true, public: true, editable: true },
+  location: { type: 'string', maxLength: 200, public: true, editable: true },
+  time_s: { type: 'number', min: 0.1, max: 600, required: true, public: true, editable: true },
+  volume_oz: { type: 'number', min: 1, max: 128, required: true, public: true, editable: true },
+  time_to_rim_s: { type: 'number', min: 0, max: 60, editable: true },
+  time_to_setdown_s: { type: 'number', min: 0, max: 60, editable: true },
+  splash_pct: { type: 'number', min: 0, max: 100, editable: true },
+  foam_pct: { type: 'number', min: 0, max: 100, editable: true },
+  date_iso: { type: 'date', editable: true },
+  flag_reason: { type: 'string', maxLength: 100, editable: true },
+  rejection_notes: { type: 'string', maxLength: 1000, editable: true }
+};
+
+const NUMBER_PATTERN = /^\d+(\.\d+)?$/;
+
+/**
+ * The entry of `values` that matches `value` ignoring case, or null
+ */
+function findEnumValue(values, value) {
+  const wanted = String(value ?? '').trim().toLowerCase();
+  return values.find(item => item.toLowerCase() === wanted) ?? null;
+}
+
+/**
+ * Checks one value against its field definition.
+ * Returns { value } (the stored string) or { error }.
+ */
+function validateValue(definition, raw) {
+  if (raw === null || raw === undefined) {
+    raw = '';
+  }
+
+  if (typeof raw === 'number') {
+    raw = String(raw);
+  }
+
+  if (typeof raw !== 'string') {
+    return { error: 'must be a string' };
+  }
+
+  const value = raw.trim();
+
+  if (value === '') {
+    return definition.required ? { error: 'is required' } : { value: '' };
+  }
+
+  switch (definition.type) {
+    case 'number': {
+      if (!NUMBER_PATTERN.test(value)) {
+        return { error: 'must be a number' };
+      }
+      const number = parseFloat(value);
+      if (number < definition.min || number > definition.max) {
+        return { error: `must be between ${definition.min} and ${definition.max}` };
+      }
+      return { value: String(number) };
+    }
+
+    case 'url': {
+      if (value.length > definition.maxLength) {
+        return { error: `must be at most ${definition.maxLength} characters` };
+      }
+      let url;
+      try {
+        url = new URL(value);
+        decodeURI(value); // rejects malformed %-escapes, which URL lets through
+      } catch (error) {
+        return { error: 'must be a valid URL' };
+      }
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        return { error: 'must be an http(s) URL' };
+      }
+      return { value };
+    }
+
+    case 'enum': {
+      const match = findEnumValue(definition.values, value);
+      if (match === null) {
+        return { error: `must be one of: ${definition.values.join(', ')}` };
+      }
+      return { value: match };
+    }
+
+    case 'date': {
+      const time = Date.parse(value);
+      if (isNaN(time)) {
+        return { error: 'must be an ISO date' };
+      }
+      return { value: new Date(time).toISOString() };
+    }
+
+    default:
+      if (value.length > definition.maxLength) {
+        return { error: `must be at most ${definition.maxLength} characters` };
+      }
+      return { value };
+  }
+}
+
+/**
+ * Validates a { key: value } object of submission fields.
+ *
+ * mode 'create': only public keys, required fields must be present; keys that
+ *   aren't submission fields are ignored (forms often carry extra inputs)
+ * mode 'edit': only editable keys, required fields can't be cleared
+ *
+ * Returns { fields: [{ key, value }], errors: [{ field, message }] }.
+ * Empty optional values are dropped on create and kept (to clear) on edit.
+ */
+function validateSubmissionFields(input, mode = 'create') {
+  const fields = [];
+  const errors = [];
+  const allowedFlag = mode === 'create' ? 'public' : 'editable';
+
+  Object.keys(input || {}).forEach(key => {
+    const definition = SUBMISSION_FIELDS[key];
+    if (!definition) {
+      if (mode !== 'create') {
+        errors.push({ field: key, message: 'is not a submission field' });
+      }
+    } else if (!definition[allowedFlag]) {
+      errors.push({ field: key, message: 'cannot be set here' });
+    }
+  });
+
+  Object.entries(SUBMISSION_FIELDS).forEach(([key, definition]) => {
+    if (!definition[allowedFlag]) {
+      return;
+    }
+
+    const present = input && Object.prototype.hasOwnProperty.call(input, key);
+    if (!present) {
+      if (mode === 'create' && definition.required) {
+        errors.push({ field: key, message: 'is required' });
+      }
+      return;
+    }
+
+    const result = validateValue(definition, input[key]);
+    if (result.error) {
+      errors.push({ field: key, message: result.error });
+    } else if (result.value !== '' || mode === 'edit') {
+      fields.push({ key, value: result.value });
+    }
+  });
+
+  return { fields, errors };
+}
+
+module.exports = {
+  LEADERBOARD_TYPES,
+  CONTAINERS,
+  SUBMISSION_FIELDS,
+  findEnumValue,
+  validateSubmissionFields
+};
@@ -0,0 +1,42 @@
+/**
+ * Moderation status for beer_leaderboard_entry metaobjects
+ *
+ * Fields (added to the metaobject definition alongside `verified`):
+ * - status: 'pending' | 'verified' | 'rejected'
+ * - rejection_reason: one of REJECTION_REASONS
+ * - rejection_notes: free text from the moderator
+ * - resubmission_of: id of the rejected entry this one corrects
+ * - resubmitted_as: id of the entry that replaced this rejected one
+ *
+ * Entries created before `status` existed only have `verified`, so the status
+ * is derived from that when missing.
+ */
+
+const STATUSES = ['pending', 'verified', 'rejected'];
+
+const REJECTION_REASONS = [
+  'video_unclear',
+  'time_mismatch',
+  'volume_mismatch',
+  'wrong_leaderboard',
+  'inappropriate',
+  'duplicate',
+  'invalid_info',
+  'other'
+];
+
+/**
+ * Takes a flattened fields object ({ key: value }) and returns its status
+ */
+function getSubmissionStatus(fields) {
+  if (STATUSES.includes(fields.status)) {
+    return fields.status;
+  }
+  return fields.verified === 'true' ? 'verified' : 'pending';
+}
+
+module.exports = {
+  STATUSES,
+  REJECTION_REASONS,
+  getSubmissionStatus
+};
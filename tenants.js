@@ -0,0 +1,485 @@
+/**
+ * White-label tenant registry
+ *
+ * One tenant per partner leaderboard_name (e.g. "RAB"), kept in the
+ * `tenants` JSON store and managed by owners:
+ *
+ * {
+ *   name: 'RAB',                         // leaderboard_name, matched case-insensitively
+ *   display_name: 'Rab\'s Bar Chug-Off',
+ *   branding: { primary_color: '#ff6600', secondary_color: '#000000', logo_url: 'https://...' },
+ *   allowed_origins: ['https://rabsbar.com'],
+ *   allowed_containers: ['can'],         // empty = any
+ *   allowed_beer_styles: [],             // empty = any
+ *   starts_at: '2024-06-01T00:00:00Z',   // null = open-ended
+ *   ends_at: null,
+ *   visibility: 'public',                // public | private
+ *   access_key: '...'                    // private only, required to read the board
+ * }
+ *
+ * Enforcement:
+ * - /whitelabel/name/:leaderboard_name (and its stream) return 404 for names
+ *   that aren't registered, and for private tenants without
+ *   ?access_key= / X-Tenant-Key. Requests from another tenant's origin get
+ *   403. Only entries within the tenant's dates, containers and beer styles
+ *   are shown, and responses include the public tenant config.
+ * - Private tenants' entries are left out of the type boards and handle
+ *   history.
+ * - /submit-chug rejects unknown leaderboard names, names outside their
+ *   dates and containers/styles the tenant doesn't allow.
+ * - CORS allows every tenant's allowed_origins on top of the core origins.
+ *
+ * Endpoints (owner):
+ *
+ * GET /admin/tenants
+ * POST /admin/tenants
+ * - Body: tenant fields above (name required); returns 201
+ * PATCH /admin/tenants/:name
+ * - Body: any tenant field except name; rotate_access_key: true issues a new key
+ * DELETE /admin/tenants/:name
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./store');
+const { CONTAINERS, findEnumValue } = require('./submission-schema');
+const { recordAudit } = require('./audit-log');
+
+const VISIBILITIES = ['public', 'private'];
+const NAME_MAX_LENGTH = 100;
+const COLOR_FIELDS = ['primary_color', 'secondary_color', 'background_color', 'text_color'];
+
+const tenantStore = createJsonStore('tenants', { tenants: [] });
+
+function tenantKey(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+function getTenant(name) {
+  const key = tenantKey(name);
+  return key ? tenantStore.get().tenants.find(tenant => tenantKey(tenant.name) === key) || null : null;
+}
+
+/**
+ * Whether `accessKey` (from the query or X-Tenant-Key) unlocks the tenant
+ */
+function hasAccessKey(tenant, accessKey) {
+  if (!tenant.access_key || typeof accessKey !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(tenant.access_key);
+  const actual = Buffer.from(accessKey);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function isPrivateEntry(entry) {
+  return Boolean(entry.leaderboard_name) && getTenant(entry.leaderboard_name)?.visibility === 'private';
+}
+
+/**
+ * Whether `date` (ms, default now) falls within the tenant's dates
+ */
+function isTenantOpen(tenant, date = Date.now()) {
+  if (tenant.starts_at && date < Date.parse(tenant.starts_at)) return false;
+  if (tenant.ends_at && date > Date.parse(tenant.ends_at)) return false;
+  return true;
+}
+
+/**
+ * Entries on the tenant's board that fit its dates, containers and styles.
+ * Doesn't check verification; combine with isPublished.
+ */
+function getTenantEntries(tenant, entries) {
+  const key = tenantKey(tenant.name);
+  return entries.filter(entry => {
+    if (tenantKey(entry.leaderboard_name) !== key) return false;
+    if (tenant.allowed_containers.length > 0 && findEnumValue(tenant.allowed_containers, entry.container) === null) return false;
+    if (tenant.allowed_beer_styles.length > 0 && !tenant.allowed_beer_styles.includes(entry.beer_style)) return false;
+    if (tenant.starts_at || tenant.ends_at) {
+      const date = Date.parse(entry.date_iso);
+      if (isNaN(date) || !isTenantOpen(tenant, date)) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * What widgets need to render the board
+ */
+function publicTenant(tenant) {
+  return {
+    name: tenant.name,
+    display_name: tenant.display_name,
+    branding: tenant.branding,
+    allowed_containers: tenant.allowed_containers,
+    allowed_beer_styles: tenant.allowed_beer_styles,
+    starts_at: tenant.starts_at,
+    ends_at: tenant.ends_at,
+    open: isTenantOpen(tenant)
+  };
+}
+
+/**
+ * Checks a validated submission against its tenant. Returns { errors } and,
+ * when the name matched, `leaderboardName` in the tenant's own spelling.
+ */
+function checkTenantSubmission(values) {
+  if (!values.leaderboard_name) {
+    return { errors: [] };
+  }
+
+  const tenant = getTenant(values.leaderboard_name);
+  if (!tenant) {
+    return { errors: [{ field: 'leaderboard_name', message: 'is not a known leaderboard' }] };
+  }
+
+  const errors = [];
+  if (!isTenantOpen(tenant)) {
+    errors.push({ field: 'leaderboard_name', message: 'is not accepting submissions' });
+  }
+  if (tenant.allowed_containers.length > 0 && findEnumValue(tenant.allowed_containers, values.container) === null) {
+    errors.push({ field: 'container', message: `must be one of: ${tenant.allowed_containers.join(', ')}` });
+  }
+  if (tenant.allowed_beer_styles.length > 0 && !tenant.allowed_beer_styles.includes(values.beer_style)) {
+    errors.push({ field: 'beer_style', message: `must be one of: ${tenant.allowed_beer_styles.join(', ')}` });
+  }
+  return { errors, leaderboardName: tenant.name };
+}
+
+function isValidOrigin(value) {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) && url.origin === value;
+  } catch (error) {
+    return false;
+  }
+}
+
+function isValidUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol) && value.length <= 2048;
+  } catch (error) {
+    return false;
+  }
+}
+
+function isStringList(value, maxLength) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() && item.length <= maxLength);
+}
+
+/**
+ * Validates tenant fields from a request body. Returns { values, errors }
+ * with only the keys that were sent.
+ */
+function validateTenantFields(input, mode = 'create') {
+  const values = {};
+  const errors = [];
+  const has = key => input[key] !== undefined;
+
+  if (mode === 'create') {
+    if (typeof input.name !== 'string' || !input.name.trim() || input.name.length > NAME_MAX_LENGTH) {
+      errors.push({ field: 'name', message: `is required, max ${NAME_MAX_LENGTH} characters` });
+    } else {
+      values.name = input.name.trim();
+    }
+  }
+
+  if (has('display_name')) {
+    if (typeof input.display_name !== 'string' || input.display_name.length > NAME_MAX_LENGTH) {
+      errors.push({ field: 'display_name', message: `must be a string, max ${NAME_MAX_LENGTH} characters` });
+    } else {
+      values.display_name = input.display_name.trim();
+    }
+  }
+
+  if (has('branding')) {
+    const branding = input.branding;
+    if (!branding || typeof branding !== 'object' || Array.isArray(branding)) {
+      errors.push({ field: 'branding', message: 'must be an object' });
+    } else {
+      const clean = {};
+      Object.entries(branding).forEach(([key, value]) => {
+        if (COLOR_FIELDS.includes(key)) {
+          if (value !== null && !/^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(value)) {
+            errors.push({ field: `branding.${key}`, message: 'must be a hex color like #ff6600' });
+          }
+          clean[key] = value;
+        } else if (key === 'logo_url') {
+          if (value !== null && !isValidUrl(value)) {
+            errors.push({ field: 'branding.logo_url', message: 'must be an http(s) URL' });
+          }
+          clean[key] = value;
+        } else {
+          errors.push({ field: `branding.${key}`, message: 'is not a branding field' });
+        }
+      });
+      values.branding = clean;
+    }
+  }
+
+  if (has('allowed_origins')) {
+    if (!Array.isArray(input.allowed_origins) || !input.allowed_origins.every(isValidOrigin)) {
+      errors.push({ field: 'allowed_origins', message: 'must be a list of origins like https://example.com' });
+    } else {
+      values.allowed_origins = [...new Set(input.allowed_origins)];
+    }
+  }
+
+  if (has('allowed_containers')) {
+    const containers = Array.isArray(input.allowed_containers)
+      ? input.allowed_containers.map(item => findEnumValue(CONTAINERS, item))
+      : null;
+    if (!containers || containers.includes(null)) {
+      errors.push({ field: 'allowed_containers', message: `must be a list of: ${CONTAINERS.join(', ')}` });
+    } else {
+      values.allowed_containers = [...new Set(containers)];
+    }
+  }
+
+  if (has('allowed_beer_styles')) {
+    if (!isStringList(input.allowed_beer_styles, 100)) {
+      errors.push({ field: 'allowed_beer_styles', message: 'must be a list of beer styles' });
+    } else {
+      values.allowed_beer_styles = [...new Set(input.allowed_beer_styles)];
+    }
+  }
+
+  ['starts_at', 'ends_at'].forEach(key => {
+    if (has(key)) {
+      if (input[key] !== null && (typeof input[key] !== 'string' || isNaN(Date.parse(input[key])))) {
+        errors.push({ field: key, message: 'must be an ISO date or null' });
+      } else {
+        values[key] = input[key] === null ? null : new Date(input[key]).toISOString();
+      }
+    }
+  });
+
+  if (has('visibility') && !VISIBILITIES.includes(input.visibility)) {
+    errors.push({ field: 'visibility', message: `must be one of: ${VISIBILITIES.join(', ')}` });
+  } else if (has('visibility')) {
+    values.visibility = input.visibility;
+  }
+
+  return { values, errors };
+}
+
+function checkDates(tenant) {
+  if (tenant.starts_at && tenant.ends_at && Date.parse(tenant.ends_at) <= Date.parse(tenant.starts_at)) {
+    return [{ field: 'ends_at', message: 'must be after starts_at' }];
+  }
+  return [];
+}
+
+/**
+ * Middleware for /whitelabel/name/:leaderboard_name routes: sets req.tenant,
+ * or answers 404 (unknown or private without its key) / 403 (another
+ * tenant's origin). Origins in `coreOrigins` may read every board.
+ */
+function requireTenant(coreOrigins = []) {
+  return (req, res, next) => {
+    const tenant = getTenant(req.params.leaderboard_name);
+    const accessKey = req.query.access_key || req.get('x-tenant-key');
+
+    if (!tenant || (tenant.visibility === 'private' && !hasAccessKey(tenant, accessKey))) {
+      return res.status(404).json({ error: 'Leaderboard not found' });
+    }
+
+    const origin = req.get('origin');
+    if (origin && !coreOrigins.includes(origin) && !tenant.allowed_origins.includes(origin)) {
+      return res.status(403).json({ error: 'Origin not allowed for this leaderboard' });
+    }
+
+    req.tenant = tenant;
+    next();
+  };
+}
+
+/**
+ * `origin` option for the cors middleware: core origins plus every tenant's
+ * allowed_origins, read on each request so changes apply without a restart
+ */
+function createCorsOrigin(coreOrigins) {
+  return (origin, callback) => {
+    if (!origin || coreOrigins.includes(origin)) {
+      return callback(null, true);
+    }
+    const allowed = tenantStore.get().tenants.some(tenant => tenant.allowed_origins.includes(origin));
+    callback(null, allowed);
+  };
+}
+
+/**
+ * GET /admin/tenants
+ */
+function listTenants(req, res) {
+  res.json({
+    success: true,
+    tenants: tenantStore.get().tenants
+  });
+}
+
+/**
+ * POST /admin/tenants
+ */
+function createTenant(req, res) {
+  try {
+    const { values, errors } = validateTenantFields(req.body || {}, 'create');
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid tenant', details: errors });
+    }
+
+    if (getTenant(values.name)) {
+      return res.status(409).json({ error: 'Tenant already exists' });
+    }
+
+    const now = new Date().toISOString();
+    const tenant = {
+      name: values.name,
+      display_name: values.display_name || values.name,
+      branding: values.branding || {},
+      allowed_origins: values.allowed_origins || [],
+      allowed_containers: values.allowed_containers || [],
+      allowed_beer_styles: values.allowed_beer_styles || [],
+      starts_at: values.starts_at || null,
+      ends_at: values.ends_at || null,
+      visibility: values.visibility || 'public',
+      access_key: values.visibility === 'private' ? crypto.randomBytes(16).toString('hex') : null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const dateErrors = checkDates(tenant);
+    if (dateErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid tenant', details: dateErrors });
+    }
+
+    tenantStore.update(state => {
+      state.tenants.push(tenant);
+    });
+
+    recordAudit({
+      actor: req.admin.email,
+      action: 'tenant_create',
+      changes: { [tenant.name]: { before: null, after: tenant.visibility } }
+    });
+
+    res.status(201).json({
+      success: true,
+      tenant
+    });
+  } catch (error) {
+    console.error('Error creating tenant:', error);
+    res.status(500).json({ error: 'Failed to create tenant' });
+  }
+}
+
+/**
+ * PATCH /admin/tenants/:name
+ */
+function updateTenant(req, res) {
+  try {
+    const tenant = getTenant(req.params.name);
+    const body = req.body || {};
+
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+
+    if (body.name !== undefined && body.name !== tenant.name) {
+      return res.status(400).json({ error: 'name cannot be changed; entries are matched by it' });
+    }
+
+    const { values, errors } = validateTenantFields(body, 'edit');
+    const updated = { ...tenant, ...values };
+    errors.push(...checkDates(updated));
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid tenant', details: errors });
+    }
+
+    const before = { ...tenant };
+
+    tenantStore.update(() => {
+      Object.assign(tenant, values);
+      if (tenant.visibility === 'private' && (!tenant.access_key || body.rotate_access_key)) {
+        tenant.access_key = crypto.randomBytes(16).toString('hex');
+      }
+      if (tenant.visibility === 'public') {
+        tenant.access_key = null;
+      }
+      tenant.updatedAt = new Date().toISOString();
+    });
+
+    const changes = { [tenant.name]: { before: before.visibility, after: tenant.visibility } };
+    Object.keys(values).forEach(key => {
+      if (key !== 'visibility' && JSON.stringify(before[key]) !== JSON.stringify(tenant[key])) {
+        changes[key] = { before: before[key], after: tenant[key] };
+      }
+    });
+    if (tenant.access_key && tenant.access_key !== before.access_key) {
+      changes.access_key = { before: null, after: 'rotated' };
+    }
+
+    recordAudit({
+      actor: req.admin.email,
+      action: 'tenant_update',
+      changes
+    });
+
+    res.json({
+      success: true,
+      tenant
+    });
+  } catch (error) {
+    console.error('Error updating tenant:', error);
+    res.status(500).json({ error: 'Failed to update tenant' });
+  }
+}
+
+/**
+ * DELETE /admin/tenants/:name
+ * Entries stay in Shopify; the board just stops being served.
+ */
+function deleteTenant(req, res) {
+  try {
+    const tenant = getTenant(req.params.name);
+
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+
+    tenantStore.update(state => {
+      state.tenants = state.tenants.filter(item => item !== tenant);
+    });
+
+    recordAudit({
+      actor: req.admin.email,
+      action: 'tenant_delete',
+      changes: { [tenant.name]: { before: tenant.visibility, after: null } }
+    });
+
+    res.json({
+      success: true,
+      message: 'Tenant deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting tenant:', error);
+    res.status(500).json({ error: 'Failed to delete tenant' });
+  }
+}
+
+module.exports = {
+  getTenant,
+  hasAccessKey,
+  isPrivateEntry,
+  isTenantOpen,
+  getTenantEntries,
+  publicTenant,
+  checkTenantSubmission,
+  requireTenant,
+  createCorsOrigin,
+  listTenants,
+  createTenant,
+  updateTenant,
+  deleteTenant
+};
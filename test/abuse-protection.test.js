@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chug-abuse-'));
+
+const {
+  createRateLimiter,
+  rateLimitByIp,
+  checkHandleLimit,
+  hashVideo,
+  findDuplicateVideo,
+  rememberVideoHash,
+  createDuplicateSubmissionCheck,
+  createStubCaptchaVerifier,
+  requireCaptcha
+} = require('../abuse-protection');
+const { submissionEvents } = require('../submission-events');
+
+const MINUTE_MS = 60 * 1000;
+
+async function call(middleware, req = {}) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let nextCalled = false;
+  await middleware({ ip: '203.0.113.7', body: {}, get: () => undefined, ...req }, res, () => {
+    nextCalled = true;
+  });
+  return { res, nextCalled };
+}
+
+test('CAPTCHA tokens are checked only when a verifier is configured', async () => {
+  assert.ok((await call(requireCaptcha(null))).nextCalled);
+
+  const captcha = requireCaptcha(createStubCaptchaVerifier());
+  assert.strictEqual((await call(captcha)).res.statusCode, 400);
+
+  const rejected = await call(captcha, { body: { captcha_token: 'guess' } });
+  assert.strictEqual(rejected.res.statusCode, 403);
+  assert.deepStrictEqual(rejected.res.body.details, ['invalid-input-response']);
+
+  assert.ok((await call(captcha, { body: { 'cf-turnstile-response': 'test-captcha-token' } })).nextCalled);
+  assert.ok((await call(captcha, { get: name => name === 'x-captcha-token' ? 'test-captcha-token' : undefined })).nextCalled);
+
+  const broken = requireCaptcha({ verify: async () => { throw new Error('offline'); } });
+  assert.strictEqual((await call(broken, { body: { captcha_token: 'x' } })).res.statusCode, 502);
+});
+
+test('per-IP limits answer 429 with Retry-After until the window resets', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-06-01T00:00:00Z') });
+  const limit = rateLimitByIp(createRateLimiter({ name: 'ip-test', limit: 2, windowMs: MINUTE_MS }));
+
+  assert.strictEqual((await call(limit)).res.headers['X-RateLimit-Remaining'], '1');
+  assert.ok((await call(limit)).nextCalled);
+  assert.ok((await call(limit, { ip: '198.51.100.1' })).nextCalled);
+
+  t.mock.timers.tick(20 * 1000);
+  const limited = await call(limit);
+  assert.strictEqual(limited.nextCalled, false);
+  assert.strictEqual(limited.res.statusCode, 429);
+  assert.strictEqual(limited.res.headers['Retry-After'], '40');
+
+  t.mock.timers.tick(40 * 1000 + 1);
+  assert.ok((await call(limit)).nextCalled);
+});
+
+test('a broken rate limit store lets requests through', async () => {
+  const store = { increment: async () => { throw new Error('down'); } };
+  const limit = rateLimitByIp(createRateLimiter({ store, name: 'broken', limit: 1, windowMs: MINUTE_MS }));
+  assert.ok((await call(limit)).nextCalled);
+});
+
+test('per-handle limits count every spelling of a handle together', async () => {
+  const limiter = createRateLimiter({ name: 'handle-test', limit: 2, windowMs: MINUTE_MS });
+  const check = async fields => (await call(async (req, res) => checkHandleLimit(limiter, res, fields))).res.statusCode;
+
+  assert.strictEqual(await check({ handle_text: '@Fred' }), 200);
+  assert.strictEqual(await check({ handle_text: 'fred ' }), 200);
+  assert.strictEqual(await check({ handle_text: 'FRED' }), 429);
+  assert.strictEqual(await check({ handle_text: '@ann' }), 200);
+  // Nothing to count by
+  assert.strictEqual(await check({ handle_text: '' }), 200);
+  assert.strictEqual(await check({ handle_text: '' }), 200);
+  assert.strictEqual(await check({ handle_text: '' }), 200);
+});
+
+test('duplicate videos are found until they expire or are deleted', t => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-06-01T00:00:00Z') });
+  const first = hashVideo(Buffer.from('first video'));
+  const second = hashVideo(Buffer.from('second video'));
+
+  rememberVideoHash(first, 'submissions/first.mp4');
+  assert.strictEqual(findDuplicateVideo(first), 'submissions/first.mp4');
+  assert.strictEqual(findDuplicateVideo(hashVideo(Buffer.from('other video'))), null);
+
+  submissionEvents.emit('deleted', { key: 'submissions/first.mp4', actor: 'owner@example.com' });
+  assert.strictEqual(findDuplicateVideo(first), null);
+
+  rememberVideoHash(second, 'submissions/second.mp4');
+  t.mock.timers.tick(31 * 24 * 60 * MINUTE_MS);
+  assert.strictEqual(findDuplicateVideo(second), null);
+});
+
+test('only one of several identical submissions can claim the create', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-06-01T00:00:00Z') });
+  const duplicates = createDuplicateSubmissionCheck({ windowMs: 60 * MINUTE_MS });
+  const fields = { handle_text: '@Fred', leaderboard_type: 'Beer/Seltzer', container: 'can', time_s: '5.2', volume_oz: '12' };
+
+  const claims = await Promise.all([1, 2, 3].map(() => duplicates.claim(fields)));
+  assert.deepStrictEqual(claims, [true, false, false]);
+  assert.strictEqual(await duplicates.find(fields), null);
+
+  // The create failed: the next attempt may go ahead
+  await duplicates.release(fields);
+  assert.strictEqual(await duplicates.claim(fields), true);
+  await duplicates.remember(fields, 'gid://shopify/Metaobject/1');
+
+  assert.strictEqual(await duplicates.find({ ...fields, handle_text: 'fred' }), 'gid://shopify/Metaobject/1');
+  assert.strictEqual(await duplicates.claim({ ...fields, handle_text: 'fred' }), false);
+  assert.strictEqual(await duplicates.find({ ...fields, time_s: '5.3' }), null);
+  assert.strictEqual(await duplicates.claim({ ...fields, time_s: '5.3' }), true);
+
+  t.mock.timers.tick(60 * MINUTE_MS + 1);
+  assert.strictEqual(await duplicates.find(fields), null);
+  assert.strictEqual(await duplicates.claim(fields), true);
+});
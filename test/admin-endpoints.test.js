@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chug-admin-'));
+
+const { listSubmissions, bulkModerate } = require('../admin-endpoints');
+
+function submission(n, fields) {
+  return {
+    id: `gid://shopify/Metaobject/${n}`,
+    handle: `entry-${n}`,
+    type: 'beer_leaderboard_entry',
+    updatedAt: `2024-06-0${n}T00:00:00Z`,
+    fields: { verified: 'false', status: 'pending', ...fields }
+  };
+}
+
+function createFakeShopify(metaobjects) {
+  return {
+    metaobjects,
+    inFlight: 0,
+    maxInFlight: 0,
+    async listAllMetaobjects() {
+      return { metaobjects: structuredClone(this.metaobjects) };
+    },
+    async getMetaobject(id) {
+      const metaobject = this.metaobjects.find(item => item.id === id);
+      return { metaobject: metaobject ? structuredClone(metaobject) : null };
+    },
+    async updateMetaobject(id, fields) {
+      this.inFlight++;
+      this.maxInFlight = Math.max(this.maxInFlight, this.inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      this.inFlight--;
+
+      const metaobject = this.metaobjects.find(item => item.id === id);
+      if (metaobject.fields.handle_text === 'fail') {
+        return { errors: [{ field: ['fields'], message: 'Invalid value' }] };
+      }
+      fields.forEach(({ key, value }) => {
+        metaobject.fields[key] = value;
+      });
+      return { metaobject: structuredClone(metaobject) };
+    }
+  };
+}
+
+async function call(handler, req = {}) {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  await handler({ params: {}, query: {}, body: {}, admin: { email: 'mod@example.com' }, ...req }, res);
+  return res;
+}
+
+const ids = res => res.body.submissions.map(item => item.handle);
+
+test('pages through submissions with a cursor that survives moderation', async () => {
+  const shopify = createFakeShopify([
+    submission(1, { date_iso: '2024-06-03', time_s: '5' }),
+    submission(2, { date_iso: '2024-06-01', time_s: '7' }),
+    submission(3, { date_iso: '2024-06-02', time_s: '4' }),
+    submission(4, { date_iso: '2024-06-02', time_s: '6' }),
+    submission(5, { date_iso: '2024-06-04' })
+  ]);
+  const list = listSubmissions(shopify);
+
+  const first = await call(list, { query: { limit: '2' } });
+  assert.deepStrictEqual(ids(first), ['entry-2', 'entry-3']);
+  assert.strictEqual(first.body.total, 5);
+  assert.strictEqual(first.body.hasNextPage, true);
+
+  // Verifying an entry on the first page doesn't shift the next one
+  shopify.metaobjects[1].fields = { ...shopify.metaobjects[1].fields, verified: 'true', status: 'verified' };
+  const second = await call(list, { query: { limit: '2', status: 'pending', cursor: first.body.nextCursor } });
+  assert.deepStrictEqual(ids(second), ['entry-4', 'entry-1']);
+
+  const last = await call(list, { query: { limit: '2', status: 'pending', cursor: second.body.nextCursor } });
+  assert.deepStrictEqual(ids(last), ['entry-5']);
+  assert.strictEqual(last.body.hasNextPage, false);
+  assert.strictEqual(last.body.nextCursor, null);
+});
+
+test('sorts by number with missing values last in either order', async () => {
+  const shopify = createFakeShopify([
+    submission(1, { time_s: '5' }),
+    submission(2, {}),
+    submission(3, { time_s: '4' })
+  ]);
+  const list = listSubmissions(shopify);
+
+  assert.deepStrictEqual(ids(await call(list, { query: { sort: 'time_s' } })), ['entry-3', 'entry-1', 'entry-2']);
+  assert.deepStrictEqual(ids(await call(list, { query: { sort: 'time_s', order: 'desc' } })), ['entry-1', 'entry-3', 'entry-2']);
+});
+
+test('filters by status, board, dates, handle and flag', async () => {
+  const shopify = createFakeShopify([
+    submission(1, { leaderboard_type: 'Non-Alc', date_iso: '2024-06-01', handle_text: '@Fast_Fred' }),
+    submission(2, { leaderboard_type: 'Beer/Seltzer', date_iso: '2024-06-05', flag_reason: 'time_exceeds_video' }),
+    submission(3, { leaderboard_type: 'Non-Alc', date_iso: '2024-06-09', status: 'rejected' })
+  ]);
+  const list = listSubmissions(shopify);
+
+  assert.deepStrictEqual(ids(await call(list, { query: { status: 'pending,rejected', leaderboard_type: 'Non-Alc' } })), ['entry-1', 'entry-3']);
+  assert.deepStrictEqual(ids(await call(list, { query: { from: '2024-06-02', to: '2024-06-06' } })), ['entry-2']);
+  assert.deepStrictEqual(ids(await call(list, { query: { q: 'fred' } })), ['entry-1']);
+  assert.deepStrictEqual(ids(await call(list, { query: { flagged: 'true' } })), ['entry-2']);
+});
+
+test('rejects invalid list params', async () => {
+  const list = listSubmissions(createFakeShopify([]));
+  for (const query of [{ sort: 'constructor' }, { order: 'up' }, { status: 'done' }, { from: 'yesterday' }, { cursor: '%%%' }]) {
+    assert.strictEqual((await call(list, { query })).statusCode, 400, JSON.stringify(query));
+  }
+});
+
+test('bulk actions run at most four at a time and report every id', async () => {
+  const shopify = createFakeShopify(Array.from({ length: 10 }, (_, i) => submission(i + 1, { handle_text: i === 2 ? 'fail' : `@user${i}` })));
+  const ids = shopify.metaobjects.map(item => item.id);
+
+  const res = await call(bulkModerate(shopify), {
+    body: { ids: [...ids, ids[0], 'gid://shopify/Metaobject/99'], action: 'verify' }
+  });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(shopify.maxInFlight, 4);
+  assert.strictEqual(res.body.total, 11);
+  assert.strictEqual(res.body.succeeded, 9);
+  assert.deepStrictEqual(res.body.results.map(result => result.id), [...ids, 'gid://shopify/Metaobject/99']);
+  assert.deepStrictEqual(res.body.results.filter(result => !result.success).map(result => [result.id, result.details[0].message]), [
+    [ids[2], 'Invalid value'],
+    ['gid://shopify/Metaobject/99', 'Submission not found']
+  ]);
+  assert.strictEqual(shopify.metaobjects[0].fields.status, 'verified');
+});
+
+test('bulk actions take at most 100 ids and a valid action', async () => {
+  const shopify = createFakeShopify([submission(1, {})]);
+  const bulk = bulkModerate(shopify);
+  const ids = count => Array.from({ length: count }, (_, i) => `gid://shopify/Metaobject/${i}`);
+
+  assert.strictEqual((await call(bulk, { body: { ids: ids(101), action: 'verify' } })).statusCode, 400);
+  assert.strictEqual((await call(bulk, { body: { ids: [], action: 'verify' } })).statusCode, 400);
+  assert.strictEqual((await call(bulk, { body: { ids: ids(1), action: 'reject', reason: 'because' } })).statusCode, 400);
+  assert.strictEqual((await call(bulk, { body: { ids: ids(1), action: 'set_fields', fields: { time_s: 'fast' } } })).statusCode, 400);
+  assert.strictEqual((await call(bulk, { body: { ids: ids(1), action: 'delete' } })).statusCode, 400);
+  assert.strictEqual(shopify.maxInFlight, 0);
+
+  const res = await call(bulk, { body: { ids: ids(100), action: 'reject', reason: 'video_unclear' } });
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.total, 100);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chug-audit-'));
+
+const { applySubmissionUpdate } = require('../admin-endpoints');
+const { revertSubmission } = require('../audit-log');
+const { submissionEvents } = require('../submission-events');
+
+const ID = 'gid://shopify/Metaobject/1';
+
+// Like Shopify: every field is listed, unset ones as null, and '' clears
+function createFakeShopify(fields) {
+  const metaobject = { id: ID, handle: 'entry-1', type: 'beer_leaderboard_entry', fields: { ...fields } };
+  return {
+    metaobject,
+    updates: 0,
+    readable: true,
+    async getMetaobject() {
+      if (!this.readable) {
+        return { errors: [{ message: 'Throttled' }] };
+      }
+      return { metaobject: structuredClone(metaobject) };
+    },
+    async updateMetaobject(id, updates) {
+      this.updates++;
+      updates.forEach(({ key, value }) => {
+        metaobject.fields[key] = value === '' ? null : value;
+      });
+      return { metaobject: structuredClone(metaobject) };
+    }
+  };
+}
+
+async function revert(shopify, auditId) {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  await revertSubmission(shopify)({ params: { id: ID }, body: { audit_id: auditId }, admin: { email: 'mod@example.com' } }, res);
+  return res;
+}
+
+function lastAuditId() {
+  const lines = fs.readFileSync(path.join(process.env.DATA_DIR, 'audit.jsonl'), 'utf8').trim().split('\n');
+  return JSON.parse(lines[lines.length - 1]).id;
+}
+
+test('revert clears fields that were empty and announces status changes', async () => {
+  const shopify = createFakeShopify({ status: 'pending', verified: 'false', rejection_reason: null });
+  const events = [];
+  ['updated', 'verified', 'rejected'].forEach(event => {
+    submissionEvents.on(event, payload => payload.id === ID && events.push(event));
+  });
+
+  await applySubmissionUpdate(shopify, {
+    id: ID,
+    fields: [{ key: 'status', value: 'rejected' }, { key: 'rejection_reason', value: 'video_unclear' }],
+    event: 'rejected'
+  });
+  const rejectId = lastAuditId();
+
+  await applySubmissionUpdate(shopify, {
+    id: ID,
+    fields: [{ key: 'verified', value: 'true' }, { key: 'status', value: 'verified' }],
+    event: 'verified'
+  });
+  const verifyId = lastAuditId();
+  events.length = 0;
+
+  const backToRejected = await revert(shopify, verifyId);
+  assert.strictEqual(backToRejected.statusCode, 200);
+  assert.strictEqual(shopify.metaobject.fields.status, 'rejected');
+  assert.deepStrictEqual(events, ['rejected']);
+
+  const backToPending = await revert(shopify, rejectId);
+  assert.strictEqual(backToPending.statusCode, 200);
+  assert.deepStrictEqual(shopify.metaobject.fields, { status: 'pending', verified: 'false', rejection_reason: null });
+  assert.deepStrictEqual(events, ['rejected', 'updated']);
+});
+
+test('updates are refused when the submission can\'t be read, so reverts stay exact', async () => {
+  const shopify = createFakeShopify({ status: 'pending', verified: 'false', time_s: '5.1', handle_text: '@fred' });
+  const auditId = lastAuditId();
+
+  shopify.readable = false;
+  const { errors } = await applySubmissionUpdate(shopify, {
+    id: ID,
+    fields: [{ key: 'time_s', value: '4.9' }],
+    event: 'updated'
+  });
+  assert.deepStrictEqual(errors, [{ field: 'id', message: 'Submission not found' }]);
+  assert.strictEqual(shopify.updates, 0);
+  assert.strictEqual(lastAuditId(), auditId);
+
+  shopify.readable = true;
+  await applySubmissionUpdate(shopify, {
+    id: ID,
+    fields: [{ key: 'time_s', value: '4.9' }],
+    event: 'updated'
+  });
+  const reverted = await revert(shopify, lastAuditId());
+  assert.strictEqual(reverted.statusCode, 200);
+  assert.deepStrictEqual(shopify.metaobject.fields, { status: 'pending', verified: 'false', time_s: '5.1', handle_text: '@fred' });
+});
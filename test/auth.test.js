@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chug-auth-'));
+process.env.ADMIN_SESSION_SECRET = 'test-secret';
+process.env.ADMIN_OWNER_EMAIL = 'Owner@Example.com';
+process.env.ADMIN_OWNER_PASSWORD = 'owner-password';
+
+const { requireRole, login, createAdmin, updateAdmin, deleteAdmin } = require('../auth');
+
+const OWNER = { email: 'owner@example.com', role: 'owner' };
+
+function call(handler, req = {}) {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  handler({ params: {}, body: {}, admin: OWNER, ...req }, res);
+  return res;
+}
+
+function authenticate(token, role = 'moderator') {
+  let admin = null;
+  const res = call((req, res) => requireRole(role)(req, res, () => {
+    admin = req.admin;
+  }), { admin: undefined, get: () => `Bearer ${token}` });
+  return { status: admin ? 200 : res.statusCode, admin };
+}
+
+function logIn(email, password) {
+  return call(login, { body: { email, password } });
+}
+
+test('logs in with the right password only', () => {
+  const ok = logIn('owner@example.com', 'owner-password');
+  assert.strictEqual(ok.statusCode, 200);
+  assert.deepStrictEqual(ok.body.admin, OWNER);
+  assert.deepStrictEqual(authenticate(ok.body.token, 'owner').admin, OWNER);
+
+  assert.strictEqual(logIn('owner@example.com', 'wrong').statusCode, 401);
+  assert.strictEqual(logIn('nobody@example.com', 'owner-password').statusCode, 401);
+  assert.strictEqual(logIn('owner@example.com').statusCode, 400);
+});
+
+test('rejects tampered and expired tokens', t => {
+  const { token } = logIn('owner@example.com', 'owner-password').body;
+  const [header, body, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(body, 'base64url')), role: 'owner', sub: 'x' })).toString('base64url');
+  assert.strictEqual(authenticate(`${header}.${forged}.${signature}`).status, 401);
+  assert.strictEqual(authenticate('not-a-token').status, 401);
+
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 13 * 60 * 60 * 1000 });
+  assert.strictEqual(authenticate(token).status, 401);
+});
+
+test('checks the role on every request', () => {
+  assert.strictEqual(call(createAdmin, { body: { email: 'mod@example.com', password: 'mod-password' } }).statusCode, 201);
+  const { token } = logIn('mod@example.com', 'mod-password').body;
+
+  assert.strictEqual(authenticate(token).status, 200);
+  assert.strictEqual(authenticate(token, 'owner').status, 403);
+
+  call(updateAdmin, { params: { email: 'mod@example.com' }, body: { role: 'owner' } });
+  assert.strictEqual(authenticate(token, 'owner').status, 200);
+});
+
+test('password changes and deletion revoke existing tokens', () => {
+  call(createAdmin, { body: { email: 'temp@example.com', password: 'first-password' } });
+  const first = logIn('temp@example.com', 'first-password').body.token;
+
+  call(updateAdmin, { params: { email: 'temp@example.com' }, body: { password: 'second-password' } });
+  assert.strictEqual(authenticate(first).status, 401);
+  assert.strictEqual(logIn('temp@example.com', 'first-password').statusCode, 401);
+  const second = logIn('temp@example.com', 'second-password').body.token;
+  assert.strictEqual(authenticate(second).status, 200);
+
+  call(deleteAdmin, { params: { email: 'temp@example.com' } });
+  assert.strictEqual(authenticate(second).status, 401);
+
+  // Same email again: the old account's tokens stay dead
+  call(createAdmin, { body: { email: 'temp@example.com', password: 'second-password' } });
+  assert.strictEqual(authenticate(second).status, 401);
+  assert.strictEqual(authenticate(first).status, 401);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chug-embeds-'));
+
+const TENANT = {
+  name: 'RAB',
+  display_name: 'RAB',
+  branding: { logo_url: 'https://example.com/logo.png' },
+  allowed_origins: [],
+  allowed_containers: [],
+  allowed_beer_styles: [],
+  starts_at: null,
+  ends_at: null,
+  visibility: 'public',
+  access_key: null
+};
+
+fs.writeFileSync(path.join(process.env.DATA_DIR, 'tenants.json'), JSON.stringify({
+  tenants: [{ ...TENANT, name: 'Old Board', display_name: 'Old Board' }]
+}));
+
+const { createEmbeds } = require('../embeds');
+
+// Stands in for ffmpeg: counts its runs and fails
+function createFailingFfmpeg() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chug-ffmpeg-'));
+  const runs = path.join(dir, 'runs');
+  const script = path.join(dir, 'ffmpeg');
+  fs.writeFileSync(script, `#!/bin/sh\necho run >> "${runs}"\nexit 1\n`, { mode: 0o755 });
+  return {
+    path: script,
+    runs: () => (fs.existsSync(runs) ? fs.readFileSync(runs, 'utf8').trim().split('\n').length : 0)
+  };
+}
+
+function createEmbedsInstance(options) {
+  return createEmbeds({
+    leaderboardData: { getAllEntries: async () => [] },
+    publicBaseUrl: 'https://chug.example.com',
+    ...options
+  });
+}
+
+function call(handler, req) {
+  return new Promise(resolve => {
+    const res = {
+      statusCode: 200,
+      set() {
+        return this;
+      },
+      type() {
+        return this;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+        return this;
+      },
+      send(body) {
+        resolve({ status: this.statusCode, body });
+        return this;
+      }
+    };
+    handler({ params: {}, query: {}, get: () => undefined, ...req }, res);
+  });
+}
+
+test('failed image decodes are retried once the failure expires', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-06-01T00:00:00Z') });
+  const ffmpeg = createFailingFfmpeg();
+  const renderPng = createEmbedsInstance({ ffmpegPath: ffmpeg.path }).renderEmbed('png');
+
+  const first = await call(renderPng, { tenant: TENANT });
+  assert.strictEqual(first.status, 200);
+  await call(renderPng, { tenant: TENANT });
+  assert.strictEqual(ffmpeg.runs(), 1);
+
+  t.mock.timers.tick(5 * 60 * 1000 + 1);
+  await call(renderPng, { tenant: TENANT });
+  assert.strictEqual(ffmpeg.runs(), 2);
+});
+
+test('repeated query params are rejected', async () => {
+  const renderPage = createEmbedsInstance().renderEmbed('page');
+  const { status, body } = await call(renderPage, { tenant: TENANT, query: { accent: ['ff6600', '000000'] } });
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.error, 'accent must be given once');
+});
+
+test('oembed answers 400 for URLs with malformed escapes and 404 for unknown boards', async () => {
+  const { getOembed } = createEmbedsInstance();
+  const { status, body } = await call(getOembed, { query: { url: 'https://chug.example.com/embed/%E0%A4%A' } });
+  assert.strictEqual(status, 400);
+  assert.ok(body.error);
+
+  const ok = await call(getOembed, { query: { url: 'https://chug.example.com/embed/Old%20Board' } });
+  assert.strictEqual(ok.status, 200);
+  assert.strictEqual(ok.body.title, 'Old Board leaderboard');
+
+  const unknown = await call(getOembed, { query: { url: 'https://chug.example.com/embed/New%20Board' } });
+  assert.strictEqual(unknown.status, 404);
+  assert.strictEqual(unknown.body.error, 'Leaderboard not found');
+});
@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chug-events-'));
+
+fs.writeFileSync(path.join(process.env.DATA_DIR, 'tenants.json'), JSON.stringify({
+  tenants: [{
+    name: 'RAB',
+    display_name: 'RAB',
+    branding: {},
+    allowed_origins: [],
+    allowed_containers: [],
+    allowed_beer_styles: [],
+    starts_at: null,
+    ends_at: null,
+    visibility: 'public',
+    access_key: null
+  }]
+}));
+
+const { checkEventSubmission, createEvents } = require('../events');
+
+const OPENS_AT = '2024-06-01T18:00:00.000Z';
+const CLOSES_AT = '2024-06-01T23:59:59.000Z';
+
+function entry(id, time_s, fields = {}) {
+  return {
+    id,
+    handle_text: `@${id}`,
+    leaderboard_type: 'Beer/Seltzer',
+    leaderboard_name: 'RAB',
+    container: 'can',
+    volume_oz: '12',
+    time_s,
+    date_iso: '2024-06-01T20:00:00Z',
+    verified: 'true',
+    status: 'verified',
+    ...fields
+  };
+}
+
+const entries = [
+  entry('fast', '4'),
+  entry('slow', '6'),
+  entry('bottle', '3', { container: 'bottle' }),
+  entry('early', '2', { date_iso: '2024-05-31T20:00:00Z' }),
+  entry('elsewhere', '1', { leaderboard_name: null })
+];
+
+const events = createEvents({ leaderboardData: { getAllEntries: async () => entries } });
+test.after(() => events.stop());
+
+async function call(handler, { params = {}, body } = {}) {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  await handler({ params, query: {}, body, admin: { email: 'owner@example.com' }, get: () => undefined }, res);
+  return res;
+}
+
+const EVENT = {
+  name: 'Fastest chug this Saturday',
+  leaderboard_name: 'rab',
+  opens_at: OPENS_AT,
+  closes_at: CLOSES_AT,
+  rules: { containers: ['CAN', 'can'], min_volume_oz: 12 },
+  prizes: [{ place: 1, prize: '$100 bar tab' }]
+};
+
+test('new events need a name, a known leaderboard and a valid window', async () => {
+  const empty = await call(events.createEvent, { body: {} });
+  assert.strictEqual(empty.statusCode, 400);
+  assert.deepStrictEqual(empty.body.details.map(detail => detail.field), ['name', 'opens_at', 'closes_at']);
+
+  const unknown = await call(events.createEvent, { body: { ...EVENT, leaderboard_name: 'Old Board' } });
+  assert.strictEqual(unknown.statusCode, 400);
+  assert.deepStrictEqual(unknown.body.details, [{ field: 'leaderboard_name', message: 'is not a known leaderboard' }]);
+
+  const invalid = await call(events.createEvent, {
+    body: { ...EVENT, rank_by: 'volume', rules: { containers: ['keg'], min_volume_oz: -1, color: 'red' } }
+  });
+  assert.deepStrictEqual(invalid.body.details.map(detail => detail.field), [
+    'rules.containers', 'rules.min_volume_oz', 'rules.color', 'rank_by'
+  ]);
+
+  const unbound = await call(events.createEvent, { body: { ...EVENT, leaderboard_name: null, closes_at: OPENS_AT } });
+  assert.deepStrictEqual(unbound.body.details.map(detail => detail.field), ['leaderboard_name', 'closes_at']);
+});
+
+test('event fields are stored in their canonical spelling', async () => {
+  const res = await call(events.createEvent, { body: { ...EVENT, leaderboard_type: 'beer/seltzer' } });
+  assert.strictEqual(res.statusCode, 201);
+
+  const { event } = res.body;
+  assert.strictEqual(event.leaderboard_name, 'RAB');
+  assert.strictEqual(event.leaderboard_type, 'Beer/Seltzer');
+  assert.deepStrictEqual(event.rules, { containers: ['can'], min_volume_oz: 12, max_volume_oz: null });
+  assert.strictEqual(event.rank_by, 'time');
+  assert.strictEqual(event.winner_count, 3);
+
+  await call(events.deleteEvent, { params: { id: event.id } });
+});
+
+test('submissions naming an event are checked against its window and rules', async t => {
+  const { event } = (await call(events.createEvent, { body: EVENT })).body;
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse(OPENS_AT) - 1 });
+
+  const values = { container: 'Can', volume_oz: '12' };
+  assert.deepStrictEqual(checkEventSubmission('nope', values).errors, [{ field: 'event_id', message: 'is not a known event' }]);
+  assert.deepStrictEqual(checkEventSubmission(event.id, values).errors, [{ field: 'event_id', message: `is not open until ${OPENS_AT}` }]);
+
+  t.mock.timers.tick(1);
+  assert.deepStrictEqual(checkEventSubmission(event.id, values), { errors: [], fill: { leaderboard_name: 'RAB' } });
+  assert.deepStrictEqual(checkEventSubmission(event.id, { ...values, leaderboard_name: 'rab ' }), { errors: [], fill: {} });
+  assert.deepStrictEqual(checkEventSubmission(event.id, { container: 'bottle', volume_oz: '8', leaderboard_name: 'Other' }).errors, [
+    { field: 'container', message: 'must be one of: can for this event' },
+    { field: 'volume_oz', message: 'must be at least 12 for this event' },
+    { field: 'leaderboard_name', message: 'must be RAB for this event' }
+  ]);
+
+  t.mock.timers.setTime(Date.parse(CLOSES_AT) + 1);
+  assert.deepStrictEqual(checkEventSubmission(event.id, values).errors, [{ field: 'event_id', message: `closed at ${CLOSES_AT}` }]);
+
+  await call(events.deleteEvent, { params: { id: event.id } });
+});
+
+test('frozen results keep their winners and only the name and description can change', async t => {
+  const { event } = (await call(events.createEvent, { body: EVENT })).body;
+  const params = { id: event.id };
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse(CLOSES_AT) });
+
+  assert.strictEqual((await call(events.getEventResults, { params })).statusCode, 409);
+  assert.strictEqual((await call(events.freezeEvent, { params })).statusCode, 409);
+
+  t.mock.timers.tick(1);
+  await events.checkEvents();
+
+  const frozen = await call(events.getEventResults, { params });
+  assert.strictEqual(frozen.body.event.status, 'final');
+  assert.deepStrictEqual(frozen.body.standings.map(standing => standing.id), ['fast', 'slow']);
+  assert.deepStrictEqual(frozen.body.winners.map(winner => [winner.place, winner.prize, winner.entry.id]), [
+    [1, '$100 bar tab', 'fast'],
+    [2, null, 'slow']
+  ]);
+
+  // A later edit to the entries doesn't move the frozen standings
+  entries[1].time_s = '3';
+  assert.deepStrictEqual((await call(events.getEventResults, { params })).body.standings.map(standing => standing.id), ['fast', 'slow']);
+
+  const locked = await call(events.updateEvent, { params, body: { name: 'Renamed', rules: { containers: [] } } });
+  assert.strictEqual(locked.statusCode, 409);
+  assert.deepStrictEqual(locked.body.details, [{ field: 'rules', message: 'cannot change after results are frozen' }]);
+
+  const renamed = await call(events.updateEvent, { params, body: { name: 'Renamed' } });
+  assert.strictEqual(renamed.statusCode, 200);
+  assert.strictEqual(renamed.body.event.name, 'Renamed');
+
+  // An owner can recompute them on purpose
+  const refrozen = await call(events.freezeEvent, { params });
+  assert.deepStrictEqual(refrozen.body.standings.map(standing => standing.id), ['slow', 'fast']);
+});
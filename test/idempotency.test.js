@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const express = require('express');
+const { idempotent } = require('../idempotency');
+
+// A create endpoint that takes `delayMs` and fails for { fail: true }
+async function startServer({ delayMs = 0 } = {}) {
+  const created = [];
+  const app = express();
+  app.post('/create', express.json(), idempotent({ name: 'test', windowMs: 60 * 1000 }), async (req, res) => {
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+    if (req.body.fail) {
+      return res.status(400).json({ error: 'Invalid' });
+    }
+    created.push(req.body);
+    res.json({ success: true, id: created.length });
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}/create`;
+
+  return {
+    created,
+    post: (key, body = {}, options = {}) => fetch(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...(key && { 'idempotency-key': key }) },
+      body: JSON.stringify(body),
+      ...options
+    }),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+test('replays the first successful response for a key', async () => {
+  const server = await startServer();
+  try {
+    const first = await server.post('key-1', { handle: '@fred' });
+    assert.deepStrictEqual(await first.json(), { success: true, id: 1 });
+    assert.strictEqual(first.headers.get('idempotent-replayed'), null);
+
+    const retry = await server.post('key-1', { handle: '@fred' });
+    assert.deepStrictEqual(await retry.json(), { success: true, id: 1 });
+    assert.strictEqual(retry.headers.get('idempotent-replayed'), 'true');
+
+    assert.strictEqual((await server.post('key-1', { handle: '@ann' })).status, 422);
+    assert.strictEqual((await server.post('bad key', { handle: '@fred' })).status, 400);
+    assert.deepStrictEqual(await (await server.post(null, { handle: '@fred' })).json(), { success: true, id: 2 });
+    assert.strictEqual(server.created.length, 2);
+  } finally {
+    await server.close();
+  }
+});
+
+test('errors are not stored, so the same key can be retried', async () => {
+  const server = await startServer();
+  try {
+    assert.strictEqual((await server.post('key-2', { fail: true })).status, 400);
+    assert.strictEqual((await server.post('key-2', { fail: true })).status, 400);
+    assert.strictEqual(server.created.length, 0);
+  } finally {
+    await server.close();
+  }
+});
+
+test('concurrent retries wait for the first request instead of running again', async () => {
+  const server = await startServer({ delayMs: 50 });
+  try {
+    const responses = await Promise.all([1, 2, 3].map(() => server.post('key-3', { handle: '@fred' })));
+    const bodies = await Promise.all(responses.map(response => response.json()));
+
+    assert.deepStrictEqual(bodies, [1, 2, 3].map(() => ({ success: true, id: 1 })));
+    assert.strictEqual(server.created.length, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a retry after the client gave up waits for the running request', async () => {
+  const server = await startServer({ delayMs: 100 });
+  try {
+    const controller = new AbortController();
+    const first = server.post('key-4', { handle: '@fred' }, { signal: controller.signal });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    controller.abort();
+    await assert.rejects(first, { name: 'AbortError' });
+
+    const retry = await server.post('key-4', { handle: '@fred' });
+    assert.deepStrictEqual(await retry.json(), { success: true, id: 1 });
+    assert.strictEqual(retry.headers.get('idempotent-replayed'), 'true');
+    assert.strictEqual(server.created.length, 1);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chug-leaderboard-'));
+
+const { createLeaderboardData } = require('../leaderboard-data');
+
+function createFakeShopify() {
+  const loads = [];
+  return {
+    loads,
+    listAllMetaobjects() {
+      return new Promise(resolve => {
+        loads.push(handle => resolve({
+          metaobjects: [{ id: `gid://${handle}`, handle, updatedAt: null, fields: {} }]
+        }));
+      });
+    }
+  };
+}
+
+// Lets getAllEntries get past its cache lookup
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('a superseded load does not clear the newer in-flight load', async () => {
+  const shopify = createFakeShopify();
+  const data = createLeaderboardData({ shopify });
+
+  const first = data.getAllEntries();
+  await settle();
+  await data.invalidate();
+  const second = data.getAllEntries();
+  await settle();
+  assert.strictEqual(shopify.loads.length, 2);
+
+  shopify.loads[0]('stale');
+  assert.strictEqual((await first)[0].handle, 'stale');
+
+  const third = data.getAllEntries();
+  await settle();
+  assert.strictEqual(shopify.loads.length, 2);
+
+  shopify.loads[1]('fresh');
+  assert.strictEqual((await second)[0].handle, 'fresh');
+  assert.strictEqual((await third)[0].handle, 'fresh');
+});
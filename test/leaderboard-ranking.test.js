@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  normalizeHandle,
+  parseRankingOptions,
+  rankEntries,
+  collapseByHandle,
+  buildLeaderboard,
+  buildHandleHistory
+} = require('../leaderboard-ranking');
+
+function entry(id, fields) {
+  return { id, handle_text: `@${id}`, date_iso: '2024-06-01', ...fields };
+}
+
+const ranks = entries => entries.map(item => [item.id, item.rank]);
+
+function leaderboard(entries, query = {}) {
+  const { options, error } = parseRankingOptions(query);
+  assert.ifError(error);
+  return buildLeaderboard(entries, options);
+}
+
+test('equal scores share a rank and the next one is skipped', () => {
+  const ranked = rankEntries([
+    entry('d', { time_s: '9' }),
+    entry('b', { time_s: '5.0001', date_iso: '2024-06-02' }),
+    entry('c', { time_s: '5', date_iso: '2024-06-01' }),
+    entry('a', { time_s: '3' }),
+    entry('none', { time_s: 'n/a' })
+  ], 'time');
+
+  assert.deepStrictEqual(ranks(ranked), [['a', 1], ['c', 2], ['b', 2], ['d', 4], ['none', null]]);
+  assert.strictEqual(ranked[4].score, null);
+});
+
+test('per_oz ranks by time per ounce', () => {
+  const { entries } = leaderboard([
+    entry('can', { time_s: '6', volume_oz: '12' }),
+    entry('pint', { time_s: '7', volume_oz: '16' }),
+    entry('unknown', { time_s: '4' })
+  ], { rank_by: 'per_oz' });
+
+  assert.deepStrictEqual(ranks(entries), [['pint', 1], ['can', 2], ['unknown', null]]);
+  assert.strictEqual(entries[0].score, 0.438);
+});
+
+test('group_by ranks each class separately, ordered by group value', () => {
+  const { groups } = leaderboard([
+    entry('a', { time_s: '6', volume_oz: '16' }),
+    entry('b', { time_s: '5', volume_oz: '12' }),
+    entry('c', { time_s: '4', volume_oz: '16' }),
+    entry('d', { time_s: '8', volume_oz: '8' })
+  ], { group_by: 'volume_oz' });
+
+  assert.deepStrictEqual(groups.map(group => [group.group, group.count, ranks(group.entries)]), [
+    ['8', 1, [['d', 1]]],
+    ['12', 1, [['b', 1]]],
+    ['16', 2, [['c', 1], ['a', 2]]]
+  ]);
+});
+
+test('filters by style, container and window', t => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-06-13T12:00:00Z') });
+  const entries = [
+    entry('may', { time_s: '3', date_iso: '2024-05-31', container: 'can' }),
+    entry('monday', { time_s: '5', date_iso: '2024-06-10', container: 'can', beer_style: 'IPA' }),
+    entry('june', { time_s: '4', date_iso: '2024-06-02', container: 'bottle' })
+  ];
+
+  assert.deepStrictEqual(ranks(leaderboard(entries, { window: 'month' }).entries), [['june', 1], ['monday', 2]]);
+  assert.deepStrictEqual(ranks(leaderboard(entries, { window: 'week' }).entries), [['monday', 1]]);
+  assert.deepStrictEqual(ranks(leaderboard(entries, { container: 'can' }).entries), [['may', 1], ['monday', 2]]);
+  assert.deepStrictEqual(ranks(leaderboard(entries, { beer_style: 'IPA' }).entries), [['monday', 1]]);
+});
+
+test('rejects unknown options, including inherited property names', () => {
+  for (const query of [
+    { rank_by: 'speed' },
+    { rank_by: 'toString' },
+    { group_by: 'constructor' },
+    { group_by: '__proto__' },
+    { window: 'year' },
+    { per_handle: 'worst' }
+  ]) {
+    assert.ok(parseRankingOptions(query).error, JSON.stringify(query));
+  }
+});
+
+test('handles match across case, spacing, @ and URL noise', () => {
+  assert.strictEqual(normalizeHandle({ handle_text: ' @@Chug   Master ' }), 'text:chug master');
+  assert.strictEqual(normalizeHandle({ handle_text: 'chug master', handle_url: 'https://x.test/@y' }), 'text:chug master');
+  assert.strictEqual(normalizeHandle({ handle_url: 'https://www.TikTok.com/@X/?lang=en' }), 'url:tiktok.com/@x');
+  assert.strictEqual(normalizeHandle({ handle_url: 'tiktok.com/@x#top' }), 'url:tiktok.com/@x');
+  assert.strictEqual(normalizeHandle({ handle_text: ' @ ', handle_url: '' }), null);
+});
+
+test('per_handle=best keeps each person\'s best entry and every anonymous one', () => {
+  const entries = [
+    entry('fred-slow', { handle_text: '@Fred', time_s: '7' }),
+    entry('fred-fast', { handle_text: 'fred ', time_s: '5' }),
+    entry('ann', { handle_text: '@ann', time_s: '6' }),
+    entry('anon-1', { handle_text: '', time_s: '8' }),
+    entry('anon-2', { handle_text: '', time_s: '4' })
+  ];
+
+  assert.deepStrictEqual(collapseByHandle(entries, 'time').map(item => item.id), ['fred-fast', 'ann', 'anon-2', 'anon-1']);
+  assert.deepStrictEqual(ranks(leaderboard(entries, { per_handle: 'best' }).entries), [
+    ['anon-2', 1], ['fred-fast', 2], ['ann', 3], ['anon-1', 4]
+  ]);
+  assert.strictEqual(leaderboard(entries).entries.length, 5);
+});
+
+test('per_handle=best collapses within each group', () => {
+  const { groups } = leaderboard([
+    entry('can-slow', { handle_text: '@fred', time_s: '7', container: 'can' }),
+    entry('can-fast', { handle_text: '@fred', time_s: '5', container: 'can' }),
+    entry('bottle', { handle_text: '@fred', time_s: '9', container: 'bottle' })
+  ], { group_by: 'container', per_handle: 'best' });
+
+  assert.deepStrictEqual(groups.map(group => [group.group, ranks(group.entries)]), [
+    ['bottle', [['bottle', 1]]],
+    ['can', [['can-fast', 1]]]
+  ]);
+});
+
+test('handle history tracks personal bests per leaderboard', () => {
+  const history = buildHandleHistory([
+    entry('first', { handle_text: '@fred', time_s: '8', date_iso: '2024-06-01', leaderboard_type: 'Beer/Seltzer' }),
+    entry('worse', { handle_text: '@fred', time_s: '9', date_iso: '2024-06-02', leaderboard_type: 'Beer/Seltzer' }),
+    entry('better', { handle_text: '@fred', time_s: '6', date_iso: '2024-06-03', leaderboard_type: 'Beer/Seltzer' }),
+    entry('event', { handle_text: 'Fred', time_s: '7', date_iso: '2024-06-04', leaderboard_type: 'Beer/Seltzer', leaderboard_name: 'RAB' }),
+    entry('no-time', { handle_text: '@fred', date_iso: '2024-05-01', leaderboard_type: 'Non-Alc' }),
+    entry('ann', { handle_text: '@ann', time_s: '1', leaderboard_type: 'Beer/Seltzer' })
+  ], 'text:fred');
+
+  assert.deepStrictEqual(history.entries.map(item => item.id), ['no-time', 'first', 'worse', 'better', 'event']);
+  assert.deepStrictEqual(history.personal_bests.map(board => [
+    board.leaderboard_type,
+    board.leaderboard_name,
+    board.best.id,
+    board.progression.map(item => item.id)
+  ]), [
+    ['Beer/Seltzer', '', 'better', ['first', 'better']],
+    ['Beer/Seltzer', 'RAB', 'event', ['event']]
+  ]);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chug-stream-'));
+
+const { createLeaderboardStreams } = require('../leaderboard-stream');
+const { submissionEvents } = require('../submission-events');
+
+function entry(id, timeS) {
+  return { id, handle: id, leaderboard_type: 'Non-Alc', verified: 'true', status: 'verified', time_s: String(timeS) };
+}
+
+function open(streams, lastEventId) {
+  const req = new EventEmitter();
+  Object.assign(req, {
+    params: { leaderboard_type: 'Non-Alc' },
+    query: {},
+    get: name => (name === 'last-event-id' ? lastEventId : undefined)
+  });
+  const res = {
+    output: '',
+    headersSent: false,
+    set() {
+      return this;
+    },
+    flushHeaders() {
+      this.headersSent = true;
+    },
+    write(chunk) {
+      this.output += chunk;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  return { req, res, done: streams.streamLeaderboard('leaderboard_type')(req, res) };
+}
+
+function events(res) {
+  return [...res.output.matchAll(/(?:id: (.+)\n)?event: (.+)\n/g)].map(([, id, event]) => ({ id, event }));
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a lone client reconnecting after leaving gets the deltas it missed', async () => {
+  let entries = [entry('a', 5)];
+  const streams = createLeaderboardStreams({
+    leaderboardData: { getAllEntries: async () => entries },
+    debounceMs: 5,
+    idleChannelMs: 200
+  });
+
+  const first = open(streams);
+  await first.done;
+  const [snapshot] = events(first.res);
+  assert.strictEqual(snapshot.event, 'snapshot');
+  first.req.emit('close');
+  assert.deepStrictEqual(streams.getStatus(), { channels: 1, clients: 0 });
+
+  entries = [entry('a', 5), entry('b', 4)];
+  submissionEvents.emit('verified', { id: 'b' });
+  await wait(30);
+
+  const second = open(streams, snapshot.id);
+  await second.done;
+  assert.deepStrictEqual(events(second.res).map(item => item.event), ['delta']);
+  second.req.emit('close');
+
+  await wait(250);
+  assert.deepStrictEqual(streams.getStatus(), { channels: 0, clients: 0 });
+});
+
+test('a client that disconnects while the board loads is not registered', async () => {
+  let finishLoad;
+  const streams = createLeaderboardStreams({
+    leaderboardData: {
+      getAllEntries: () => new Promise(resolve => {
+        finishLoad = () => resolve([entry('a', 5)]);
+      })
+    },
+    idleChannelMs: 50
+  });
+
+  const client = open(streams);
+  await wait(0);
+  client.req.emit('close');
+  finishLoad();
+  await client.done;
+
+  assert.strictEqual(client.res.output, '');
+  assert.deepStrictEqual(streams.getStatus(), { channels: 1, clients: 0 });
+  await wait(100);
+  assert.deepStrictEqual(streams.getStatus(), { channels: 0, clients: 0 });
+});
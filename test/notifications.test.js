@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chug-notifications-'));
+
+const TENANT_DEFAULTS = {
+  branding: {},
+  allowed_origins: [],
+  allowed_containers: [],
+  allowed_beer_styles: [],
+  starts_at: null,
+  ends_at: null,
+  visibility: 'public',
+  access_key: null
+};
+
+fs.writeFileSync(path.join(process.env.DATA_DIR, 'tenants.json'), JSON.stringify({
+  tenants: [
+    { ...TENANT_DEFAULTS, name: 'RAB', display_name: 'RAB', allowed_containers: ['can'] },
+    { ...TENANT_DEFAULTS, name: 'Secret', display_name: 'Secret', visibility: 'private', access_key: 'k' }
+  ]
+}));
+
+const { rememberSubmitterEmail, createSubmitterNotifications } = require('../notifications');
+const { createOutboxEmailProvider } = require('../email-outbox');
+const { submissionEvents } = require('../submission-events');
+
+function entry(id, fields) {
+  return {
+    id,
+    handle_text: `@${id}`,
+    leaderboard_type: 'Beer/Seltzer',
+    container: 'can',
+    date_iso: '2024-06-01',
+    verified: 'true',
+    status: 'verified',
+    ...fields
+  };
+}
+
+const ENTRIES = [
+  entry('fast', { time_s: '4' }),
+  entry('slow', { time_s: '6' }),
+  entry('private', { time_s: '3', leaderboard_name: 'Secret' }),
+  entry('pending', { time_s: '2', verified: 'false', status: 'pending' }),
+  entry('non-alc', { time_s: '1', leaderboard_type: 'Non-Alc' }),
+  entry('rab-bottle', { time_s: '3', leaderboard_type: 'Non-Alc', leaderboard_name: 'RAB', container: 'bottle' }),
+  entry('rab-can', { time_s: '4', leaderboard_type: 'Non-Alc', leaderboard_name: 'RAB' })
+];
+
+const provider = createOutboxEmailProvider();
+const notifications = createSubmitterNotifications({
+  provider,
+  leaderboardData: { getAllEntries: async () => ENTRIES },
+  leaderboardUrl: 'https://chug.example.com/leaderboard'
+});
+
+async function moderate(event, id, email, fields) {
+  const { id: _, ...rest } = entry(id, fields);
+  submissionEvents.emit(event, { id, submission: { id, handle: `entry-${id}`, fields: rest } });
+  await notifications.flush();
+  return provider.getMessages().filter(message => message.to === email);
+}
+
+test('verified emails rank the entry on its own public board', async () => {
+  rememberSubmitterEmail('mine', 'fred@example.com');
+  const [message] = await moderate('verified', 'mine', 'fred@example.com', { handle_text: '@fred', time_s: '5' });
+
+  // The private tenant's 3s entry isn't on the public Beer/Seltzer board
+  assert.strictEqual(message.subject, "Your chug is verified - you're #2 on the Beer/Seltzer leaderboard");
+  assert.match(message.text, /^Hi @fred,/);
+  assert.match(message.text, /Your 5s chug has been verified and is now on the Beer\/Seltzer leaderboard at #2\./);
+  assert.match(message.text, /https:\/\/chug\.example\.com\/leaderboard/);
+});
+
+test('tenant entries are ranked with the tenant\'s filters', async () => {
+  rememberSubmitterEmail('mine-rab', 'ann@example.com');
+  const [message] = await moderate('verified', 'mine-rab', 'ann@example.com', { time_s: '5', leaderboard_type: 'Non-Alc', leaderboard_name: 'RAB' });
+  assert.strictEqual(message.subject, "Your chug is verified - you're #2 on the RAB leaderboard");
+
+  // A bottle isn't on RAB's can-only board, so there's no rank to give
+  rememberSubmitterEmail('mine-bottle', 'bob@example.com');
+  const [unranked] = await moderate('verified', 'mine-bottle', 'bob@example.com', { time_s: '5', leaderboard_type: 'Non-Alc', leaderboard_name: 'RAB', container: 'bottle' });
+  assert.strictEqual(unranked.subject, 'Your chug is verified on the RAB leaderboard');
+});
+
+test('rejections explain the reason, and each email goes out once', async () => {
+  const fields = { time_s: '5', verified: 'false', status: 'rejected', rejection_reason: 'time_mismatch', rejection_notes: 'Starts late' };
+  rememberSubmitterEmail('rejected', 'cat@example.com');
+  await moderate('rejected', 'rejected', 'cat@example.com', fields);
+  const messages = await moderate('rejected', 'rejected', 'cat@example.com', fields);
+
+  assert.strictEqual(messages.length, 1);
+  assert.strictEqual(messages[0].subject, "Your chug submission wasn't approved");
+  assert.match(messages[0].text, /because the time didn't match the video\./);
+  assert.match(messages[0].text, /Moderator notes: Starts late/);
+  assert.match(messages[0].text, /Reference: rejected/);
+});
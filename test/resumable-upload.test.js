@@ -0,0 +1,445 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chug-resumable-'));
+process.env.UPLOAD_TOKEN_SECRET = 'test-secret';
+
+const express = require('express');
+const { createResumableUploads } = require('../resumable-upload');
+const { createUploadToken } = require('../upload-tokens');
+const { rememberVideoHash } = require('../abuse-protection');
+
+const PART_SIZE = 64;
+
+function box(type, ...children) {
+  const body = Buffer.concat(children);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length + 8);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Faststart MP4: ftyp, a moov with a 5 s video track, then `mdatBytes` of
+ * random media (so each file has its own hash). With `moovLast`, moov comes
+ * after the media like in most phone recordings.
+ */
+function createMp4(mdatBytes, { moovLast = false } = {}) {
+  const mvhd = Buffer.alloc(20);
+  mvhd.writeUInt32BE(1000, 12); // timescale
+  mvhd.writeUInt32BE(5000, 16); // duration
+  const hdlr = Buffer.alloc(12);
+  hdlr.write('vide', 8, 'latin1');
+
+  const moov = box('moov', box('mvhd', mvhd), box('trak', box('mdia', box('hdlr', hdlr))));
+  const mdat = box('mdat', crypto.randomBytes(mdatBytes));
+  return Buffer.concat([
+    box('ftyp', Buffer.from('isom\0\0\0\0isom', 'latin1')),
+    ...(moovLast ? [mdat, moov] : [moov, mdat])
+  ]);
+}
+
+function createFakeStorage() {
+  const objects = new Map();
+  const multiparts = new Map();
+  let nextUploadId = 1;
+
+  return {
+    objects,
+    multiparts,
+    reads: [],
+
+    async putObject(key, data) {
+      objects.set(key, Buffer.from(data));
+    },
+
+    async getObject(key, range = null) {
+      if (!objects.has(key)) throw new Error(`No such object: ${key}`);
+      const data = objects.get(key);
+      const read = range ? data.subarray(range.start, range.end) : data;
+      this.reads.push(read.length);
+      return read;
+    },
+
+    async startMultipart(key) {
+      const upload = { key, uploadId: String(nextUploadId++) };
+      multiparts.set(upload.uploadId, new Map());
+      return upload;
+    },
+
+    async uploadPart(upload, partNumber, data) {
+      multiparts.get(upload.uploadId).set(partNumber, Buffer.from(data));
+      return { partNumber, etag: `etag-${partNumber}` };
+    },
+
+    async completeMultipart(upload, parts) {
+      const stored = multiparts.get(upload.uploadId);
+      objects.set(upload.key, Buffer.concat(parts.map(part => stored.get(part.partNumber))));
+      multiparts.delete(upload.uploadId);
+    },
+
+    async abortMultipart(upload) {
+      multiparts.delete(upload.uploadId);
+    },
+
+    async deleteObject(key) {
+      return objects.delete(key);
+    },
+
+    async getPublicUrl(key) {
+      return `https://files.test/${key}`;
+    }
+  };
+}
+
+async function startServer(options = {}) {
+  const storage = createFakeStorage();
+  const finished = [];
+  const uploads = createResumableUploads({
+    storage,
+    allowedContentTypes: ['video/mp4', 'video/quicktime'],
+    partSize: PART_SIZE,
+    maxSize: 1024,
+    onFinish: async result => {
+      rememberVideoHash(result.contentHash, result.key);
+      finished.push(result);
+    },
+    ...options
+  });
+
+  const app = express();
+  app.use(express.json());
+  app.post('/uploads', uploads.startUpload);
+  app.get('/uploads/:uploadId', uploads.getUploadStatus);
+  app.put('/uploads/:uploadId/parts/:partNumber', express.raw({ type: () => true }), uploads.uploadPart);
+  app.post('/uploads/:uploadId/finish', uploads.finishUpload);
+  app.delete('/uploads/:uploadId', uploads.cancelUpload);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function call(method, pathname, body) {
+    const init = { method, headers: {} };
+    if (Buffer.isBuffer(body)) {
+      init.headers['content-type'] = 'application/octet-stream';
+      init.body = body;
+    } else if (body) {
+      init.headers['content-type'] = 'application/json';
+      init.body = JSON.stringify(body);
+    }
+    const response = await fetch(`${baseUrl}${pathname}`, init);
+    return { status: response.status, body: await response.json() };
+  }
+
+  return {
+    storage,
+    finished,
+    uploads,
+    call,
+    close: () => {
+      uploads.stop();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+function startBody(size, { key = 'submissions/clip.mp4', contentType = 'video/mp4', ...overrides } = {}) {
+  const { token } = createUploadToken({ key, contentType });
+  return { key, contentType, size, token, ...overrides };
+}
+
+function partOf(file, partNumber) {
+  return file.subarray((partNumber - 1) * PART_SIZE, partNumber * PART_SIZE);
+}
+
+test('uploads a file in parts and finishes it', async () => {
+  const server = await startServer();
+  try {
+    const file = createMp4(150);
+    const started = await server.call('POST', '/uploads', startBody(file.length));
+    assert.strictEqual(started.status, 201);
+    assert.strictEqual(started.body.key, 'submissions/clip.mp4');
+    assert.strictEqual(started.body.totalParts, Math.ceil(file.length / PART_SIZE));
+    assert.deepStrictEqual(started.body.receivedParts, []);
+
+    const { uploadId, totalParts } = started.body;
+    for (let partNumber = totalParts; partNumber >= 1; partNumber--) {
+      const uploaded = await server.call('PUT', `/uploads/${uploadId}/parts/${partNumber}`, partOf(file, partNumber));
+      assert.strictEqual(uploaded.status, 200);
+    }
+
+    const status = await server.call('GET', `/uploads/${uploadId}`);
+    assert.strictEqual(status.status, 200);
+    assert.deepStrictEqual(status.body.missingParts, []);
+
+    const finished = await server.call('POST', `/uploads/${uploadId}/finish`);
+    assert.strictEqual(finished.status, 200);
+    assert.strictEqual(finished.body.publicUrl, 'https://files.test/submissions/clip.mp4');
+    assert.strictEqual(finished.body.metadata.durationS, 5);
+    assert.ok(server.storage.objects.get('submissions/clip.mp4').equals(file));
+    assert.strictEqual(server.finished.length, 1);
+    assert.strictEqual(server.finished[0].key, 'submissions/clip.mp4');
+
+    assert.strictEqual((await server.call('GET', `/uploads/${uploadId}`)).status, 404);
+  } finally {
+    await server.close();
+  }
+});
+
+test('resumes after a missing part', async () => {
+  const server = await startServer();
+  try {
+    const file = createMp4(150);
+    const started = await server.call('POST', '/uploads', startBody(file.length));
+    const { uploadId, totalParts } = started.body;
+
+    for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+      if (partNumber !== 2) {
+        await server.call('PUT', `/uploads/${uploadId}/parts/${partNumber}`, partOf(file, partNumber));
+      }
+    }
+
+    const early = await server.call('POST', `/uploads/${uploadId}/finish`);
+    assert.strictEqual(early.status, 400);
+    assert.deepStrictEqual(early.body.missingParts, [2]);
+
+    const status = await server.call('GET', `/uploads/${uploadId}`);
+    assert.deepStrictEqual(status.body.missingParts, [2]);
+
+    await server.call('PUT', `/uploads/${uploadId}/parts/2`, partOf(file, 2));
+    const finished = await server.call('POST', `/uploads/${uploadId}/finish`);
+    assert.strictEqual(finished.status, 200);
+    assert.ok(server.storage.objects.get('submissions/clip.mp4').equals(file));
+  } finally {
+    await server.close();
+  }
+});
+
+test('rejects a last part of the wrong size', async () => {
+  const server = await startServer();
+  try {
+    const file = createMp4(150);
+    const started = await server.call('POST', '/uploads', startBody(file.length));
+    const { uploadId, totalParts } = started.body;
+
+    const lastPart = partOf(file, totalParts);
+    const response = await server.call('PUT', `/uploads/${uploadId}/parts/${totalParts}`, Buffer.concat([lastPart, Buffer.from([0])]));
+    assert.strictEqual(response.status, 400);
+    assert.match(response.body.error, new RegExp(`must be ${lastPart.length} bytes`));
+
+    const status = await server.call('GET', `/uploads/${uploadId}`);
+    assert.deepStrictEqual(status.body.receivedParts, []);
+  } finally {
+    await server.close();
+  }
+});
+
+test('rejects files over maxSize on start', async () => {
+  const server = await startServer();
+  try {
+    const response = await server.call('POST', '/uploads', startBody(1025));
+    assert.strictEqual(response.status, 413);
+    assert.strictEqual(server.storage.multiparts.size, 0);
+  } finally {
+    await server.close();
+  }
+});
+
+test('deletes a finished file that is not a valid video', async () => {
+  const server = await startServer();
+  try {
+    // Valid container header, but the moov box claims more bytes than the file has
+    const file = createMp4(0);
+    file.writeUInt32BE(file.readUInt32BE(20) + 1000, 20);
+    const padded = Buffer.concat([file, Buffer.alloc(PART_SIZE * 2 - file.length)]);
+
+    const started = await server.call('POST', '/uploads', startBody(padded.length));
+    const { uploadId } = started.body;
+    await server.call('PUT', `/uploads/${uploadId}/parts/1`, partOf(padded, 1));
+    await server.call('PUT', `/uploads/${uploadId}/parts/2`, partOf(padded, 2));
+
+    const finished = await server.call('POST', `/uploads/${uploadId}/finish`);
+    assert.strictEqual(finished.status, 422);
+    assert.strictEqual(finished.body.error, 'Video is truncated or missing its header');
+    assert.strictEqual(server.storage.objects.has('submissions/clip.mp4'), false);
+    assert.strictEqual(server.finished.length, 0);
+  } finally {
+    await server.close();
+  }
+});
+
+test('rejects a container that does not match the content type', async () => {
+  const server = await startServer();
+  try {
+    const file = createMp4(150);
+    const started = await server.call('POST', '/uploads', startBody(file.length, { contentType: 'video/quicktime' }));
+    const { uploadId, totalParts } = started.body;
+    for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+      await server.call('PUT', `/uploads/${uploadId}/parts/${partNumber}`, partOf(file, partNumber));
+    }
+
+    const finished = await server.call('POST', `/uploads/${uploadId}/finish`);
+    assert.strictEqual(finished.status, 422);
+    assert.strictEqual(finished.body.error, 'File is video/mp4, not video/quicktime');
+    assert.strictEqual(server.storage.objects.has('submissions/clip.mp4'), false);
+  } finally {
+    await server.close();
+  }
+});
+
+test('rejects a video that was already uploaded', async () => {
+  const server = await startServer();
+  try {
+    const file = createMp4(180);
+    let finished;
+    for (const key of ['submissions/first.mp4', 'submissions/second.mp4']) {
+      const started = await server.call('POST', '/uploads', startBody(file.length, { key }));
+      const { uploadId, totalParts } = started.body;
+      for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+        await server.call('PUT', `/uploads/${uploadId}/parts/${partNumber}`, partOf(file, partNumber));
+      }
+      finished = await server.call('POST', `/uploads/${uploadId}/finish`);
+    }
+
+    assert.strictEqual(finished.status, 409);
+    assert.strictEqual(finished.body.key, 'submissions/first.mp4');
+    assert.strictEqual(server.storage.objects.has('submissions/first.mp4'), true);
+    assert.strictEqual(server.storage.objects.has('submissions/second.mp4'), false);
+    assert.strictEqual(server.finished.length, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('cancels an upload', async () => {
+  const server = await startServer();
+  try {
+    const file = createMp4(150);
+    const started = await server.call('POST', '/uploads', startBody(file.length));
+    const { uploadId } = started.body;
+    await server.call('PUT', `/uploads/${uploadId}/parts/1`, partOf(file, 1));
+
+    const cancelled = await server.call('DELETE', `/uploads/${uploadId}`);
+    assert.strictEqual(cancelled.status, 200);
+    assert.strictEqual(server.storage.multiparts.size, 0);
+    assert.strictEqual((await server.call('GET', `/uploads/${uploadId}`)).status, 404);
+  } finally {
+    await server.close();
+  }
+});
+
+test('expires idle sessions', async () => {
+  const server = await startServer({ sessionTimeoutMs: 20 });
+  try {
+    const file = createMp4(150);
+    const started = await server.call('POST', '/uploads', startBody(file.length));
+    const { uploadId } = started.body;
+
+    // The sweep timer may get there first; either way the session is gone
+    await new Promise(resolve => setTimeout(resolve, 40));
+    await server.uploads.sweepExpiredSessions();
+
+    assert.strictEqual(server.storage.multiparts.size, 0);
+    const expired = await server.call('PUT', `/uploads/${uploadId}/parts/1`, partOf(file, 1));
+    assert.strictEqual(expired.status, 404);
+  } finally {
+    await server.close();
+  }
+});
+
+test('requires a matching upload token to start', async () => {
+  const server = await startServer();
+  try {
+    const missing = await server.call('POST', '/uploads', startBody(200, { token: undefined }));
+    assert.strictEqual(missing.status, 401);
+
+    const wrongKey = await server.call('POST', '/uploads', { ...startBody(200), key: 'submissions/other.mp4' });
+    assert.strictEqual(wrongKey.status, 403);
+
+    const { token } = createUploadToken({ key: 'submissions/clip.mp4', contentType: 'video/mp4', maxSize: 100 });
+    const tooLarge = await server.call('POST', '/uploads', startBody(200, { token }));
+    assert.strictEqual(tooLarge.status, 413);
+
+    assert.strictEqual(server.storage.multiparts.size, 0);
+  } finally {
+    await server.close();
+  }
+});
+
+test('spends the token when the upload finishes', async () => {
+  const server = await startServer();
+  try {
+    const file = createMp4(150);
+    const body = startBody(file.length);
+    const started = await server.call('POST', '/uploads', body);
+    assert.strictEqual(started.status, 201);
+
+    const parallel = await server.call('POST', '/uploads', body);
+    assert.strictEqual(parallel.status, 409);
+
+    const { uploadId, totalParts } = started.body;
+    for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+      await server.call('PUT', `/uploads/${uploadId}/parts/${partNumber}`, partOf(file, partNumber));
+    }
+    assert.strictEqual((await server.call('POST', `/uploads/${uploadId}/finish`)).status, 200);
+
+    const reused = await server.call('POST', '/uploads', body);
+    assert.strictEqual(reused.status, 409);
+    assert.strictEqual(reused.body.error, 'Upload token already used');
+  } finally {
+    await server.close();
+  }
+});
+
+test('checks the finished file without reading it whole', async () => {
+  const server = await startServer();
+  try {
+    const file = createMp4(600, { moovLast: true });
+    const started = await server.call('POST', '/uploads', startBody(file.length));
+    const { uploadId, totalParts } = started.body;
+    for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+      await server.call('PUT', `/uploads/${uploadId}/parts/${partNumber}`, partOf(file, partNumber));
+    }
+
+    const finished = await server.call('POST', `/uploads/${uploadId}/finish`);
+    assert.strictEqual(finished.status, 200);
+    assert.strictEqual(finished.body.metadata.durationS, 5);
+    assert.strictEqual(server.finished[0].contentHash, crypto.createHash('sha256').update(file).digest('hex'));
+    assert.ok(Math.max(...server.storage.reads) <= 2 * PART_SIZE);
+  } finally {
+    await server.close();
+  }
+});
+
+test('deletes the finished file when checking it fails', async () => {
+  const server = await startServer({
+    onFinish: async () => {
+      throw new Error('metadata store unavailable');
+    }
+  });
+  try {
+    const file = createMp4(150);
+    const body = startBody(file.length);
+    const started = await server.call('POST', '/uploads', body);
+    const { uploadId, totalParts } = started.body;
+    for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+      await server.call('PUT', `/uploads/${uploadId}/parts/${partNumber}`, partOf(file, partNumber));
+    }
+
+    const finished = await server.call('POST', `/uploads/${uploadId}/finish`);
+    assert.strictEqual(finished.status, 500);
+    assert.strictEqual(server.storage.objects.has('submissions/clip.mp4'), false);
+    assert.strictEqual((await server.call('POST', `/uploads/${uploadId}/finish`)).status, 404);
+
+    // Nothing was kept, so the token can start over
+    assert.strictEqual((await server.call('POST', '/uploads', body)).status, 201);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createShopifyClient } = require('../shopify-client');
+
+const QUERY = 'query Shop { shop { name } }';
+const MUTATION = 'mutation Create { metaobjectCreate { metaobject { id } } }';
+
+function reply(status, body = {}, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: new Headers(headers),
+    // null: an error page that isn't JSON
+    json: async () => {
+      if (body === null) {
+        throw new SyntaxError('Unexpected token < in JSON');
+      }
+      return body;
+    }
+  };
+}
+
+function cost(requestedQueryCost, currentlyAvailable) {
+  return {
+    cost: {
+      requestedQueryCost,
+      throttleStatus: { maximumAvailable: 1000, currentlyAvailable, restoreRate: 50 }
+    }
+  };
+}
+
+// Replaces fetch: token requests always succeed, GraphQL requests take the
+// queued replies in order (then a plain success)
+function mockShopify(t) {
+  const replies = [];
+  const requests = [];
+  let tokens = 0;
+
+  t.mock.method(globalThis, 'fetch', async (url, options) => {
+    if (url.endsWith('/admin/oauth/access_token')) {
+      tokens += 1;
+      return reply(200, { access_token: `token-${tokens}`, expires_in: 86399 });
+    }
+    requests.push({ token: options.headers['X-Shopify-Access-Token'], body: JSON.parse(options.body) });
+    const next = replies.shift() || reply(200, { data: { ok: true } });
+    if (next instanceof Error) {
+      throw next;
+    }
+    return next;
+  });
+
+  return {
+    replies,
+    requests,
+    tokens: () => tokens,
+    client: createShopifyClient({ storeDomain: 'shop.test', clientId: 'id', clientSecret: 'secret', retryDelayMs: 1 })
+  };
+}
+
+const flush = async () => {
+  for (let i = 0; i < 10; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+};
+
+test('shares one access token and refreshes it once on 401', async t => {
+  const shopify = mockShopify(t);
+
+  await Promise.all([shopify.client.graphql(QUERY), shopify.client.graphql(QUERY)]);
+  assert.strictEqual(shopify.tokens(), 1);
+
+  shopify.replies.push(reply(401), reply(401));
+  const body = await shopify.client.graphql(QUERY);
+  assert.strictEqual(shopify.tokens(), 2);
+  assert.deepStrictEqual(shopify.requests.slice(-2).map(request => request.token), ['token-1', 'token-2']);
+  assert.strictEqual(body.errors, undefined);
+});
+
+test('waits for the cost bucket to refill before sending a query again', async t => {
+  const shopify = mockShopify(t);
+  t.mock.timers.enable({ apis: ['Date', 'setTimeout'], now: Date.parse('2024-06-01T00:00:00Z') });
+
+  shopify.replies.push(reply(200, { data: {}, extensions: cost(100, 50) }));
+  await shopify.client.graphql(QUERY);
+
+  // 50 points short at 50 points a second
+  const pending = shopify.client.graphql(QUERY);
+  await flush();
+  assert.strictEqual(shopify.requests.length, 1);
+  t.mock.timers.tick(999);
+  await flush();
+  assert.strictEqual(shopify.requests.length, 1);
+  t.mock.timers.tick(1);
+  await pending;
+  assert.strictEqual(shopify.requests.length, 2);
+
+  // Other queries aren't held back by this one's cost
+  await shopify.client.graphql('query Other { shop { id } }');
+  assert.strictEqual(shopify.requests.length, 3);
+});
+
+test('retries THROTTLED responses once the requested cost has restored', async t => {
+  const shopify = mockShopify(t);
+  t.mock.timers.enable({ apis: ['Date', 'setTimeout'], now: Date.parse('2024-06-01T00:00:00Z') });
+
+  shopify.replies.push(reply(200, { errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }], extensions: cost(200, 100) }));
+  const pending = shopify.client.graphql(QUERY);
+  await flush();
+  t.mock.timers.tick(1999);
+  await flush();
+  assert.strictEqual(shopify.requests.length, 1);
+  t.mock.timers.tick(1);
+  const body = await pending;
+
+  assert.strictEqual(shopify.requests.length, 2);
+  assert.deepStrictEqual(body.data, { ok: true });
+});
+
+test('retries transient failures, but never resends a create Shopify may have run', async t => {
+  const shopify = mockShopify(t);
+
+  shopify.replies.push(reply(503), new TypeError('fetch failed'), reply(429, {}, { 'retry-after': '0.01' }));
+  assert.deepStrictEqual((await shopify.client.graphql(QUERY)).data, { ok: true });
+  assert.strictEqual(shopify.requests.length, 4);
+
+  shopify.replies.push(reply(429));
+  assert.deepStrictEqual((await shopify.client.graphql(MUTATION)).data, { ok: true });
+  assert.strictEqual(shopify.requests.length, 6);
+
+  shopify.replies.push(reply(503, null));
+  await assert.rejects(shopify.client.graphql(MUTATION), /503/);
+  shopify.replies.push(new TypeError('fetch failed'));
+  await assert.rejects(shopify.client.graphql(MUTATION), /fetch failed/);
+  assert.strictEqual(shopify.requests.length, 8);
+
+  // Updates set fixed values, so they are safe to repeat
+  shopify.replies.push(reply(503));
+  await shopify.client.graphql(MUTATION, {}, { idempotent: true });
+  assert.strictEqual(shopify.requests.length, 10);
+});
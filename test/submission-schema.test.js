@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { LEADERBOARD_TYPES, validateSubmissionFields } = require('../submission-schema');
+
+const SUBMISSION = {
+  handle_text: '@chugmaster',
+  container: 'can',
+  video_url: 'https://example.com/video.mp4',
+  time_s: '5.2',
+  volume_oz: '12'
+};
+
+test('create ignores keys that are not submission fields', () => {
+  const { fields, errors } = validateSubmissionFields({ ...SUBMISSION, newsletter: 'on' }, 'create');
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(fields.some(field => field.key === 'newsletter'), false);
+});
+
+test('create still rejects fields the form cannot set', () => {
+  const { errors } = validateSubmissionFields({ ...SUBMISSION, foam_pct: '0' }, 'create');
+  assert.deepStrictEqual(errors, [{ field: 'foam_pct', message: 'cannot be set here' }]);
+});
+
+test('edit rejects unknown keys', () => {
+  const { errors } = validateSubmissionFields({ newsletter: 'on' }, 'edit');
+  assert.deepStrictEqual(errors, [{ field: 'newsletter', message: 'is not a submission field' }]);
+});
+
+test('enum values match existing values in any case and are stored as configured', () => {
+  const { fields, errors } = validateSubmissionFields({
+    ...SUBMISSION,
+    leaderboard_type: 'beer/seltzer',
+    container: 'Can'
+  }, 'create');
+  assert.deepStrictEqual(errors, []);
+  const values = Object.fromEntries(fields.map(field => [field.key, field.value]));
+  assert.strictEqual(values.leaderboard_type, 'Beer/Seltzer');
+  assert.strictEqual(values.container, 'can');
+
+  const invalid = validateSubmissionFields({ ...SUBMISSION, leaderboard_type: 'beer' }, 'create');
+  assert.deepStrictEqual(invalid.errors, [{ field: 'leaderboard_type', message: 'must be one of: Beer/Seltzer, Non-Alc' }]);
+});
+
+test('the default leaderboard types are the categories existing entries use', () => {
+  assert.deepStrictEqual(LEADERBOARD_TYPES, ['Beer/Seltzer', 'Non-Alc']);
+
+  for (const [input, stored] of [['Beer/Seltzer', 'Beer/Seltzer'], ['NON-ALC', 'Non-Alc'], [' non-alc ', 'Non-Alc']]) {
+    const { fields, errors } = validateSubmissionFields({ leaderboard_type: input }, 'edit');
+    assert.deepStrictEqual(errors, [], input);
+    assert.deepStrictEqual(fields, [{ key: 'leaderboard_type', value: stored }]);
+  }
+
+  for (const value of ['beer', 'seltzer', 'non_alc']) {
+    assert.strictEqual(validateSubmissionFields({ leaderboard_type: value }, 'edit').errors.length, 1, value);
+  }
+});
+
+test('URLs with malformed escapes are invalid', () => {
+  const { errors } = validateSubmissionFields({ ...SUBMISSION, video_url: 'https://example.com/file/bucket/%E0%A4%A' }, 'create');
+  assert.deepStrictEqual(errors, [{ field: 'video_url', message: 'must be a valid URL' }]);
+});
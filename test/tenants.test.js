@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chug-tenants-'));
+
+const ACCESS_KEY = '0123456789abcdef0123456789abcdef';
+
+fs.writeFileSync(path.join(process.env.DATA_DIR, 'tenants.json'), JSON.stringify({
+  tenants: [{
+    name: 'RAB',
+    display_name: 'RAB',
+    branding: {},
+    allowed_origins: ['https://rabsbar.com'],
+    allowed_containers: ['can'],
+    allowed_beer_styles: [],
+    starts_at: null,
+    ends_at: null,
+    visibility: 'private',
+    access_key: ACCESS_KEY
+  }]
+}));
+
+const { requireTenant, checkTenantSubmission } = require('../tenants');
+
+function run(name, { query = {}, headers = {} } = {}) {
+  const req = { params: { leaderboard_name: name }, query, get: header => headers[header] };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let passed = false;
+  requireTenant(['https://chugchamp.com'])(req, res, () => {
+    passed = true;
+  });
+  return { req, res, passed };
+}
+
+test('unregistered names are not served and not accepted', () => {
+  const { req, res, passed } = run('Old Board', { headers: { origin: 'https://chugchamp.com' } });
+  assert.ok(!passed);
+  assert.strictEqual(res.statusCode, 404);
+  assert.strictEqual(req.tenant, undefined);
+
+  assert.deepStrictEqual(checkTenantSubmission({ leaderboard_name: 'Old Board', container: 'bottle' }), {
+    errors: [{ field: 'leaderboard_name', message: 'is not a known leaderboard' }]
+  });
+  assert.deepStrictEqual(checkTenantSubmission({ container: 'bottle' }).errors, []);
+});
+
+test('private tenants need their exact access key', () => {
+  assert.ok(run('rab', { query: { access_key: ACCESS_KEY } }).passed);
+  assert.ok(run('rab', { headers: { 'x-tenant-key': ACCESS_KEY } }).passed);
+
+  [ACCESS_KEY.slice(0, -1) + '0', ACCESS_KEY.slice(1), [ACCESS_KEY, ACCESS_KEY], undefined].forEach(accessKey => {
+    const { res, passed } = run('rab', { query: { access_key: accessKey } });
+    assert.ok(!passed);
+    assert.strictEqual(res.statusCode, 404);
+  });
+
+  const { res } = run('rab', { query: { access_key: ACCESS_KEY }, headers: { origin: 'https://elsewhere.com' } });
+  assert.strictEqual(res.statusCode, 403);
+
+  const { errors, leaderboardName } = checkTenantSubmission({ leaderboard_name: 'rab', container: 'bottle' });
+  assert.strictEqual(leaderboardName, 'RAB');
+  assert.deepStrictEqual(errors.map(error => error.field), ['container']);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chug-thumbnails-'));
+
+// Left behind by a previous process
+fs.writeFileSync(path.join(process.env.DATA_DIR, 'thumbnails.json'), JSON.stringify({
+  'submissions/queued.mp4': { status: 'queued', updatedAt: new Date().toISOString() },
+  'submissions/running.mp4': { status: 'processing', submissionId: 'gid://shopify/Metaobject/9', updatedAt: new Date().toISOString() },
+  'submissions/old.mp4': { status: 'ready', posterUrl: 'https://files.test/old.jpg', updatedAt: '2020-01-01T00:00:00.000Z' }
+}));
+
+const { createThumbnailJobs } = require('../thumbnails');
+const { submissionEvents } = require('../submission-events');
+
+// Stands in for ffmpeg: prints a fake image, or fails for URLs containing "broken"
+function createFakeFfmpeg() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chug-ffmpeg-'));
+  const script = path.join(dir, 'ffmpeg');
+  fs.writeFileSync(script, '#!/bin/sh\ncase "$*" in *broken*) exit 1;; esac\nprintf jpeg\n', { mode: 0o755 });
+  return script;
+}
+
+function createJobs() {
+  const uploads = new Map();
+  const updates = [];
+  const jobs = createThumbnailJobs({
+    uploadBuffer: async (key, data) => {
+      uploads.set(key, data.toString());
+    },
+    getPublicUrl: async key => `https://files.test/${key}`,
+    updateSubmissionFields: async (id, fields) => {
+      updates.push({ id, fields });
+    },
+    ffmpegPath: createFakeFfmpeg()
+  });
+  return { jobs, uploads, updates };
+}
+
+function readStore() {
+  return JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, 'thumbnails.json'), 'utf8'));
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+test('resumes jobs left queued or running by a restart', async () => {
+  const { uploads, updates } = createJobs();
+  await waitFor(() => readStore()['submissions/running.mp4']?.status === 'ready' && readStore()['submissions/queued.mp4']?.status === 'ready');
+
+  assert.strictEqual(uploads.get('submissions/queued.poster.jpg'), 'jpeg');
+  assert.deepStrictEqual(updates, [{
+    id: 'gid://shopify/Metaobject/9',
+    fields: [{ key: 'thumbnail_url', value: 'https://files.test/submissions/running.poster.jpg' }]
+  }]);
+  // Finished states past the retention are dropped
+  assert.strictEqual(readStore()['submissions/old.mp4'], undefined);
+});
+
+test('hands finished thumbnails to submissions and records failures', async () => {
+  const { jobs } = createJobs();
+
+  jobs.queueThumbnail('submissions/clip.mp4');
+  jobs.queueThumbnail('submissions/broken.mp4');
+  await waitFor(() => readStore()['submissions/broken.mp4']?.status === 'failed');
+
+  assert.deepStrictEqual(jobs.attachSubmission('submissions/clip.mp4', 'gid://shopify/Metaobject/1'), [
+    { key: 'thumbnail_url', value: 'https://files.test/submissions/clip.poster.jpg' }
+  ]);
+  assert.deepStrictEqual(jobs.attachSubmission('submissions/broken.mp4', 'gid://shopify/Metaobject/2'), []);
+  assert.deepStrictEqual(jobs.attachSubmission('submissions/unknown.mp4', 'gid://shopify/Metaobject/3'), []);
+});
+
+test('drops a video\'s state when the video is deleted', async () => {
+  const { jobs } = createJobs();
+  jobs.queueThumbnail('submissions/gone.mp4');
+  await waitFor(() => readStore()['submissions/gone.mp4']?.status === 'ready');
+
+  submissionEvents.emit('deleted', { key: 'submissions/gone.mp4', actor: 'owner@example.com' });
+  assert.strictEqual(readStore()['submissions/gone.mp4'], undefined);
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chug-gc-'));
+
+const { createUploadGc } = require('../upload-gc');
+const { submissionEvents } = require('../submission-events');
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.parse('2024-06-10T00:00:00Z');
+const OLD = NOW - 72 * HOUR_MS;
+const RECENT = NOW - HOUR_MS;
+
+function createFakeStorage(files) {
+  return {
+    files: files.map(([key, uploadedAt]) => ({ key, size: 10, uploadedAt })),
+    deleted: [],
+    async listObjects(prefix) {
+      return this.files.filter(file => file.key.startsWith(prefix));
+    },
+    async deleteObject(key) {
+      this.deleted.push(key);
+      this.files = this.files.filter(file => file.key !== key);
+    },
+    getKeyFromPublicUrl(url) {
+      const prefix = 'https://files.test/';
+      return String(url || '').startsWith(prefix) ? url.slice(prefix.length) : null;
+    }
+  };
+}
+
+function entry(n, videoKey, status, updatedAt = OLD) {
+  return {
+    id: `gid://shopify/Metaobject/${n}`,
+    handle: `entry-${n}`,
+    updatedAt: new Date(updatedAt).toISOString(),
+    fields: { status, video_url: videoKey.startsWith('https:') ? videoKey : `https://files.test/${videoKey}` }
+  };
+}
+
+function createFakeShopify(metaobjects) {
+  return {
+    errors: null,
+    async listAllMetaobjects() {
+      return this.errors ? { errors: this.errors } : { metaobjects: structuredClone(metaobjects) };
+    }
+  };
+}
+
+function createGc() {
+  const storage = createFakeStorage([
+    ['submissions/orphan.mp4', OLD],
+    ['submissions/orphan.poster.jpg', OLD],
+    ['submissions/new.mp4', RECENT],
+    ['submissions/live.mp4', OLD],
+    ['submissions/live.poster.jpg', OLD],
+    ['submissions/rejected.mov', OLD],
+    ['submissions/rejected.preview.mp4', OLD],
+    ['submissions/just-rejected.mp4', OLD],
+    ['submissions/gone.poster.jpg', OLD],
+    ['submissions/fresh.poster.jpg', RECENT]
+  ]);
+  const shopify = createFakeShopify([
+    entry(1, 'submissions/live.mp4', 'pending'),
+    entry(2, 'submissions/rejected.mov', 'rejected'),
+    entry(3, 'submissions/just-rejected.mp4', 'rejected', RECENT),
+    entry(4, 'submissions/lost.mp4', 'verified'),
+    entry(5, 'https://www.youtube.com/watch?v=x', 'verified')
+  ]);
+  return { storage, shopify, gc: createUploadGc({ storage, shopify }) };
+}
+
+const summarize = items => items.map(item => [item.reason, item.files]);
+
+test('a dry run reports old orphans, rejected videos and missing files', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: NOW });
+  const { storage, gc } = createGc();
+
+  const report = await gc.run({ actor: 'owner@example.com' });
+
+  assert.strictEqual(report.dryRun, true);
+  assert.strictEqual(report.gracePeriodHours, 48);
+  assert.deepStrictEqual(summarize(report.orphans), [
+    ['no_entry', ['submissions/orphan.mp4', 'submissions/orphan.poster.jpg']],
+    ['no_video', ['submissions/gone.poster.jpg']]
+  ]);
+  assert.deepStrictEqual(summarize(report.rejected), [
+    ['rejected', ['submissions/rejected.mov', 'submissions/rejected.preview.mp4']]
+  ]);
+  assert.deepStrictEqual(report.rejected[0].submissionIds, ['gid://shopify/Metaobject/2']);
+  assert.deepStrictEqual(report.missing.map(item => item.handle), ['entry-4']);
+  assert.strictEqual(report.skippedRecent, 2);
+  assert.deepStrictEqual(storage.deleted, []);
+});
+
+test('deletes orphans, and rejected videos only when asked', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: NOW });
+  const { storage, gc } = createGc();
+  const deletedEvents = [];
+  const onDeleted = payload => deletedEvents.push(payload);
+  submissionEvents.on('deleted', onDeleted);
+  t.after(() => submissionEvents.off('deleted', onDeleted));
+
+  const report = await gc.run({ dryRun: false, actor: 'owner@example.com' });
+  assert.ok(report.orphans.every(item => item.deleted));
+  assert.deepStrictEqual(storage.deleted, ['submissions/orphan.mp4', 'submissions/orphan.poster.jpg', 'submissions/gone.poster.jpg']);
+  assert.deepStrictEqual(deletedEvents, [{ key: 'submissions/orphan.mp4', actor: 'owner@example.com' }]);
+
+  storage.deleted.length = 0;
+  await gc.run({ dryRun: false, includeRejected: true });
+  assert.deepStrictEqual(storage.deleted, ['submissions/rejected.mov', 'submissions/rejected.preview.mp4']);
+});
+
+test('deletes nothing when the submission list fails, and runs one at a time', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: NOW });
+  const { storage, shopify, gc } = createGc();
+
+  shopify.errors = [{ message: 'Throttled' }];
+  await assert.rejects(gc.run({ dryRun: false }), /Failed to list submissions/);
+  assert.deepStrictEqual(storage.deleted, []);
+
+  shopify.errors = null;
+  const [first, second] = await Promise.all([gc.run(), gc.run()]);
+  assert.ok(first);
+  assert.strictEqual(second, null);
+});
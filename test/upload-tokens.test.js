@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chug-tokens-'));
+process.env.UPLOAD_TOKEN_SECRET = 'test-secret';
+
+const express = require('express');
+const {
+  createSafeKey,
+  createUploadToken,
+  verifyUploadToken,
+  requireUploadToken
+} = require('../upload-tokens');
+
+async function startServer(handler) {
+  const app = express();
+  app.put('/upload/:key', requireUploadToken, express.raw({ type: 'video/*' }), handler);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return {
+    url: key => `http://127.0.0.1:${server.address().port}/upload/${encodeURIComponent(key)}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+const isSpent = (token, key) => verifyUploadToken(token, { key, contentType: 'video/mp4' }).status === 409;
+
+test('safe keys keep only a cleaned base name under submissions/', () => {
+  const key = createSafeKey('../../etc/My Clip!!.exe', 'video/mp4');
+  assert.match(key, /^submissions\/\d+-[0-9a-f]{8}-my-clip\.mp4$/);
+});
+
+test('tokens are bound to key, content type, size and expiry', t => {
+  const key = 'submissions/a.mp4';
+  const { token } = createUploadToken({ key, contentType: 'video/mp4', maxSize: 100 });
+
+  assert.ok(verifyUploadToken(token, { key, contentType: 'video/mp4', size: 100 }).payload);
+  assert.strictEqual(verifyUploadToken(token, { key: 'submissions/b.mp4', contentType: 'video/mp4' }).status, 403);
+  assert.strictEqual(verifyUploadToken(token, { key, contentType: 'video/webm' }).status, 415);
+  assert.strictEqual(verifyUploadToken(token, { key, contentType: 'video/mp4', size: 101 }).status, 413);
+  assert.strictEqual(verifyUploadToken(`${token}x`, { key, contentType: 'video/mp4' }).status, 401);
+
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 60 * 60 * 1000 });
+  assert.strictEqual(verifyUploadToken(token, { key, contentType: 'video/mp4' }).error, 'Upload token expired');
+});
+
+test('uses the key as Express decoded it and spends the token on success', async () => {
+  const keys = [];
+  const server = await startServer((req, res) => {
+    keys.push(req.params.key);
+    req.uploadStored = true;
+    res.json({ success: true });
+  });
+  try {
+    const key = 'submissions/100%-clip.mp4';
+    const { token } = createUploadToken({ key, contentType: 'video/mp4' });
+    const response = await fetch(`${server.url(key)}?token=${token}`, {
+      method: 'PUT',
+      headers: { 'content-type': 'video/mp4' },
+      body: Buffer.from('video')
+    });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(keys, [key]);
+    assert.ok(isSpent(token, key));
+  } finally {
+    await server.close();
+  }
+});
+
+test('releases the token after an error response', async () => {
+  const server = await startServer((req, res) => res.status(422).json({ error: 'nope' }));
+  try {
+    const key = 'submissions/a.mp4';
+    const { token } = createUploadToken({ key, contentType: 'video/mp4' });
+    const response = await fetch(`${server.url(key)}?token=${token}`, {
+      method: 'PUT',
+      headers: { 'content-type': 'video/mp4' },
+      body: Buffer.from('video')
+    });
+    assert.strictEqual(response.status, 422);
+    assert.ok(!isSpent(token, key));
+  } finally {
+    await server.close();
+  }
+});
+
+test('releases the token when the client aborts mid-upload', async () => {
+  let handled = false;
+  const server = await startServer((req, res) => {
+    handled = true;
+    res.json({ success: true });
+  });
+  try {
+    const key = 'submissions/a.mp4';
+    const { token } = createUploadToken({ key, contentType: 'video/mp4' });
+
+    await new Promise(resolve => {
+      const req = http.request(`${server.url(key)}?token=${token}`, {
+        method: 'PUT',
+        headers: { 'content-type': 'video/mp4', 'content-length': 1000 }
+      });
+      req.on('error', () => {});
+      req.write(Buffer.alloc(100));
+      setTimeout(() => {
+        assert.ok(isSpent(token, key));
+        req.destroy();
+        setTimeout(resolve, 50);
+      }, 50);
+    });
+
+    assert.strictEqual(handled, false);
+    assert.ok(!isSpent(token, key));
+  } finally {
+    await server.close();
+  }
+});
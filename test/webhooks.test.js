@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'chug-webhooks-'));
+
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Fresh copies of the app modules, as after a restart: stores are re-read
+ * from DATA_DIR and nothing is shared with the previous instance
+ */
+function loadWebhooks() {
+  Object.keys(require.cache)
+    .filter(file => file.startsWith(ROOT) && !file.includes('node_modules') && !file.startsWith(__dirname))
+    .forEach(file => delete require.cache[file]);
+  return require('../webhooks');
+}
+
+function createWebhooksInstance(options) {
+  const { createWebhooks } = loadWebhooks();
+  return createWebhooks({
+    leaderboardData: { getAllEntries: async () => [] },
+    timeoutMs: 2000,
+    ...options
+  });
+}
+
+/**
+ * Records every request and answers with the next status in `statuses`
+ * (200 once they run out)
+ */
+async function startReceiver(statuses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.writeHead(statuses.shift() || 200);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    requests,
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+function call(handler, req = {}) {
+  return new Promise(resolve => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+        return this;
+      }
+    };
+    handler({ params: {}, query: {}, admin: { email: 'owner@example.com' }, ...req }, res);
+  });
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+async function subscribe(webhooks, url) {
+  const created = await call(webhooks.createWebhook, { body: { url, events: ['submission.created'] } });
+  assert.strictEqual(created.status, 201);
+  return created.body.subscription;
+}
+
+function dispatchTo(webhooks, subscription, data) {
+  return webhooks.dispatch('submission.created', data).find(delivery => delivery.subscriptionId === subscription.id);
+}
+
+async function getDelivery(webhooks, id) {
+  const { body } = await call(webhooks.listDeliveries);
+  return body.deliveries.find(delivery => delivery.id === id);
+}
+
+test('signs deliveries, retries failures and logs every attempt', async () => {
+  const receiver = await startReceiver([500]);
+  const webhooks = createWebhooksInstance({ retryDelayMs: 50 });
+  const subscription = await subscribe(webhooks, receiver.url);
+  try {
+    const delivery = dispatchTo(webhooks, subscription, { submission: { id: 'gid://shopify/Metaobject/1' } });
+    await waitFor(() => receiver.requests.length >= 2);
+
+    receiver.requests.forEach(({ headers, body }) => {
+      const expected = crypto.createHmac('sha256', subscription.secret)
+        .update(`${headers['x-webhook-timestamp']}.${body}`)
+        .digest('hex');
+      assert.strictEqual(headers['x-webhook-signature'], `sha256=${expected}`);
+      assert.strictEqual(headers['x-webhook-id'], delivery.id);
+      assert.strictEqual(headers['x-webhook-event'], 'submission.created');
+      assert.strictEqual(JSON.parse(body).data.submission.id, 'gid://shopify/Metaobject/1');
+    });
+
+    const logged = await waitFor(async () => {
+      const item = await getDelivery(webhooks, delivery.id);
+      return item?.status === 'delivered' && item;
+    });
+    assert.deepStrictEqual(logged.attempts.map(item => [item.status, item.error]), [[500, 'HTTP 500'], [200, null]]);
+    assert.strictEqual(logged.payload, undefined);
+  } finally {
+    await call(webhooks.deleteWebhook, { params: { id: subscription.id } });
+    webhooks.stop();
+    await receiver.close();
+  }
+});
+
+test('pending retries survive a reload', async () => {
+  const receiver = await startReceiver([500]);
+  const first = createWebhooksInstance({ retryDelayMs: 300 });
+  const subscription = await subscribe(first, receiver.url);
+  let second = null;
+  try {
+    const delivery = dispatchTo(first, subscription, { submission: { id: 'gid://shopify/Metaobject/2' } });
+    await waitFor(async () => (await getDelivery(first, delivery.id))?.attempts.length === 1);
+    first.stop();
+
+    second = createWebhooksInstance({ retryDelayMs: 300 });
+    const logged = await waitFor(async () => {
+      const item = await getDelivery(second, delivery.id);
+      return item?.status === 'delivered' && item;
+    });
+
+    assert.strictEqual(receiver.requests.length, 2);
+    assert.deepStrictEqual(logged.attempts.map(item => item.status), [500, 200]);
+  } finally {
+    await call((second || first).deleteWebhook, { params: { id: subscription.id } });
+    first.stop();
+    second?.stop();
+    await receiver.close();
+  }
+});
@@ -0,0 +1,219 @@
+/**
+ * Poster frames and preview clips for uploaded videos
+ *
+ * After an upload finishes, a background job runs ffmpeg against the video's
+ * public URL and stores the results in B2 next to the video:
+ * - submissions/<name>.mp4 -> submissions/<name>.poster.jpg
+ * - submissions/<name>.mp4 -> submissions/<name>.preview.mp4 (optional)
+ *
+ * Jobs run one at a time. Their state is kept in the `thumbnails` store by
+ * video key. /submit-chug copies a finished thumbnail onto the entry; if the
+ * job is still running, the entry id is attached and the job writes
+ * thumbnail_url (and preview_url) onto the metaobject when it completes.
+ * Jobs still queued or running when the process stopped are picked up again
+ * on startup. A video's state is dropped when the video is deleted, and
+ * finished states after THUMBNAIL_RETENTION_MS.
+ *
+ * Requires ffmpeg on the PATH (or FFMPEG_PATH). Without it jobs fail and
+ * entries simply have no thumbnail.
+ */
+
+const { spawn } = require('child_process');
+const { createJsonStore } = require('./store');
+const { submissionEvents } = require('./submission-events');
+
+const FFMPEG_TIMEOUT_MS = 60 * 1000;
+const THUMBNAIL_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const PENDING_STATUSES = ['queued', 'processing'];
+
+const thumbnailStore = createJsonStore('thumbnails', {});
+
+function getThumbnailKeys(videoKey) {
+  const base = videoKey.replace(/\.[^./]+$/, '');
+  return {
+    posterKey: `${base}.poster.jpg`,
+    previewKey: `${base}.preview.mp4`
+  };
+}
+
+function runFfmpeg(ffmpegPath, args, timeoutMs = FFMPEG_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    const chunks = [];
+    let stderr = '';
+
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      reject(new Error('ffmpeg timed out'));
+    }, timeoutMs);
+
+    child.stdout.on('data', chunk => chunks.push(chunk));
+    child.stderr.on('data', chunk => {
+      stderr = (stderr + chunk).slice(-2000);
+    });
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      if (code === 0 && chunks.length > 0) {
+        resolve(Buffer.concat(chunks));
+      } else {
+        reject(new Error(`ffmpeg exited with ${code}: ${stderr.trim().split('\n').pop()}`));
+      }
+    });
+  });
+}
+
+/**
+ * Creates the thumbnail job queue.
+ *
+ * Options:
+ * - uploadBuffer: async (key, data, contentType) => void
+ * - getPublicUrl: async (key) => public URL
+ * - updateSubmissionFields: async (id, fields) => void
+ * - ffmpegPath: ffmpeg binary (default 'ffmpeg')
+ * - previewClip: also render a short silent preview clip (default false)
+ * - previewSeconds: preview clip length (default 3)
+ */
+function createThumbnailJobs({
+  uploadBuffer,
+  getPublicUrl,
+  updateSubmissionFields,
+  ffmpegPath = 'ffmpeg',
+  previewClip = false,
+  previewSeconds = 3
+}) {
+  const queue = [];
+  let running = false;
+
+  function setState(videoKey, changes) {
+    const cutoff = new Date(Date.now() - THUMBNAIL_RETENTION_MS).toISOString();
+    thumbnailStore.update(entries => {
+      Object.keys(entries).forEach(existing => {
+        if (!PENDING_STATUSES.includes(entries[existing].status) && entries[existing].updatedAt < cutoff) {
+          delete entries[existing];
+        }
+      });
+      entries[videoKey] = { ...entries[videoKey], ...changes, updatedAt: new Date().toISOString() };
+    });
+    return thumbnailStore.get()[videoKey];
+  }
+
+  function toFields(state) {
+    const fields = [{ key: 'thumbnail_url', value: state.posterUrl }];
+    if (state.previewUrl) {
+      fields.push({ key: 'preview_url', value: state.previewUrl });
+    }
+    return fields;
+  }
+
+  async function generate(videoKey) {
+    const videoUrl = await getPublicUrl(videoKey);
+    const { posterKey, previewKey } = getThumbnailKeys(videoKey);
+
+    // Seek slightly in to skip black first frames; -ss before -i keeps it fast over HTTP
+    const poster = await runFfmpeg(ffmpegPath, [
+      '-hide_banner', '-loglevel', 'error',
+      '-ss', '0.5', '-i', videoUrl,
+      '-frames:v', '1', '-vf', 'scale=640:-2',
+      '-f', 'image2', '-c:v', 'mjpeg', 'pipe:1'
+    ]);
+    await uploadBuffer(posterKey, poster, 'image/jpeg');
+    const result = { posterUrl: await getPublicUrl(posterKey), previewUrl: null };
+
+    if (previewClip) {
+      const preview = await runFfmpeg(ffmpegPath, [
+        '-hide_banner', '-loglevel', 'error',
+        '-i', videoUrl, '-t', String(previewSeconds),
+        '-an', '-vf', 'scale=480:-2', '-c:v', 'libx264', '-preset', 'veryfast',
+        '-movflags', 'frag_keyframe+empty_moov', '-f', 'mp4', 'pipe:1'
+      ]);
+      await uploadBuffer(previewKey, preview, 'video/mp4');
+      result.previewUrl = await getPublicUrl(previewKey);
+    }
+
+    return result;
+  }
+
+  async function processQueue() {
+    if (running) return;
+    running = true;
+
+    while (queue.length > 0) {
+      const videoKey = queue.shift();
+      try {
+        setState(videoKey, { status: 'processing' });
+        const result = await generate(videoKey);
+        const state = setState(videoKey, { status: 'ready', ...result, error: null });
+        console.log('Thumbnail generated:', state.posterUrl);
+
+        if (state.submissionId) {
+          await updateSubmissionFields(state.submissionId, toFields(state));
+        }
+      } catch (error) {
+        console.error('Error generating thumbnail:', videoKey, error.message);
+        setState(videoKey, { status: 'failed', error: error.message });
+      }
+    }
+
+    running = false;
+  }
+
+  /**
+   * Queues a job for an uploaded video. Returns immediately.
+   */
+  function queueThumbnail(videoKey) {
+    setState(videoKey, { status: 'queued' });
+    queue.push(videoKey);
+    processQueue();
+  }
+
+  /**
+   * Called by /submit-chug once the entry exists. Returns the metaobject fields
+   * to include right away, or [] if the job hasn't finished (the job then
+   * writes them to the entry itself).
+   */
+  function attachSubmission(videoKey, submissionId) {
+    const state = thumbnailStore.get()[videoKey];
+    if (!state) {
+      return [];
+    }
+    if (state.status === 'ready') {
+      return toFields(state);
+    }
+    if (state.status !== 'failed') {
+      setState(videoKey, { submissionId });
+    }
+    return [];
+  }
+
+  submissionEvents.on('deleted', ({ key }) => {
+    if (key && thumbnailStore.get()[key]) {
+      thumbnailStore.update(entries => {
+        delete entries[key];
+      });
+    }
+  });
+
+  // Jobs cut off by a restart; 'processing' ones start over
+  const pending = Object.keys(thumbnailStore.get())
+    .filter(videoKey => PENDING_STATUSES.includes(thumbnailStore.get()[videoKey].status));
+  if (pending.length > 0) {
+    console.log('Resuming thumbnail jobs:', pending.length);
+    queue.push(...pending);
+    processQueue();
+  }
+
+  return {
+    queueThumbnail,
+    attachSubmission
+  };
+}
+
+module.exports = {
+  runFfmpeg,
+  getThumbnailKeys,
+  createThumbnailJobs
+};
@@ -0,0 +1,298 @@
+/**
+ * Orphaned upload cleanup (storage <-> Shopify reconciliation)
+ *
+ * Lists every file under submissions/ in storage and matches videos
+ * against the video_url of each beer_leaderboard_entry:
+ * - orphans: videos no entry points to, older than the grace period. Their
+ *   poster/preview files (see thumbnails.js) go with them, and a poster or
+ *   preview whose video is gone is an orphan on its own.
+ * - rejected: videos only referenced by rejected entries not touched within
+ *   the grace period. Reported, and only deleted with includeRejected.
+ * - missing: entries whose video_url points into storage at a file that
+ *   doesn't exist.
+ *
+ * A dry run reports without deleting. Nothing is deleted if the Shopify list
+ * fails, so a partial list can't make live videos look orphaned.
+ *
+ * Endpoints (owner):
+ *
+ * POST /admin/uploads/gc
+ * - Body: { dry_run = true, include_rejected = false }
+ * - Runs the job and returns the report. 409 if a run is in progress.
+ *
+ * GET /admin/uploads/gc
+ * - Returns the last report
+ */
+
+const { createJsonStore } = require('./store');
+const { fetchAllSubmissions } = require('./admin-endpoints');
+const { getSubmissionStatus } = require('./submission-status');
+const { submissionEvents } = require('./submission-events');
+
+const UPLOAD_PREFIX = 'submissions/';
+
+const DERIVED_SUFFIXES = ['.poster.jpg', '.preview.mp4'];
+
+const gcStore = createJsonStore('upload-gc', { lastReport: null });
+
+// 'submissions/x.poster.jpg' -> 'submissions/x'; null for videos
+function getDerivedBase(key) {
+  const suffix = DERIVED_SUFFIXES.find(s => key.endsWith(s));
+  return suffix ? key.slice(0, -suffix.length) : null;
+}
+
+function getVideoBase(key) {
+  return key.replace(/\.[^./]+$/, '');
+}
+
+/**
+ * Options:
+ * - storage: storage provider (see storage.js)
+ * - shopify: Shopify client (see shopify-client.js)
+ * - gracePeriodMs: files younger than this are never orphans (default 48h)
+ * - intervalMs: run on a timer when set (0 = only on demand)
+ * - autoDelete: whether timed runs delete (otherwise they only report)
+ */
+function createUploadGc({
+  storage,
+  shopify,
+  gracePeriodMs = 48 * 60 * 60 * 1000,
+  intervalMs = 0,
+  autoDelete = false
+}) {
+  let running = null;
+
+  async function deleteFiles(files) {
+    const errors = [];
+    for (const file of files) {
+      try {
+        await storage.deleteObject(file.key);
+      } catch (error) {
+        errors.push({ key: file.key, error: error.message });
+      }
+    }
+    return errors;
+  }
+
+  async function reconcile({ dryRun, includeRejected, actor }) {
+    const startedAt = new Date().toISOString();
+
+    const { submissions, errors } = await fetchAllSubmissions(shopify);
+    if (errors) {
+      const error = new Error('Failed to list submissions');
+      error.details = errors;
+      throw error;
+    }
+
+    const files = await storage.listObjects(UPLOAD_PREFIX);
+    const cutoff = Date.now() - gracePeriodMs;
+
+    // video key -> entries that use it
+    const references = new Map();
+    const missing = [];
+    const storedKeys = new Set(files.map(file => file.key));
+
+    submissions.forEach(submission => {
+      const key = storage.getKeyFromPublicUrl(submission.fields.video_url);
+      if (!key) {
+        return;
+      }
+      if (!references.has(key)) {
+        references.set(key, []);
+      }
+      references.get(key).push(submission);
+
+      if (!storedKeys.has(key)) {
+        missing.push({
+          id: submission.id,
+          handle: submission.handle,
+          status: getSubmissionStatus(submission.fields),
+          video_url: submission.fields.video_url
+        });
+      }
+    });
+
+    const videos = new Map();
+    const derivedByBase = new Map();
+    files.forEach(file => {
+      const base = getDerivedBase(file.key);
+      if (base) {
+        if (!derivedByBase.has(base)) {
+          derivedByBase.set(base, []);
+        }
+        derivedByBase.get(base).push(file);
+      } else {
+        videos.set(getVideoBase(file.key), file);
+      }
+    });
+
+    const orphans = [];
+    const rejected = [];
+    let skippedRecent = 0;
+
+    const describe = (key, groupFiles, reason) => ({
+      key,
+      reason,
+      files: groupFiles.map(file => file.key),
+      size: groupFiles.reduce((total, file) => total + file.size, 0),
+      uploadedAt: new Date(Math.min(...groupFiles.map(file => file.uploadedAt))).toISOString(),
+      deleted: false
+    });
+
+    videos.forEach((file, base) => {
+      const groupFiles = [file, ...(derivedByBase.get(base) || [])];
+      const entries = references.get(file.key) || [];
+
+      if (file.uploadedAt > cutoff) {
+        if (entries.length === 0) {
+          skippedRecent += 1;
+        }
+        return;
+      }
+
+      if (entries.length === 0) {
+        orphans.push({ ...describe(file.key, groupFiles, 'no_entry'), _files: groupFiles });
+        return;
+      }
+
+      const allRejected = entries.every(entry =>
+        getSubmissionStatus(entry.fields) === 'rejected' && Date.parse(entry.updatedAt) < cutoff
+      );
+      if (allRejected) {
+        rejected.push({
+          ...describe(file.key, groupFiles, 'rejected'),
+          submissionIds: entries.map(entry => entry.id),
+          _files: groupFiles
+        });
+      }
+    });
+
+    // Posters/previews whose video is gone
+    derivedByBase.forEach((groupFiles, base) => {
+      if (videos.has(base)) {
+        return;
+      }
+      const recent = groupFiles.some(file => file.uploadedAt > cutoff);
+      if (recent) {
+        skippedRecent += 1;
+        return;
+      }
+      orphans.push({ ...describe(groupFiles[0].key, groupFiles, 'no_video'), _files: groupFiles });
+    });
+
+    const deleteErrors = [];
+    if (!dryRun) {
+      const targets = includeRejected ? [...orphans, ...rejected] : orphans;
+      for (const target of targets) {
+        const failures = await deleteFiles(target._files);
+        deleteErrors.push(...failures);
+        target.deleted = failures.length === 0;
+        if (target.deleted && target.reason !== 'no_video') {
+          submissionEvents.emit('deleted', { key: target.key, actor });
+        }
+      }
+    }
+
+    const strip = ({ _files, ...item }) => item;
+    const report = {
+      dryRun,
+      includeRejected,
+      actor,
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      gracePeriodHours: gracePeriodMs / (60 * 60 * 1000),
+      scannedFiles: files.length,
+      scannedEntries: submissions.length,
+      skippedRecent,
+      orphans: orphans.map(strip),
+      rejected: rejected.map(strip),
+      missing,
+      errors: deleteErrors
+    };
+
+    gcStore.set({ lastReport: report });
+    return report;
+  }
+
+  /**
+   * Runs the job unless one is already running. Returns the report, or null
+   * if another run is in progress.
+   */
+  async function run({ dryRun = true, includeRejected = false, actor = 'system' } = {}) {
+    if (running) {
+      return null;
+    }
+    running = reconcile({ dryRun, includeRejected, actor });
+    try {
+      return await running;
+    } finally {
+      running = null;
+    }
+  }
+
+  /**
+   * POST /admin/uploads/gc
+   */
+  async function triggerGc(req, res) {
+    try {
+      const { dry_run = true, include_rejected = false } = req.body || {};
+
+      const report = await run({
+        dryRun: dry_run !== false && dry_run !== 'false',
+        includeRejected: include_rejected === true || include_rejected === 'true',
+        actor: req.admin?.email
+      });
+
+      if (!report) {
+        return res.status(409).json({ error: 'Cleanup is already running' });
+      }
+
+      res.json({
+        success: true,
+        report
+      });
+    } catch (error) {
+      console.error('Error running upload cleanup:', error);
+      res.status(error.details ? 502 : 500).json({
+        error: 'Failed to run upload cleanup',
+        details: error.details || error.message
+      });
+    }
+  }
+
+  /**
+   * GET /admin/uploads/gc
+   */
+  function getGcReport(req, res) {
+    res.json({
+      success: true,
+      running: Boolean(running),
+      report: gcStore.get().lastReport
+    });
+  }
+
+  let timer = null;
+  if (intervalMs > 0) {
+    timer = setInterval(() => {
+      run({ dryRun: !autoDelete }).catch(error => {
+        console.error('Scheduled upload cleanup failed:', error.message);
+      });
+    }, intervalMs);
+    timer.unref();
+  }
+
+  return {
+    run,
+    triggerGc,
+    getGcReport,
+    stop() {
+      if (timer) {
+        clearInterval(timer);
+      }
+    }
+  };
+}
+
+module.exports = {
+  createUploadGc
+};
@@ -0,0 +1,193 @@
+/**
+ * Signed, single-use upload tokens
+ *
+ * /get-upload-url issues a token bound to the storage key, content type,
+ * maximum size and expiry. /upload/:key and POST /uploads only accept a token
+ * that matches the request and hasn't been used yet.
+ *
+ * Token format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256)
+ * Payload: { k: key, ct: contentType, max: bytes, exp: unix seconds, jti: nonce }
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+
+const ALLOWED_CONTENT_TYPES = {
+  'video/mp4': '.mp4',
+  'video/quicktime': '.mov',
+  'video/webm': '.webm',
+  'video/x-m4v': '.m4v'
+};
+
+const MAX_UPLOAD_BYTES = (parseInt(process.env.MAX_UPLOAD_MB, 10) || 100) * 1024 * 1024;
+const TOKEN_TTL_SECONDS = parseInt(process.env.UPLOAD_TOKEN_TTL_SECONDS, 10) || 15 * 60;
+
+let tokenSecret = process.env.UPLOAD_TOKEN_SECRET;
+if (!tokenSecret) {
+  console.warn('UPLOAD_TOKEN_SECRET not set, using a random secret (upload URLs reset on restart)');
+  tokenSecret = crypto.randomBytes(32).toString('hex');
+}
+
+// jti -> exp (unix seconds). Tokens are claimed while an upload is in flight
+// and released again if it fails, so the client can retry.
+const usedTokens = new Map();
+
+function sign(body) {
+  return crypto.createHmac('sha256', tokenSecret).update(body).digest('base64url');
+}
+
+function pruneUsedTokens() {
+  const now = Math.floor(Date.now() / 1000);
+  for (const [jti, exp] of usedTokens) {
+    if (exp < now) {
+      usedTokens.delete(jti);
+    }
+  }
+}
+
+/**
+ * Turns a client filename into a safe storage key under submissions/.
+ * Only the base name is kept, reduced to [a-z0-9._-], and the extension is
+ * forced to match the content type. A random suffix keeps keys unique.
+ */
+function createSafeKey(filename, contentType) {
+  const extension = ALLOWED_CONTENT_TYPES[contentType] || '';
+  const base = path.basename(String(filename || ''), path.extname(String(filename || '')))
+    .toLowerCase()
+    .replace(/[^a-z0-9._-]+/g, '-')
+    .replace(/^[-.]+|[-.]+$/g, '')
+    .slice(0, 60) || 'video';
+  const suffix = crypto.randomBytes(4).toString('hex');
+  return `submissions/${Date.now()}-${suffix}-${base}${extension}`;
+}
+
+function createUploadToken({ key, contentType, maxSize = MAX_UPLOAD_BYTES, ttlSeconds = TOKEN_TTL_SECONDS }) {
+  const payload = {
+    k: key,
+    ct: contentType,
+    max: Math.min(maxSize, MAX_UPLOAD_BYTES),
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds,
+    jti: crypto.randomBytes(12).toString('base64url')
+  };
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return {
+    token: `${body}.${sign(body)}`,
+    expiresAt: new Date(payload.exp * 1000).toISOString(),
+    maxSize: payload.max
+  };
+}
+
+/**
+ * Checks a token against the request. Returns { payload } on success or
+ * { status, error } describing why it was refused.
+ */
+function verifyUploadToken(token, { key, contentType, size }) {
+  if (!token) {
+    return { status: 401, error: 'Upload token required' };
+  }
+
+  const [body, signature] = String(token).split('.');
+  if (!body || !signature) {
+    return { status: 401, error: 'Invalid upload token' };
+  }
+
+  const expected = Buffer.from(sign(body));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { status: 401, error: 'Invalid upload token' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { status: 401, error: 'Invalid upload token' };
+  }
+
+  if (payload.exp < Math.floor(Date.now() / 1000)) {
+    return { status: 401, error: 'Upload token expired' };
+  }
+
+  if (payload.k !== key) {
+    return { status: 403, error: 'Upload token does not match this key' };
+  }
+
+  if (payload.ct !== contentType) {
+    return { status: 415, error: `Content-Type must be ${payload.ct}` };
+  }
+
+  if (size !== undefined && size > payload.max) {
+    return { status: 413, error: `File exceeds ${payload.max} bytes` };
+  }
+
+  pruneUsedTokens();
+  if (usedTokens.has(payload.jti)) {
+    return { status: 409, error: 'Upload token already used' };
+  }
+
+  return { payload };
+}
+
+/**
+ * Marks the token as used. Returns false if it already was.
+ */
+function claimUploadToken(payload) {
+  if (usedTokens.has(payload.jti)) {
+    return false;
+  }
+  usedTokens.set(payload.jti, payload.exp);
+  return true;
+}
+
+function releaseUploadToken(payload) {
+  usedTokens.delete(payload.jti);
+}
+
+/**
+ * Middleware for PUT /upload/:key. Runs before the body is read, so oversized
+ * or unauthorized uploads are refused without buffering them. The token comes
+ * from ?token= or the X-Upload-Token header. Sets req.uploadToken; the route
+ * sets req.uploadStored once the file is in storage.
+ */
+function requireUploadToken(req, res, next) {
+  // Express has already decoded the param
+  const { key } = req.params;
+  const contentLength = req.get('content-length');
+
+  if (!key.startsWith('submissions/') || key.includes('..')) {
+    return res.status(400).json({ error: 'Invalid upload key' });
+  }
+
+  const result = verifyUploadToken(req.query.token || req.get('x-upload-token'), {
+    key,
+    contentType: (req.get('content-type') || '').split(';')[0].trim(),
+    size: contentLength !== undefined ? parseInt(contentLength, 10) : undefined
+  });
+
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+
+  claimUploadToken(result.payload);
+  // 'close' also fires when the client disconnects before a response, which
+  // 'finish' doesn't
+  res.on('close', () => {
+    if (!req.uploadStored) {
+      releaseUploadToken(result.payload);
+    }
+  });
+
+  req.uploadToken = result.payload;
+  next();
+}
+
+module.exports = {
+  ALLOWED_CONTENT_TYPES,
+  MAX_UPLOAD_BYTES,
+  createSafeKey,
+  createUploadToken,
+  verifyUploadToken,
+  claimUploadToken,
+  releaseUploadToken,
+  requireUploadToken
+};
@@ -0,0 +1,484 @@
+/**
+ * Video container detection and metadata extraction
+ *
+ * Pure JS parsing of the two container families we accept, so uploads can be
+ * checked without ffprobe:
+ * - ISO BMFF (MP4 / MOV / M4V): ftyp brand, moov/mvhd for duration and
+ *   creation time, the first video trak for resolution (tkhd) and codec (stsd)
+ * - Matroska (WebM): EBML DocType, Segment/Info for duration and DateUTC,
+ *   Segment/Tracks for resolution and CodecID
+ *
+ * Parsing is bounds-checked and works on a truncated buffer (e.g. the first
+ * part of a resumable upload); whatever can't be read is left null. Stored
+ * files can be read in ranges instead (readStoredVideoMetadata), so a large
+ * file never has to be in memory at once.
+ *
+ * Metadata for finished uploads is remembered by storage key until
+ * /submit-chug copies it onto the beer_leaderboard_entry.
+ */
+
+const { createJsonStore } = require('./store');
+
+const METADATA_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const uploadMetadataStore = createJsonStore('video-metadata', {});
+
+// Seconds between 1904-01-01 (QuickTime epoch) and 1970-01-01
+const QUICKTIME_EPOCH_OFFSET = 2082844800;
+// Milliseconds between 1970-01-01 and 2001-01-01 (Matroska DateUTC epoch)
+const MATROSKA_EPOCH_MS = Date.UTC(2001, 0, 1);
+
+const MIME_TYPES = {
+  mp4: 'video/mp4',
+  mov: 'video/quicktime',
+  m4v: 'video/x-m4v',
+  webm: 'video/webm',
+  matroska: 'video/x-matroska'
+};
+
+const QUICKTIME_LEADING_BOXES = ['moov', 'mdat', 'wide', 'free', 'skip', 'pnot'];
+
+// A moov box bigger than this isn't read from storage (real ones are a few MB at most)
+const MAX_MOOV_BYTES = 32 * 1024 * 1024;
+
+/**
+ * Identifies the container from its magic bytes. Returns
+ * 'mp4' | 'mov' | 'm4v' | 'webm' | 'matroska', or null.
+ */
+function detectContainer(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    return null;
+  }
+
+  const boxType = buffer.toString('latin1', 4, 8);
+
+  if (boxType === 'ftyp') {
+    const brand = buffer.toString('latin1', 8, 12);
+    if (brand === 'qt  ') return 'mov';
+    if (brand.startsWith('M4V')) return 'm4v';
+    // Audio-only and image brands share the ftyp box but aren't video
+    if (['M4A ', 'M4B ', 'M4P ', 'heic', 'heix', 'mif1', 'msf1', 'avif'].includes(brand)) return null;
+    return 'mp4';
+  }
+
+  // Older QuickTime files can start without an ftyp box
+  if (QUICKTIME_LEADING_BOXES.includes(boxType)) {
+    return 'mov';
+  }
+
+  if (buffer.readUInt32BE(0) === 0x1A45DFA3) {
+    const docType = readMatroskaDocType(buffer);
+    if (docType === 'webm') return 'webm';
+    if (docType === 'matroska') return 'matroska';
+  }
+
+  return null;
+}
+
+/* ISO BMFF */
+
+function readBoxes(buffer, start, end, visit) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      if (offset + 16 > end) return;
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+
+    if (size < headerSize) return;
+
+    const boxEnd = Math.min(offset + size, end);
+    if (visit(type, offset + headerSize, boxEnd, offset + size > end) === false) return;
+    offset += size;
+  }
+}
+
+function findBox(buffer, start, end, path) {
+  let found = null;
+  readBoxes(buffer, start, end, (type, bodyStart, bodyEnd, truncated) => {
+    if (type !== path[0]) return true;
+    found = path.length === 1
+      ? { start: bodyStart, end: bodyEnd, truncated }
+      : findBox(buffer, bodyStart, bodyEnd, path.slice(1));
+    return false;
+  });
+  return found;
+}
+
+function parseMvhd(buffer, box, metadata) {
+  const version = buffer[box.start];
+  const fixed = box.start + 4;
+  let created, timescale, duration;
+
+  if (version === 1 && fixed + 28 <= box.end) {
+    created = Number(buffer.readBigUInt64BE(fixed));
+    timescale = buffer.readUInt32BE(fixed + 16);
+    duration = Number(buffer.readBigUInt64BE(fixed + 20));
+  } else if (version === 0 && fixed + 16 <= box.end) {
+    created = buffer.readUInt32BE(fixed);
+    timescale = buffer.readUInt32BE(fixed + 8);
+    duration = buffer.readUInt32BE(fixed + 12);
+  } else {
+    return;
+  }
+
+  if (timescale > 0) {
+    metadata.durationS = duration / timescale;
+  }
+  if (created > QUICKTIME_EPOCH_OFFSET) {
+    metadata.createdAt = new Date((created - QUICKTIME_EPOCH_OFFSET) * 1000).toISOString();
+  }
+}
+
+function parseVideoTrak(buffer, trak, metadata) {
+  const hdlr = findBox(buffer, trak.start, trak.end, ['mdia', 'hdlr']);
+  if (!hdlr || hdlr.start + 12 > hdlr.end || buffer.toString('latin1', hdlr.start + 8, hdlr.start + 12) !== 'vide') {
+    return false;
+  }
+
+  const tkhd = findBox(buffer, trak.start, trak.end, ['tkhd']);
+  if (tkhd) {
+    // width/height are the last two 16.16 fixed-point fields
+    const dimensions = tkhd.start + (buffer[tkhd.start] === 1 ? 88 : 76);
+    if (dimensions + 8 <= tkhd.end) {
+      metadata.width = buffer.readUInt32BE(dimensions) >>> 16;
+      metadata.height = buffer.readUInt32BE(dimensions + 4) >>> 16;
+    }
+  }
+
+  const stsd = findBox(buffer, trak.start, trak.end, ['mdia', 'minf', 'stbl', 'stsd']);
+  if (stsd && stsd.start + 16 <= stsd.end) {
+    metadata.codec = buffer.toString('latin1', stsd.start + 12, stsd.start + 16).trim();
+  }
+
+  return true;
+}
+
+function parseIsoBmff(buffer, metadata) {
+  const moov = findBox(buffer, 0, buffer.length, ['moov']);
+  if (!moov) return;
+
+  metadata.complete = !moov.truncated;
+
+  const mvhd = findBox(buffer, moov.start, moov.end, ['mvhd']);
+  if (mvhd) parseMvhd(buffer, mvhd, metadata);
+
+  readBoxes(buffer, moov.start, moov.end, (type, start, end) => {
+    if (type !== 'trak') return true;
+    if (parseVideoTrak(buffer, { start, end }, metadata)) {
+      metadata.hasVideoTrack = true;
+      return false;
+    }
+    return true;
+  });
+}
+
+/* Matroska / WebM */
+
+const EBML = {
+  EBML: 0x1A45DFA3,
+  DocType: 0x4282,
+  Segment: 0x18538067,
+  Info: 0x1549A966,
+  TimecodeScale: 0x2AD7B1,
+  Duration: 0x4489,
+  DateUTC: 0x4461,
+  Tracks: 0x1654AE6B,
+  TrackEntry: 0xAE,
+  TrackType: 0x83,
+  CodecID: 0x86,
+  Video: 0xE0,
+  PixelWidth: 0xB0,
+  PixelHeight: 0xBA,
+  Cluster: 0x1F43B675
+};
+
+function readVint(buffer, offset, keepMarker) {
+  if (offset >= buffer.length) return null;
+  const first = buffer[offset];
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 8 || offset + length > buffer.length) return null;
+
+  let value = keepMarker ? first : first & (0xFF >> length);
+  let allOnes = value === (0xFF >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+    if (buffer[offset + i] !== 0xFF) allOnes = false;
+  }
+  return { value, length, unknown: !keepMarker && allOnes };
+}
+
+function readElements(buffer, start, end, visit) {
+  let offset = start;
+  while (offset < end) {
+    const id = readVint(buffer, offset, true);
+    if (!id) return;
+    const size = readVint(buffer, offset + id.length, false);
+    if (!size) return;
+
+    const dataStart = offset + id.length + size.length;
+    const dataEnd = size.unknown ? end : Math.min(dataStart + size.value, end);
+    if (visit(id.value, dataStart, dataEnd) === false) return;
+    if (size.unknown) return;
+    offset = dataStart + size.value;
+  }
+}
+
+function readUint(buffer, start, end) {
+  let value = 0;
+  for (let i = start; i < end; i++) value = value * 256 + buffer[i];
+  return value;
+}
+
+function readFloat(buffer, start, end) {
+  if (end - start === 4) return buffer.readFloatBE(start);
+  if (end - start === 8) return buffer.readDoubleBE(start);
+  return null;
+}
+
+function readMatroskaDocType(buffer) {
+  let docType = null;
+  readElements(buffer, 0, buffer.length, (id, start, end) => {
+    if (id !== EBML.EBML) return false;
+    readElements(buffer, start, end, (childId, childStart, childEnd) => {
+      if (childId === EBML.DocType) {
+        docType = buffer.toString('latin1', childStart, childEnd).replace(/\0+$/, '');
+        return false;
+      }
+      return true;
+    });
+    return false;
+  });
+  return docType;
+}
+
+function parseMatroskaTrack(buffer, start, end, metadata) {
+  const track = {};
+  readElements(buffer, start, end, (id, dataStart, dataEnd) => {
+    if (id === EBML.TrackType) track.type = readUint(buffer, dataStart, dataEnd);
+    if (id === EBML.CodecID) track.codec = buffer.toString('latin1', dataStart, dataEnd).replace(/\0+$/, '');
+    if (id === EBML.Video) {
+      readElements(buffer, dataStart, dataEnd, (videoId, videoStart, videoEnd) => {
+        if (videoId === EBML.PixelWidth) track.width = readUint(buffer, videoStart, videoEnd);
+        if (videoId === EBML.PixelHeight) track.height = readUint(buffer, videoStart, videoEnd);
+      });
+    }
+  });
+
+  if (track.type !== 1) return false;
+
+  metadata.hasVideoTrack = true;
+  metadata.codec = track.codec || null;
+  metadata.width = track.width || null;
+  metadata.height = track.height || null;
+  return true;
+}
+
+function parseMatroska(buffer, metadata) {
+  readElements(buffer, 0, buffer.length, (id, start, end) => {
+    if (id !== EBML.Segment) return true;
+
+    let timecodeScale = 1000000;
+    let duration = null;
+    let sawInfo = false;
+    let sawTracks = false;
+
+    readElements(buffer, start, end, (childId, childStart, childEnd) => {
+      if (childId === EBML.Info) {
+        sawInfo = true;
+        readElements(buffer, childStart, childEnd, (infoId, infoStart, infoEnd) => {
+          if (infoId === EBML.TimecodeScale) timecodeScale = readUint(buffer, infoStart, infoEnd);
+          if (infoId === EBML.Duration) duration = readFloat(buffer, infoStart, infoEnd);
+          if (infoId === EBML.DateUTC && infoEnd - infoStart === 8) {
+            const ns = buffer.readBigInt64BE(infoStart);
+            metadata.createdAt = new Date(MATROSKA_EPOCH_MS + Number(ns / 1000000n)).toISOString();
+          }
+        });
+      }
+      if (childId === EBML.Tracks) {
+        sawTracks = true;
+        readElements(buffer, childStart, childEnd, (trackId, trackStart, trackEnd) => {
+          if (trackId !== EBML.TrackEntry) return true;
+          return !parseMatroskaTrack(buffer, trackStart, trackEnd, metadata);
+        });
+      }
+      // Metadata always precedes the first Cluster
+      return childId !== EBML.Cluster;
+    });
+
+    if (duration !== null) {
+      metadata.durationS = duration * timecodeScale / 1e9;
+    }
+    metadata.complete = sawInfo && sawTracks;
+    return false;
+  });
+}
+
+/**
+ * Parses what it can from the buffer. Returns null if the bytes aren't a
+ * supported video container, otherwise:
+ * {
+ *   container, mimeType,
+ *   durationS, width, height, codec, createdAt  (null when unknown)
+ *   hasVideoTrack: a video track was found
+ *   complete: the header (moov / Info+Tracks) was fully readable
+ * }
+ */
+function extractVideoMetadata(buffer) {
+  const container = detectContainer(buffer);
+  if (!container) {
+    return null;
+  }
+
+  const metadata = {
+    container,
+    mimeType: MIME_TYPES[container],
+    durationS: null,
+    width: null,
+    height: null,
+    codec: null,
+    createdAt: null,
+    hasVideoTrack: false,
+    complete: false
+  };
+
+  try {
+    if (container === 'webm' || container === 'matroska') {
+      parseMatroska(buffer, metadata);
+    } else {
+      parseIsoBmff(buffer, metadata);
+    }
+  } catch (error) {
+    // Corrupt or truncated structures: keep whatever was read so far
+    console.error('Error parsing video metadata:', error.message);
+  }
+
+  return metadata;
+}
+
+/**
+ * Like extractVideoMetadata for a stored file of `size` bytes, read through
+ * `readRange(start, end)` (bytes start..end-1). Parses the first `headSize`
+ * bytes, and for MP4/MOV files whose moov box isn't in them (it often comes
+ * after the media data) walks the top-level box headers to read just moov.
+ */
+async function readStoredVideoMetadata(readRange, size, headSize) {
+  const head = await readRange(0, Math.min(size, headSize));
+  const metadata = extractVideoMetadata(head);
+  if (!metadata || metadata.complete || metadata.container === 'webm' || metadata.container === 'matroska') {
+    return metadata;
+  }
+
+  // Parsed as the ftyp box followed by moov, so the container still matches
+  const prefix = head.toString('latin1', 4, 8) === 'ftyp' ? head.subarray(0, head.readUInt32BE(0)) : Buffer.alloc(0);
+
+  let offset = 0;
+  while (offset + 8 <= size) {
+    const header = offset + 16 <= head.length
+      ? head.subarray(offset, offset + 16)
+      : await readRange(offset, Math.min(offset + 16, size));
+    let boxSize = header.readUInt32BE(0);
+    if (boxSize === 1) {
+      if (header.length < 16) break;
+      boxSize = Number(header.readBigUInt64BE(8));
+    } else if (boxSize === 0) {
+      boxSize = size - offset;
+    }
+    if (boxSize < 8) break;
+
+    if (header.toString('latin1', 4, 8) === 'moov') {
+      if (boxSize > MAX_MOOV_BYTES) break;
+      const moov = await readRange(offset, Math.min(offset + boxSize, size));
+      return extractVideoMetadata(Buffer.concat([prefix, moov]));
+    }
+    offset += boxSize;
+  }
+
+  return metadata;
+}
+
+/**
+ * Checks a complete upload. Returns null if it's acceptable, otherwise a
+ * short reason for rejecting it. With `contentType`, the detected container
+ * must also be that type, since the file is stored and served under it.
+ */
+function validateVideo(metadata, contentType = null) {
+  if (!metadata) {
+    return 'File is not a supported video (MP4, MOV, M4V or WebM)';
+  }
+  if (contentType && metadata.mimeType !== contentType) {
+    return `File is ${metadata.mimeType}, not ${contentType}`;
+  }
+  if (!metadata.complete) {
+    return 'Video is truncated or missing its header';
+  }
+  if (!metadata.hasVideoTrack) {
+    return 'File has no video track';
+  }
+  if (!metadata.durationS || metadata.durationS <= 0) {
+    return 'Video has no duration';
+  }
+  return null;
+}
+
+/**
+ * Compares a claimed time against the video length. Returns a flag reason
+ * or '' when the claim fits.
+ */
+function getTimeFlag(timeS, durationS) {
+  const claimed = parseFloat(timeS);
+  const duration = parseFloat(durationS);
+  if (isNaN(claimed) || isNaN(duration)) {
+    return '';
+  }
+  return claimed > duration ? 'time_exceeds_video' : '';
+}
+
+/**
+ * Metaobject fields for the extracted metadata (all values as strings)
+ */
+function toSubmissionFields(metadata) {
+  return [
+    { key: 'video_duration_s', value: metadata.durationS !== null ? metadata.durationS.toFixed(3) : '' },
+    { key: 'video_width', value: metadata.width !== null ? String(metadata.width) : '' },
+    { key: 'video_height', value: metadata.height !== null ? String(metadata.height) : '' },
+    { key: 'video_codec', value: metadata.codec || '' },
+    { key: 'video_container', value: metadata.container },
+    { key: 'video_created_at', value: metadata.createdAt || '' }
+  ];
+}
+
+function rememberVideoMetadata(key, metadata) {
+  const cutoff = Date.now() - METADATA_RETENTION_MS;
+  uploadMetadataStore.update(entries => {
+    Object.keys(entries).forEach(existing => {
+      if (entries[existing].storedAt < cutoff) {
+        delete entries[existing];
+      }
+    });
+    entries[key] = { ...metadata, storedAt: Date.now() };
+  });
+}
+
+function getRememberedVideoMetadata(key) {
+  return uploadMetadataStore.get()[key] || null;
+}
+
+module.exports = {
+  detectContainer,
+  extractVideoMetadata,
+  readStoredVideoMetadata,
+  validateVideo,
+  getTimeFlag,
+  toSubmissionFields,
+  rememberVideoMetadata,
+  getRememberedVideoMetadata
+};
@@ -0,0 +1,581 @@
+/**
+ * Outbound webhooks
+ *
+ * Admin-managed subscribers get a signed POST for each event they subscribe
+ * to, so widgets and bots don't have to poll /whitelabel/...
+ *
+ * Events:
+ * - submission.created: /submit-chug created an entry
+ * - submission.updated: fields changed (admin edit, revert, server updates)
+ * - submission.verified: an entry was approved
+ * - leaderboard.new_record: a verified entry became the sole #1 (fastest
+ *   time_s, all time) on its leaderboard_type or leaderboard_name
+ * - ping: sent by POST /admin/webhooks/:id/ping
+ *
+ * Body: { id, event, created_at, data }. Headers:
+ * - X-Webhook-Id: delivery id (the same across retries)
+ * - X-Webhook-Event
+ * - X-Webhook-Timestamp: unix seconds of this attempt
+ * - X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>"
+ *   keyed with the subscription secret>
+ *
+ * Any 2xx is a success. Anything else, a network error or a timeout is
+ * retried with exponential backoff (WEBHOOK_RETRY_DELAY_SECONDS, doubling)
+ * up to WEBHOOK_MAX_ATTEMPTS. Pending retries survive restarts. Every
+ * delivery and its attempts are kept in the delivery log (newest 1000).
+ *
+ * Endpoints (owner):
+ *
+ * GET /admin/webhooks
+ * POST /admin/webhooks
+ * - Body: { url, events?, description? }; events defaults to all
+ * - Returns the subscription with its signing secret (only shown here and
+ *   on rotation)
+ * PATCH /admin/webhooks/:id
+ * - Body: any of { url, events, description, active, rotate_secret }
+ * DELETE /admin/webhooks/:id
+ * POST /admin/webhooks/:id/ping
+ * GET /admin/webhooks/deliveries
+ * - Newest first. Filters: subscription_id, event, status
+ *   (pending | delivered | failed), limit (1-500, default 50)
+ * POST /admin/webhooks/deliveries/:id/redeliver
+ * - Sends a delivery's payload again as a new delivery
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./store');
+const { submissionEvents } = require('./submission-events');
+const { rankEntries } = require('./leaderboard-ranking');
+const { isPublished } = require('./whitelabel');
+const { recordAudit } = require('./audit-log');
+
+const WEBHOOK_EVENTS = [
+  'submission.created',
+  'submission.updated',
+  'submission.verified',
+  'leaderboard.new_record'
+];
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+const MAX_LOGGED_DELIVERIES = 1000;
+const URL_MAX_LENGTH = 2048;
+
+const subscriptionStore = createJsonStore('webhooks', { subscriptions: [] });
+const deliveryStore = createJsonStore('webhook-deliveries', []);
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function publicSubscription(subscription, { withSecret = false } = {}) {
+  const { secret, ...rest } = subscription;
+  return withSecret ? { ...rest, secret } : { ...rest, secretHint: `...${secret.slice(-4)}` };
+}
+
+function publicDelivery(delivery) {
+  const { payload, ...rest } = delivery;
+  return rest;
+}
+
+function findSubscription(id) {
+  return subscriptionStore.get().subscriptions.find(subscription => subscription.id === id) || null;
+}
+
+function validateUrl(url) {
+  if (typeof url !== 'string' || url.length > URL_MAX_LENGTH) {
+    return 'url must be an http(s) URL';
+  }
+  try {
+    const parsed = new URL(url);
+    return ['http:', 'https:'].includes(parsed.protocol) ? null : 'url must be an http(s) URL';
+  } catch (error) {
+    return 'url must be an http(s) URL';
+  }
+}
+
+function validateEvents(events) {
+  if (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+    return `events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * True when `entry` is alone at #1 on the board `boardKey` = entry[boardKey]
+ */
+function isSoleLeader(entry, boardKey, entries) {
+  const board = entry[boardKey];
+  if (!board || !isPublished(entry)) {
+    return false;
+  }
+  const competitors = entries.filter(other => other.id !== entry.id && other[boardKey] === board && isPublished(other));
+  const leaders = rankEntries([...competitors, entry], 'time').filter(ranked => ranked.rank === 1);
+  return leaders.length === 1 && leaders[0].id === entry.id;
+}
+
+/**
+ * Options:
+ * - leaderboardData: shared leaderboard data layer, for new record checks
+ * - maxAttempts: tries per delivery (default 6)
+ * - retryDelayMs: delay before the first retry, doubled each time (default 30s)
+ * - timeoutMs: per-attempt timeout (default 10s)
+ */
+function createWebhooks({
+  leaderboardData,
+  maxAttempts = 6,
+  retryDelayMs = 30 * 1000,
+  timeoutMs = 10 * 1000
+}) {
+  const timers = new Map();
+  const recordQueue = [];
+  let recordWorker = Promise.resolve();
+
+  function updateDelivery(id, fn) {
+    let updated = null;
+    deliveryStore.update(deliveries => {
+      const delivery = deliveries.find(item => item.id === id);
+      if (delivery) {
+        fn(delivery);
+        updated = delivery;
+      }
+    });
+    return updated;
+  }
+
+  function schedule(delivery) {
+    clearTimeout(timers.get(delivery.id));
+    const timer = setTimeout(() => {
+      timers.delete(delivery.id);
+      attempt(delivery.id).catch(error => {
+        console.error('Webhook delivery error:', error);
+      });
+    }, Math.max(Date.parse(delivery.nextAttemptAt) - Date.now(), 0));
+    timer.unref();
+    timers.set(delivery.id, timer);
+  }
+
+  async function attempt(deliveryId) {
+    const delivery = deliveryStore.get().find(item => item.id === deliveryId);
+    if (!delivery || delivery.status !== 'pending') {
+      return;
+    }
+
+    const subscription = findSubscription(delivery.subscriptionId);
+    if (!subscription || !subscription.active) {
+      updateDelivery(deliveryId, item => {
+        item.status = 'failed';
+        item.nextAttemptAt = null;
+        item.attempts.push({
+          at: new Date().toISOString(),
+          status: null,
+          error: subscription ? 'Subscription disabled' : 'Subscription deleted',
+          durationMs: 0
+        });
+      });
+      return;
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    let result;
+
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ChugChamp-Webhooks/1.0',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${sign(subscription.secret, timestamp, delivery.payload)}`
+        },
+        body: delivery.payload,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      await response.body?.cancel();
+      result = { status: response.status, error: response.ok ? null : `HTTP ${response.status}` };
+    } catch (error) {
+      result = { status: null, error: error.name === 'TimeoutError' ? 'Timed out' : error.message };
+    }
+
+    const updated = updateDelivery(deliveryId, item => {
+      item.attempts.push({
+        at: new Date(startedAt).toISOString(),
+        url: subscription.url,
+        status: result.status,
+        error: result.error,
+        durationMs: Date.now() - startedAt
+      });
+
+      if (!result.error) {
+        item.status = 'delivered';
+        item.deliveredAt = new Date().toISOString();
+        item.nextAttemptAt = null;
+      } else if (item.attempts.length >= maxAttempts) {
+        item.status = 'failed';
+        item.nextAttemptAt = null;
+      } else {
+        const delay = retryDelayMs * 2 ** (item.attempts.length - 1);
+        item.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      }
+    });
+
+    if (updated?.status === 'pending') {
+      schedule(updated);
+    }
+  }
+
+  function createDelivery(subscription, event, payload) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      subscriptionId: subscription.id,
+      event,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      deliveredAt: null,
+      nextAttemptAt: new Date().toISOString(),
+      attempts: [],
+      payload
+    };
+
+    deliveryStore.update(deliveries => {
+      deliveries.push(delivery);
+      if (deliveries.length > MAX_LOGGED_DELIVERIES) {
+        // Drop the oldest finished deliveries; pending ones still need sending
+        let excess = deliveries.length - MAX_LOGGED_DELIVERIES;
+        return deliveries.filter(item => {
+          if (excess > 0 && item.status !== 'pending') {
+            excess -= 1;
+            return false;
+          }
+          return true;
+        });
+      }
+    });
+
+    schedule(delivery);
+    return delivery;
+  }
+
+  /**
+   * Queues `event` for every active subscriber. Returns the deliveries.
+   */
+  function dispatch(event, data, subscriptions = subscriptionStore.get().subscriptions) {
+    const targets = subscriptions.filter(subscription => {
+      return subscription.active && (event === 'ping' || subscription.events.includes(event));
+    });
+    if (targets.length === 0) {
+      return [];
+    }
+
+    const payload = JSON.stringify({
+      id: crypto.randomUUID(),
+      event,
+      created_at: new Date().toISOString(),
+      data
+    });
+    return targets.map(subscription => createDelivery(subscription, event, payload));
+  }
+
+  function hasSubscribers(event) {
+    return subscriptionStore.get().subscriptions.some(subscription => {
+      return subscription.active && subscription.events.includes(event);
+    });
+  }
+
+  // New record checks queued while the leaderboard loads share one load
+  async function drainRecordChecks() {
+    while (recordQueue.length > 0) {
+      const batch = recordQueue.splice(0);
+      let entries;
+      try {
+        entries = await leaderboardData.getAllEntries();
+      } catch (error) {
+        console.error('Failed to load leaderboard for new record check:', error.message);
+        continue;
+      }
+
+      batch.forEach(({ submission, before }) => {
+        const after = { id: submission.id, handle: submission.handle, ...submission.fields };
+        const previous = before ? { id: submission.id, ...before } : null;
+
+        ['leaderboard_type', 'leaderboard_name'].forEach(boardKey => {
+          if (!isSoleLeader(after, boardKey, entries)) {
+            return;
+          }
+          // Already #1 on this board before the change
+          if (previous && previous[boardKey] === after[boardKey] && isSoleLeader(previous, boardKey, entries)) {
+            return;
+          }
+
+          const competitors = entries.filter(other => {
+            return other.id !== after.id && other[boardKey] === after[boardKey] && isPublished(other);
+          });
+          const previousRecord = rankEntries(competitors, 'time').find(entry => entry.rank === 1) || null;
+
+          dispatch('leaderboard.new_record', {
+            board: { [boardKey]: after[boardKey] },
+            entry: rankEntries([after], 'time')[0],
+            previous_record: previousRecord
+          });
+        });
+      });
+    }
+  }
+
+  function checkNewRecord(payload) {
+    if (!payload.submission || !isPublished(payload.submission.fields) || !hasSubscribers('leaderboard.new_record')) {
+      return;
+    }
+    recordQueue.push({ submission: payload.submission, before: payload.before });
+    recordWorker = recordWorker.then(drainRecordChecks);
+  }
+
+  submissionEvents.on('created', payload => {
+    dispatch('submission.created', { submission: payload.submission });
+  });
+
+  submissionEvents.on('updated', payload => {
+    dispatch('submission.updated', { submission: payload.submission, previous: payload.before });
+    checkNewRecord(payload);
+  });
+
+  submissionEvents.on('verified', payload => {
+    dispatch('submission.verified', { submission: payload.submission, previous: payload.before });
+    checkNewRecord(payload);
+  });
+
+  // Pick up retries that were pending when the process stopped
+  deliveryStore.get()
+    .filter(delivery => delivery.status === 'pending')
+    .forEach(schedule);
+
+  /**
+   * GET /admin/webhooks
+   */
+  function listWebhooks(req, res) {
+    res.json({
+      success: true,
+      events: WEBHOOK_EVENTS,
+      subscriptions: subscriptionStore.get().subscriptions.map(subscription => publicSubscription(subscription))
+    });
+  }
+
+  /**
+   * POST /admin/webhooks
+   */
+  function createWebhook(req, res) {
+    try {
+      const { url, events = WEBHOOK_EVENTS, description = '' } = req.body || {};
+
+      const error = validateUrl(url) || validateEvents(events);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const now = new Date().toISOString();
+      const subscription = {
+        id: crypto.randomUUID(),
+        url,
+        events: [...new Set(events)],
+        description: String(description).slice(0, 200),
+        active: true,
+        secret: crypto.randomBytes(32).toString('hex'),
+        createdBy: req.admin.email,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      subscriptionStore.update(state => {
+        state.subscriptions.push(subscription);
+      });
+
+      recordAudit({
+        actor: req.admin.email,
+        action: 'webhook_create',
+        changes: { [subscription.id]: { before: null, after: url } }
+      });
+
+      res.status(201).json({
+        success: true,
+        subscription: publicSubscription(subscription, { withSecret: true })
+      });
+    } catch (error) {
+      console.error('Error creating webhook:', error);
+      res.status(500).json({ error: 'Failed to create webhook' });
+    }
+  }
+
+  /**
+   * PATCH /admin/webhooks/:id
+   */
+  function updateWebhook(req, res) {
+    try {
+      const subscription = findSubscription(req.params.id);
+      const { url, events, description, active, rotate_secret: rotateSecret } = req.body || {};
+
+      if (!subscription) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      const error = (url !== undefined && validateUrl(url)) ||
+        (events !== undefined && validateEvents(events)) ||
+        (active !== undefined && typeof active !== 'boolean' && 'active must be a boolean');
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const previousUrl = subscription.url;
+
+      subscriptionStore.update(() => {
+        if (url !== undefined) subscription.url = url;
+        if (events !== undefined) subscription.events = [...new Set(events)];
+        if (description !== undefined) subscription.description = String(description).slice(0, 200);
+        if (active !== undefined) subscription.active = active;
+        if (rotateSecret) subscription.secret = crypto.randomBytes(32).toString('hex');
+        subscription.updatedAt = new Date().toISOString();
+      });
+
+      recordAudit({
+        actor: req.admin.email,
+        action: 'webhook_update',
+        changes: {
+          [subscription.id]: { before: previousUrl, after: subscription.url },
+          ...(rotateSecret ? { secret: { before: null, after: 'rotated' } } : {})
+        }
+      });
+
+      res.json({
+        success: true,
+        subscription: publicSubscription(subscription, { withSecret: Boolean(rotateSecret) })
+      });
+    } catch (error) {
+      console.error('Error updating webhook:', error);
+      res.status(500).json({ error: 'Failed to update webhook' });
+    }
+  }
+
+  /**
+   * DELETE /admin/webhooks/:id
+   */
+  function deleteWebhook(req, res) {
+    try {
+      const subscription = findSubscription(req.params.id);
+
+      if (!subscription) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      subscriptionStore.update(state => {
+        state.subscriptions = state.subscriptions.filter(item => item.id !== subscription.id);
+      });
+
+      recordAudit({
+        actor: req.admin.email,
+        action: 'webhook_delete',
+        changes: { [subscription.id]: { before: subscription.url, after: null } }
+      });
+
+      res.json({
+        success: true,
+        message: 'Webhook deleted'
+      });
+    } catch (error) {
+      console.error('Error deleting webhook:', error);
+      res.status(500).json({ error: 'Failed to delete webhook' });
+    }
+  }
+
+  /**
+   * POST /admin/webhooks/:id/ping
+   */
+  function pingWebhook(req, res) {
+    const subscription = findSubscription(req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    if (!subscription.active) {
+      return res.status(400).json({ error: 'Webhook is disabled' });
+    }
+
+    const [delivery] = dispatch('ping', { subscription_id: subscription.id }, [subscription]);
+    res.status(202).json({
+      success: true,
+      delivery: publicDelivery(delivery)
+    });
+  }
+
+  /**
+   * GET /admin/webhooks/deliveries
+   */
+  function listDeliveries(req, res) {
+    const { subscription_id, event, status } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+    }
+
+    const filtered = deliveryStore.get().filter(delivery => {
+      if (subscription_id && delivery.subscriptionId !== subscription_id) return false;
+      if (event && delivery.event !== event) return false;
+      if (status && delivery.status !== status) return false;
+      return true;
+    }).reverse();
+
+    res.json({
+      success: true,
+      total: filtered.length,
+      count: Math.min(filtered.length, limit),
+      deliveries: filtered.slice(0, limit).map(publicDelivery)
+    });
+  }
+
+  /**
+   * POST /admin/webhooks/deliveries/:id/redeliver
+   */
+  function redeliver(req, res) {
+    const original = deliveryStore.get().find(delivery => delivery.id === req.params.id);
+
+    if (!original) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    const subscription = findSubscription(original.subscriptionId);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const delivery = createDelivery(subscription, original.event, original.payload);
+    res.status(202).json({
+      success: true,
+      delivery: publicDelivery(delivery)
+    });
+  }
+
+  function stop() {
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+  }
+
+  return {
+    dispatch,
+    listWebhooks,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    pingWebhook,
+    listDeliveries,
+    redeliver,
+    stop
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  createWebhooks
+};
@@ -1,13 +1,66 @@
 /**
  * Leaderboard endpoints for fetching and displaying entries
+ *
+ * Each entry carries thumbnail_url (poster frame, null until generated) so
+ * widgets can show a preview without loading the video.
+ *
+ * Entries come from the shared leaderboard data layer (leaderboard-data.js),
+ * which pages through every metaobject and caches the result.
+ *
+ * Both leaderboard routes accept the ranking options from leaderboard-ranking.js
+ * (rank_by, group_by, beer_style, container, window, per_handle) and return
+ * entries with `score` and `rank`.
+ *
+ * Name routes serve registered tenants only (tenants.js): requireTenant runs
+ * first and sets req.tenant, entries are limited to the tenant's dates,
+ * containers and beer styles, and the response carries the tenant's display
+ * name and branding. Private tenants' entries are left out of the type
+ * boards and handle history.
  */
 
+const { getSubmissionStatus } = require('./submission-status');
+const {
+  normalizeHandle,
+  parseRankingOptions,
+  buildLeaderboard,
+  buildHandleHistory
+} = require('./leaderboard-ranking');
+const { getTenantEntries, publicTenant, isPrivateEntry } = require('./tenants');
+
+function isPublished(entry) {
+  return entry.verified === 'true' && getSubmissionStatus(entry) === 'verified';
+}
+
+function toResponse(result) {
+  if (result.groups) {
+    return {
+      count: result.groups.reduce((total, group) => total + group.count, 0),
+      groups: result.groups
+    };
+  }
+  return {
+    count: result.entries.length,
+    entries: result.entries
+  };
+}
+
+function sendFetchError(res, error, message) {
+  if (error.details) {
+    return res.status(500).json({
+      error: 'Failed to fetch entries',
+      details: error.details
+    });
+  }
+  console.error(message, error);
+  res.status(500).json({ error: 'Failed to fetch leaderboard entries' });
+}
+
 /**
- * GET /leaderboard/:leaderboard_type
+ * GET /whitelabel/:leaderboard_type
  * Fetches all verified entries for a specific leaderboard type
- * Returns entries sorted by time_s (fastest first)
+ * Returns ranked entries (fastest time_s first by default)
  */
-function getLeaderboardEntries(getShopifyAccessToken, shopifyStoreDomain) {
+function getLeaderboardEntries(leaderboardData) {
   return async (req, res) => {
     try {
       const { leaderboard_type } = req.params;
@@ -16,217 +69,116 @@ function getLeaderboardEntries(getShopifyAccessToken, shopifyStoreDomain) {
         return res.status(400).json({ error: 'leaderboard_type is required' });
       }
 
-      const token = await getShopifyAccessToken();
-
-      // GraphQL query to fetch all beer_leaderboard_entry metaobjects
-      const query = `
-        query GetLeaderboardEntries($type: String!, $first: Int!) {
-          metaobjects(type: $type, first: $first) {
-            edges {
-              node {
-                id
-                handle
-                fields {
-                  key
-                  value
-                }
-              }
-            }
-            pageInfo {
-              hasNextPage
-              endCursor
-            }
-          }
-        }
-      `;
-
-      const variables = {
-        type: 'beer_leaderboard_entry',
-        first: 250 // Fetch up to 250 entries (Shopify max per page)
-      };
-
-      const response = await fetch(
-        `https://${shopifyStoreDomain}/admin/api/2024-01/graphql.json`,
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Shopify-Access-Token': token
-          },
-          body: JSON.stringify({ query, variables })
-        }
-      );
-
-      const data = await response.json();
-
-      if (data.errors) {
-        return res.status(500).json({
-          error: 'Failed to fetch entries',
-          details: data.errors
-        });
+      const { options, error } = parseRankingOptions(req.query);
+      if (error) {
+        return res.status(400).json({ error });
       }
 
-      // Transform the Shopify response into a usable format
-      const entries = data.data.metaobjects.edges.map(edge => {
-        const fields = {};
-        edge.node.fields.forEach(field => {
-          fields[field.key] = field.value;
-        });
-
-        return {
-          id: edge.node.id,
-          handle: edge.node.handle,
-          ...fields
-        };
-      });
-
-      // Debug logging
-      console.log('Total entries fetched:', entries.length);
-      console.log('Looking for leaderboard_type:', leaderboard_type);
-      console.log('Sample entry:', entries[0]);
-
-      // Filter by leaderboard_type and only include verified entries
-      const filteredEntries = entries.filter(entry => {
-        const matches = entry.leaderboard_type === leaderboard_type &&
-          entry.verified === 'true';
-        if (!matches && entry.leaderboard_type === leaderboard_type) {
-          console.log('Entry filtered out:', {
-            leaderboard_type: entry.leaderboard_type,
-            verified: entry.verified,
-            verified_type: typeof entry.verified
-          });
-        }
-        return matches;
-      });
+      const entries = await leaderboardData.getAllEntries();
 
-      // Sort by time_s (fastest times first)
-      filteredEntries.sort((a, b) => {
-        const timeA = parseFloat(a.time_s) || Infinity;
-        const timeB = parseFloat(b.time_s) || Infinity;
-        return timeA - timeB;
+      // Filter by leaderboard_type and only include verified, public entries
+      const published = entries.filter(entry => {
+        return entry.leaderboard_type === leaderboard_type && isPublished(entry) && !isPrivateEntry(entry);
       });
 
       res.json({
         success: true,
         leaderboard_type,
-        count: filteredEntries.length,
-        entries: filteredEntries
+        ranking: options,
+        ...toResponse(buildLeaderboard(published, options))
       });
 
     } catch (error) {
-      console.error('Error fetching leaderboard entries:', error);
-      res.status(500).json({ error: 'Failed to fetch leaderboard entries' });
+      sendFetchError(res, error, 'Error fetching leaderboard entries:');
     }
   };
 }
 
 /**
  * GET /whitelabel/name/:leaderboard_name
- * Fetches all verified entries for a specific leaderboard name (e.g. "RAB")
- * Returns entries sorted by time_s (fastest first)
+ * Fetches all verified entries for a registered leaderboard name (e.g. "RAB")
+ * Returns ranked entries (fastest time_s first by default)
+ * Expects requireTenant to have set req.tenant
  */
-function getLeaderboardEntriesByName(getShopifyAccessToken, shopifyStoreDomain) {
+function getLeaderboardEntriesByName(leaderboardData) {
   return async (req, res) => {
     try {
-      const { leaderboard_name } = req.params;
+      const { tenant } = req;
 
-      if (!leaderboard_name) {
-        return res.status(400).json({ error: 'leaderboard_name is required' });
+      const { options, error } = parseRankingOptions(req.query);
+      if (error) {
+        return res.status(400).json({ error });
       }
 
-      const token = await getShopifyAccessToken();
-
-      const query = `
-        query GetLeaderboardEntries($type: String!, $first: Int!) {
-          metaobjects(type: $type, first: $first) {
-            edges {
-              node {
-                id
-                handle
-                fields {
-                  key
-                  value
-                }
-              }
-            }
-            pageInfo {
-              hasNextPage
-              endCursor
-            }
-          }
-        }
-      `;
-
-      const variables = {
-        type: 'beer_leaderboard_entry',
-        first: 250
-      };
-
-      const response = await fetch(
-        `https://${shopifyStoreDomain}/admin/api/2024-01/graphql.json`,
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Shopify-Access-Token': token
-          },
-          body: JSON.stringify({ query, variables })
-        }
-      );
-
-      const data = await response.json();
-
-      if (data.errors) {
-        return res.status(500).json({
-          error: 'Failed to fetch entries',
-          details: data.errors
-        });
-      }
+      const entries = await leaderboardData.getAllEntries();
+
+      // Filter to the tenant's board and only include verified entries
+      const published = getTenantEntries(tenant, entries).filter(isPublished);
 
-      const entries = data.data.metaobjects.edges.map(edge => {
-        const fields = {};
-        edge.node.fields.forEach(field => {
-          fields[field.key] = field.value;
-        });
-
-        return {
-          id: edge.node.id,
-          handle: edge.node.handle,
-          ...fields
-        };
+      res.json({
+        success: true,
+        leaderboard_name: tenant.name,
+        tenant: publicTenant(tenant),
+        ranking: options,
+        ...toResponse(buildLeaderboard(published, options))
       });
 
-      console.log('Total entries fetched:', entries.length);
-      console.log('Looking for leaderboard_name:', leaderboard_name);
+    } catch (error) {
+      sendFetchError(res, error, 'Error fetching leaderboard entries by name:');
+    }
+  };
+}
 
-      // Filter by leaderboard_name and only include verified entries
-      const filteredEntries = entries.filter(entry => {
-        return entry.leaderboard_name === leaderboard_name &&
-          entry.verified === 'true';
-      });
+/**
+ * GET /whitelabel/handle/:handle
+ * One person's verified entries across all leaderboards, with their personal
+ * best per leaderboard and how it progressed. :handle is a handle_text
+ * (e.g. "@chugmaster"), or a handle_url when it contains a "/".
+ * Accepts rank_by (time | per_oz) for what counts as "best".
+ */
+function getHandleHistory(leaderboardData) {
+  return async (req, res) => {
+    try {
+      const { handle } = req.params;
 
-      // Sort by time_s (fastest times first)
-      filteredEntries.sort((a, b) => {
-        const timeA = parseFloat(a.time_s) || Infinity;
-        const timeB = parseFloat(b.time_s) || Infinity;
-        return timeA - timeB;
-      });
+      const handleKey = handle.includes('/')
+        ? normalizeHandle({ handle_url: handle })
+        : normalizeHandle({ handle_text: handle });
+
+      if (!handleKey) {
+        return res.status(400).json({ error: 'handle is required' });
+      }
+
+      const { options, error } = parseRankingOptions({ rank_by: req.query.rank_by });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const entries = await leaderboardData.getAllEntries();
+      const history = buildHandleHistory(entries.filter(entry => isPublished(entry) && !isPrivateEntry(entry)), handleKey, options.rank_by);
+
+      if (history.entries.length === 0) {
+        return res.status(404).json({ error: 'No verified entries for this handle' });
+      }
 
       res.json({
         success: true,
-        leaderboard_name,
-        count: filteredEntries.length,
-        entries: filteredEntries
+        handle,
+        rank_by: options.rank_by,
+        count: history.entries.length,
+        entries: history.entries,
+        personal_bests: history.personal_bests
       });
 
     } catch (error) {
-      console.error('Error fetching leaderboard entries by name:', error);
-      res.status(500).json({ error: 'Failed to fetch leaderboard entries' });
+      sendFetchError(res, error, 'Error fetching handle history:');
     }
   };
 }
 
 module.exports = {
+  isPublished,
   getLeaderboardEntries,
-  getLeaderboardEntriesByName
+  getLeaderboardEntriesByName,
+  getHandleHistory
 };